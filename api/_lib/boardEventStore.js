@@ -0,0 +1,89 @@
+/**
+ * Short-lived store of Trello webhook events, per board.
+ * Shared by api/trello-webhook.js (writer) and api/board-events.js (reader).
+ *
+ * Backends:
+ * - Redis over REST (Vercel KV / Upstash) when KV_REST_API_URL and KV_REST_API_TOKEN are set.
+ *   Needed in production: serverless instances don't share memory.
+ * - In-memory fallback for local development (`vercel dev` runs a single process).
+ *
+ * Events only carry ids and types, never card content: clients re-fetch through their own token.
+ */
+
+const MAX_EVENTS_PER_BOARD = 200;
+const EVENT_TTL_SECONDS = 15 * 60;
+
+const memoryStore = new Map(); // boardId -> { seq, events: [] }
+
+const kvConfigured = () => Boolean(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
+
+const kvPipeline = async (commands) => {
+  const response = await fetch(`${process.env.KV_REST_API_URL}/pipeline`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${process.env.KV_REST_API_TOKEN}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(commands)
+  });
+  if (!response.ok) {
+    throw new Error(`KV error: ${response.status} ${await response.text()}`);
+  }
+  const results = await response.json();
+  return results.map(r => r.result);
+};
+
+const seqKey = (boardId) => `trellops:board-events:${boardId}:seq`;
+const listKey = (boardId) => `trellops:board-events:${boardId}:events`;
+
+export async function appendBoardEvent(boardId, event) {
+  if (kvConfigured()) {
+    const [seq] = await kvPipeline([['INCR', seqKey(boardId)]]);
+    const stored = { ...event, seq };
+    await kvPipeline([
+      ['LPUSH', listKey(boardId), JSON.stringify(stored)],
+      ['LTRIM', listKey(boardId), 0, MAX_EVENTS_PER_BOARD - 1],
+      ['EXPIRE', listKey(boardId), EVENT_TTL_SECONDS],
+      ['EXPIRE', seqKey(boardId), EVENT_TTL_SECONDS * 4]
+    ]);
+    return stored;
+  }
+
+  const entry = memoryStore.get(boardId) || { seq: 0, events: [] };
+  entry.seq += 1;
+  const stored = { ...event, seq: entry.seq };
+  entry.events.unshift(stored);
+  entry.events.length = Math.min(entry.events.length, MAX_EVENTS_PER_BOARD);
+  memoryStore.set(boardId, entry);
+  return stored;
+}
+
+/**
+ * Events with seq > since, oldest first, plus the latest seq.
+ * `since` of null returns no events, only the cursor to start from.
+ */
+export async function readBoardEvents(boardId, since) {
+  let latestSeq = 0;
+  let events = [];
+
+  if (kvConfigured()) {
+    const [seq, rawEvents] = await kvPipeline([
+      ['GET', seqKey(boardId)],
+      ['LRANGE', listKey(boardId), 0, MAX_EVENTS_PER_BOARD - 1]
+    ]);
+    latestSeq = Number(seq) || 0;
+    events = (rawEvents || []).map(raw => JSON.parse(raw));
+  } else {
+    const entry = memoryStore.get(boardId);
+    if (entry) {
+      latestSeq = entry.seq;
+      events = entry.events;
+    }
+  }
+
+  if (since === null) return { latestSeq, events: [] };
+  return {
+    latestSeq,
+    events: events.filter(e => e.seq > since).reverse()
+  };
+}
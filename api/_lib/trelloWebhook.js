@@ -0,0 +1,21 @@
+/**
+ * Helpers shared by the Trello webhook functions (receiver and registration).
+ */
+
+import crypto from 'crypto';
+
+// Must match the callbackURL the webhook was registered with, byte for byte
+export const getCallbackUrl = (req) => {
+  if (process.env.TRELLO_WEBHOOK_CALLBACK_URL) return process.env.TRELLO_WEBHOOK_CALLBACK_URL;
+  const proto = req.headers['x-forwarded-proto'] || 'https';
+  return `${proto}://${req.headers.host}/api/trello-webhook`;
+};
+
+// Trello: base64(HMAC-SHA1(appSecret, body + callbackURL))
+export const isValidSignature = (rawBody, callbackUrl, signature, secret) => {
+  if (!signature) return false;
+  const expected = crypto.createHmac('sha1', secret).update(rawBody + callbackUrl).digest('base64');
+  const a = Buffer.from(expected);
+  const b = Buffer.from(signature);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
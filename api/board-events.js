@@ -0,0 +1,58 @@
+/**
+ * Long-poll endpoint delivering webhook events to dashboards
+ * Vercel Serverless Function
+ *
+ * GET /api/board-events?boardId=<id>&since=<seq>
+ * Holds the request open until events newer than `since` arrive or the wait expires.
+ * Omit `since` to just get the current cursor.
+ * Response: { latestSeq, events: [{ seq, type, cardId, listId, date }], reset }
+ */
+
+import { readBoardEvents } from './_lib/boardEventStore.js';
+
+// Stay well under the platform's function timeout
+const MAX_WAIT_MS = 8000;
+const POLL_INTERVAL_MS = 500;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { boardId, since } = req.query;
+
+  if (!boardId) {
+    return res.status(400).json({ error: 'Missing required field: boardId' });
+  }
+
+  const sinceSeq = since === undefined || since === '' ? null : Number(since);
+  if (sinceSeq !== null && Number.isNaN(sinceSeq)) {
+    return res.status(400).json({ error: 'since must be a number' });
+  }
+
+  try {
+    const deadline = Date.now() + MAX_WAIT_MS;
+    let result = await readBoardEvents(boardId, sinceSeq);
+
+    while (sinceSeq !== null && result.events.length === 0 && result.latestSeq >= sinceSeq && Date.now() < deadline) {
+      await sleep(POLL_INTERVAL_MS);
+      result = await readBoardEvents(boardId, sinceSeq);
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({
+      ...result,
+      // The store was wiped or expired (cursor from the future): client should resync and restart
+      reset: sinceSeq !== null && result.latestSeq < sinceSeq
+    });
+
+  } catch (error) {
+    console.error('Error reading board events:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Backend API function to register a Trello webhook for a board
+ * Vercel Serverless Function
+ *
+ * Request body: { boardId, token }  (token = the signed-in user's Trello token)
+ * Environment variables: TRELLO_API_KEY, TRELLO_APP_SECRET, TRELLO_WEBHOOK_CALLBACK_URL (optional)
+ */
+
+import { getCallbackUrl } from './_lib/trelloWebhook.js';
+
+const TRELLO_API_BASE = 'https://api.trello.com/1';
+
+export default async function handler(req, res) {
+  // Only accept POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { boardId, token } = req.body || {};
+
+  // Validate required fields
+  if (!boardId || !token) {
+    return res.status(400).json({ error: 'Missing required fields: boardId, token' });
+  }
+
+  const TRELLO_KEY = process.env.TRELLO_API_KEY;
+
+  // Without the app secret the receiver can't verify deliveries, so don't register at all
+  if (!TRELLO_KEY || !process.env.TRELLO_APP_SECRET) {
+    console.error('Missing TRELLO_API_KEY / TRELLO_APP_SECRET in environment variables');
+    return res.status(503).json({ error: 'Webhooks not configured' });
+  }
+
+  try {
+    const callbackURL = getCallbackUrl(req);
+    const params = new URLSearchParams({
+      key: TRELLO_KEY,
+      token,
+      idModel: boardId,
+      callbackURL,
+      description: `Trellops dashboard (${boardId})`
+    });
+
+    const response = await fetch(`${TRELLO_API_BASE}/webhooks?${params.toString()}`, {
+      method: 'POST'
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      // Trello refuses duplicates for the same token/model/callback: that's the outcome we want anyway
+      if (response.status === 400 && errorText.includes('already exists')) {
+        return res.status(200).json({ success: true, existing: true });
+      }
+      console.error(`Trello API error: ${response.status} - ${errorText}`);
+      return res.status(response.status).json({
+        error: `Failed to register webhook: ${response.statusText}`,
+        details: errorText
+      });
+    }
+
+    const data = await response.json();
+
+    return res.status(200).json({
+      success: true,
+      webhookId: data.id
+    });
+
+  } catch (error) {
+    console.error('Error registering Trello webhook:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Trello webhook receiver
+ * Vercel Serverless Function
+ *
+ * HEAD: Trello's verification request when a webhook is registered (must answer 200)
+ * POST: board action payload, signed with the app secret in the `x-trello-webhook` header
+ * Environment variables: TRELLO_APP_SECRET, TRELLO_WEBHOOK_CALLBACK_URL (optional, defaults to this URL)
+ */
+
+import { appendBoardEvent } from './_lib/boardEventStore.js';
+import { getCallbackUrl, isValidSignature } from './_lib/trelloWebhook.js';
+
+// Only changes that can affect tile counts are forwarded to clients
+const RELEVANT_ACTIONS = new Set([
+  'createCard', 'updateCard', 'deleteCard', 'copyCard', 'convertToCardFromCheckItem',
+  'moveCardToBoard', 'moveCardFromBoard', 'addLabelToCard', 'removeLabelFromCard',
+  'createList', 'updateList', 'moveListToBoard', 'moveListFromBoard'
+]);
+
+// The signature covers the exact bytes Trello sent, so we need the raw body rather than req.body
+const readRawBody = async (req) => {
+  if (typeof req.rawBody === 'string') return req.rawBody;
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+export default async function handler(req, res) {
+  // Trello checks the callback URL with a HEAD request before creating the webhook
+  if (req.method === 'HEAD') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const APP_SECRET = process.env.TRELLO_APP_SECRET;
+  if (!APP_SECRET) {
+    console.error('Missing TRELLO_APP_SECRET in environment variables');
+    return res.status(500).json({ error: 'Server misconfigured' });
+  }
+
+  try {
+    const rawBody = await readRawBody(req);
+    if (!isValidSignature(rawBody, getCallbackUrl(req), req.headers['x-trello-webhook'], APP_SECRET)) {
+      console.warn('Rejected Trello webhook with invalid signature');
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    const payload = JSON.parse(rawBody);
+    const action = payload.action || {};
+    const boardId = (payload.model && payload.model.id) || (action.data && action.data.board && action.data.board.id);
+
+    if (!boardId || !RELEVANT_ACTIONS.has(action.type)) {
+      return res.status(200).json({ ignored: true });
+    }
+
+    const data = action.data || {};
+    const event = await appendBoardEvent(boardId, {
+      actionId: action.id,
+      type: action.type,
+      date: action.date,
+      cardId: data.card ? data.card.id : null,
+      listId: data.list ? data.list.id : (data.listAfter ? data.listAfter.id : null)
+    });
+
+    return res.status(200).json({ success: true, seq: event.seq });
+
+  } catch (error) {
+    // A 5xx makes Trello retry the delivery
+    console.error('Error handling Trello webhook:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
+    });
+  }
+}
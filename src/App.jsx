@@ -1,7 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { trelloAuth, trelloFetch } from './api/trello';
-import { STORAGE_KEYS } from './utils/constants';
+import { clearBoardCache } from './api/boardCache';
+import { clearListHistory } from './api/listHistory';
 import { getUserData, setUserData, getCurrentUser, setCurrentUser } from './utils/persistence';
+import { initStorage } from './utils/storage';
+import { MAP_CARD_PARAM } from './utils/cardSearch';
 import { DarkModeProvider } from './context/DarkModeContext';
 import LandingPage from './components/common/LandingPage';
 import Dashboard from './components/Dashboard';
@@ -62,30 +65,32 @@ const App = () => {
         else if (path === '/settings') setView('settings');
         // else default to landing (or dashboard if logged in logic below decides)
 
-        const tokenFromUrl = trelloAuth.getTokenFromUrl();
-        if (tokenFromUrl) {
-            handleLoginSuccess(tokenFromUrl);
-        } else {
-            const loggedInUserId = getCurrentUser();
-            if (loggedInUserId) {
-                const userData = JSON.parse(localStorage.getItem(STORAGE_KEYS.USER_DATA)) || {};
-                const userSession = userData[loggedInUserId];
-                if (userSession && userSession.token) {
-                    handleLoginSuccess(userSession.token);
+        // Settings live in IndexedDB: load them (and migrate old localStorage data) before anything reads them
+        initStorage().then(() => {
+            const tokenFromUrl = trelloAuth.getTokenFromUrl();
+            if (tokenFromUrl) {
+                handleLoginSuccess(tokenFromUrl);
+            } else {
+                const loggedInUserId = getCurrentUser();
+                if (loggedInUserId) {
+                    const savedToken = getUserData(loggedInUserId, 'token');
+                    if (savedToken) {
+                        handleLoginSuccess(savedToken);
+                    } else {
+                        // Not logged in
+                        if (path !== '/map') setView('landing');
+                        // Note: forcing landing if not map. Maybe map needs public access? 
+                        // Current logic implies Map can be viewed? No, Map requires login usually.
+                        // But existing code allowed Map to set View 'map'. 
+                        // Let's keep existing behavior for Map but apply for logical routes.
+                        setLoading(false);
+                    }
                 } else {
-                    // Not logged in
                     if (path !== '/map') setView('landing');
-                    // Note: forcing landing if not map. Maybe map needs public access? 
-                    // Current logic implies Map can be viewed? No, Map requires login usually.
-                    // But existing code allowed Map to set View 'map'. 
-                    // Let's keep existing behavior for Map but apply for logical routes.
                     setLoading(false);
                 }
-            } else {
-                if (path !== '/map') setView('landing');
-                setLoading(false);
             }
-        }
+        });
     }, []);
 
     // Check if settings should be opened on load
@@ -233,6 +238,8 @@ const App = () => {
         setSettings(null);
         setView('landing');
         setPreviousView(null);
+        clearBoardCache();
+        clearListHistory();
         trelloAuth.logout();
     };
 
@@ -386,10 +393,10 @@ const App = () => {
                     setView('tasks');
                     window.history.pushState({}, '', '/tasks');
                 }}
-                onShowMap={() => {
+                onShowMap={({ cardId } = {}) => {
                     setPreviousView('dashboard');
                     setView('map');
-                    window.history.pushState({}, '', '/map');
+                    window.history.pushState({}, '', cardId ? `/map?${MAP_CARD_PARAM}=${cardId}` : '/map');
                 }}
                 slideshowContent={slideshowActive ? slideshowView : null}
                 onStartSlideshow={handleStartSlideshow}
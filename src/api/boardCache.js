@@ -0,0 +1,122 @@
+import { trelloFetch } from './trello';
+import { fetchLatestActionId, syncBoardCards } from './boardSync';
+import { idbGet, idbSet, idbDelete, idbClear, IDB_STORES } from '../utils/idb';
+
+// Shared cache for board data (lists, labels, cards), kept in memory and mirrored to IndexedDB.
+// Dashboard, MapView and StatisticsView all read through here, so views switching in the
+// slideshow render instantly and a board is only downloaded once per refresh interval.
+//
+// Revalidation is incremental: after the first full load only the board's actions since the last
+// sync are fetched and applied (see boardSync.js); a full download only happens when that fails.
+
+// Superset of the fields used by every view
+const LIST_FIELDS = 'id,name,color';
+const CARD_FIELDS = 'id,idList,pos,name,desc,closed,isTemplate,dateLastActivity,due,dueComplete,labels,shortUrl,coordinates';
+
+// Even when incremental syncs succeed, do a full download at least this often
+const FULL_RELOAD_INTERVAL_MS = 30 * 60 * 1000;
+
+// Views accept data checked slightly less than one refresh interval ago, so timer drift
+// between views sharing a board doesn't cause a second download in the same interval
+const REFRESH_SLACK_MS = 2000;
+
+const memoryCache = new Map(); // boardId -> { data, lastActionId, fetchedAt, checkedAt }
+const inFlight = new Map(); // boardId -> Promise<data>
+
+const readEntry = async (boardId) => {
+    if (memoryCache.has(boardId)) return memoryCache.get(boardId);
+    const stored = await idbGet(IDB_STORES.BOARD_CACHE, boardId);
+    if (stored && stored.data) {
+        // Another caller may have filled memory while we were reading IndexedDB
+        if (!memoryCache.has(boardId)) memoryCache.set(boardId, stored);
+        return memoryCache.get(boardId);
+    }
+    return null;
+};
+
+const writeEntry = (boardId, entry) => {
+    memoryCache.set(boardId, entry);
+    idbSet(IDB_STORES.BOARD_CACHE, boardId, entry);
+};
+
+const fetchFull = async (boardId, token) => {
+    // Take the action marker first so nothing that happens during the download is missed
+    const lastActionId = await fetchLatestActionId(boardId, token);
+    const [lists, labels, cards] = await Promise.all([
+        trelloFetch(`/boards/${boardId}/lists?cards=none&fields=${LIST_FIELDS}`, token),
+        trelloFetch(`/boards/${boardId}/labels`, token),
+        trelloFetch(`/boards/${boardId}/cards?fields=${CARD_FIELDS}`, token)
+    ]);
+    const now = Date.now();
+    const entry = { data: { lists, labels, cards }, lastActionId, fetchedAt: now, checkedAt: now };
+    writeEntry(boardId, entry);
+    return entry.data;
+};
+
+const revalidate = async (boardId, token, entry, force) => {
+    const canSync = !force && entry && entry.lastActionId && (Date.now() - entry.fetchedAt < FULL_RELOAD_INTERVAL_MS);
+    if (canSync) {
+        let result = null;
+        try {
+            result = await syncBoardCards(boardId, token, {
+                cards: entry.data.cards,
+                lastActionId: entry.lastActionId,
+                cardFields: CARD_FIELDS
+            });
+        } catch (e) {
+            console.warn(`[BoardCache] Incremental sync of ${boardId} failed, reloading the board`, e);
+        }
+        if (result) {
+            const data = result.changed ? { ...entry.data, cards: result.cards } : entry.data;
+            writeEntry(boardId, { ...entry, data, lastActionId: result.lastActionId, checkedAt: Date.now() });
+            return data;
+        }
+    }
+    return fetchFull(boardId, token);
+};
+
+/**
+ * Returns { lists, labels, cards } for a board.
+ * - Fresh cache (checked less than `maxAge` ms ago): returned without any network request.
+ * - Stale cache: `onCached(data)` is called right away so the view can render, then the
+ *   board is revalidated and the promise resolves with the up-to-date data.
+ * - `force`: skips the cache and the incremental sync (manual refresh).
+ * Concurrent calls for the same board share a single network round-trip.
+ */
+export const getBoardData = async (boardId, token, { maxAge = 0, force = false, onCached } = {}) => {
+    if (!boardId) throw new Error("No Board ID configured");
+
+    const entry = await readEntry(boardId);
+    if (entry && !force && Date.now() - entry.checkedAt < maxAge) {
+        return entry.data;
+    }
+    if (entry && onCached) onCached(entry.data);
+
+    if (inFlight.has(boardId)) return inFlight.get(boardId);
+
+    const promise = revalidate(boardId, token, entry, force)
+        .finally(() => inFlight.delete(boardId));
+    inFlight.set(boardId, promise);
+    return promise;
+};
+
+export const getRefreshMaxAge = (refreshSeconds) => Math.max(0, refreshSeconds * 1000 - REFRESH_SLACK_MS);
+
+// Apply a local change (e.g. a card moved or geocoded) so other views don't show stale values
+export const updateCachedCard = (boardId, cardId, patch) => {
+    const entry = memoryCache.get(boardId);
+    if (!entry) return;
+    const cards = entry.data.cards.map(c => c.id === cardId ? { ...c, ...patch } : c);
+    writeEntry(boardId, { ...entry, data: { ...entry.data, cards } });
+};
+
+export const invalidateBoardData = (boardId) => {
+    memoryCache.delete(boardId);
+    idbDelete(IDB_STORES.BOARD_CACHE, boardId);
+};
+
+// Called on logout: cached boards belong to the previous user
+export const clearBoardCache = () => {
+    memoryCache.clear();
+    idbClear(IDB_STORES.BOARD_CACHE);
+};
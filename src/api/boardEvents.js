@@ -0,0 +1,87 @@
+// Push channel for board changes, backed by the Trello webhook functions in /api.
+// Registers a webhook for the board, then long-polls /api/board-events and calls `onEvents`
+// whenever Trello reports a change. When the functions aren't deployed (e.g. `vite` dev server)
+// or webhooks aren't configured, it gives up quietly and the normal refresh timer carries on.
+
+const REGISTER_ENDPOINT = '/api/register-webhook';
+const EVENTS_ENDPOINT = '/api/board-events';
+const RETRY_DELAY_MS = 5000;
+const MAX_CONSECUTIVE_FAILURES = 5;
+
+const registeredBoards = new Set();
+
+const isJsonResponse = (response) => (response.headers.get('content-type') || '').includes('application/json');
+
+const registerWebhook = async (boardId, token, signal) => {
+    if (registeredBoards.has(boardId)) return true;
+    const response = await fetch(REGISTER_ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ boardId, token }),
+        signal
+    });
+    if (!response.ok || !isJsonResponse(response)) return false;
+    registeredBoards.add(boardId);
+    return true;
+};
+
+const wait = (ms, signal) => new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener('abort', () => { clearTimeout(timer); resolve(); }, { once: true });
+});
+
+/**
+ * Calls `onEvents(events)` with each batch of webhook events for the board.
+ * An empty array means "something may have been missed, resync".
+ * Returns an unsubscribe function.
+ */
+export const subscribeToBoardEvents = (boardId, token, onEvents) => {
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    const run = async () => {
+        try {
+            if (!(await registerWebhook(boardId, token, signal))) {
+                console.info('[BoardEvents] Webhooks unavailable, using interval refresh only');
+                return;
+            }
+        } catch (e) {
+            if (!signal.aborted) console.info('[BoardEvents] Webhook registration failed, using interval refresh only', e);
+            return;
+        }
+
+        let cursor = null;
+        let failures = 0;
+        let missedEvents = false;
+        while (!signal.aborted) {
+            try {
+                const params = new URLSearchParams({ boardId });
+                if (cursor !== null) params.set('since', cursor);
+                const response = await fetch(`${EVENTS_ENDPOINT}?${params.toString()}`, { signal, cache: 'no-store' });
+                if (!response.ok || !isJsonResponse(response)) throw new Error(`Board events error: ${response.status}`);
+
+                const { latestSeq, events, reset } = await response.json();
+                failures = 0;
+                if (reset || missedEvents) {
+                    missedEvents = false;
+                    onEvents([]);
+                } else if (events.length > 0) {
+                    onEvents(events);
+                }
+                cursor = latestSeq;
+            } catch (e) {
+                if (signal.aborted) return;
+                failures++;
+                console.warn(`[BoardEvents] Poll failed (${failures}/${MAX_CONSECUTIVE_FAILURES})`, e);
+                if (failures >= MAX_CONSECUTIVE_FAILURES) return;
+                // Events may have been dropped while we were offline: resync once we're back
+                cursor = null;
+                missedEvents = true;
+                await wait(RETRY_DELAY_MS, signal);
+            }
+        }
+    };
+
+    run();
+    return () => controller.abort();
+};
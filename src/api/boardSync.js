@@ -0,0 +1,103 @@
+import { trelloFetch } from './trello';
+
+// Incremental sync for the board cache.
+// After one full load we only ask Trello for the actions that happened since the last one we saw,
+// re-fetch the handful of cards they touched (via /batch) and patch them into the cached card list.
+// Anything we can't apply safely (list/label changes, a full page of actions meaning we may have
+// missed some, a batch item that failed) returns null so the caller falls back to a full reload.
+
+const CARD_ACTIONS = [
+    'createCard', 'updateCard', 'copyCard', 'convertToCardFromCheckItem',
+    'moveCardToBoard', 'addLabelToCard', 'removeLabelFromCard'
+];
+const REMOVED_CARD_ACTIONS = ['deleteCard', 'moveCardFromBoard'];
+// Structural changes: the lists/labels themselves changed, cheaper to reload everything
+const BOARD_ACTIONS = [
+    'createList', 'updateList', 'moveListToBoard', 'moveListFromBoard',
+    'createLabel', 'updateLabel', 'deleteLabel'
+];
+const ACTION_FILTER = [...CARD_ACTIONS, ...REMOVED_CARD_ACTIONS, ...BOARD_ACTIONS].join(',');
+
+const ACTIONS_PAGE_LIMIT = 1000;
+const BATCH_SIZE = 10; // Trello's /batch limit
+
+// Latest action on the board, used as the starting point for the next incremental sync
+export const fetchLatestActionId = async (boardId, token) => {
+    const actions = await trelloFetch(`/boards/${boardId}/actions?filter=${ACTION_FILTER}&limit=1&fields=id`, token);
+    return actions.length > 0 ? actions[0].id : null;
+};
+
+/**
+ * Applies the board's actions since `lastActionId` to `cards`.
+ * Returns { cards, lastActionId, changed } or null when a full reload is required.
+ */
+export const syncBoardCards = async (boardId, token, { cards, lastActionId, cardFields }) => {
+    if (!lastActionId) return null;
+
+    // Newest first
+    const actions = await trelloFetch(`/boards/${boardId}/actions?filter=${ACTION_FILTER}&since=${lastActionId}&limit=${ACTIONS_PAGE_LIMIT}&fields=id,type,data`, token);
+    if (actions.length === 0) return { cards, lastActionId, changed: false };
+
+    // A full page means older actions may be missing from the stream
+    if (actions.length >= ACTIONS_PAGE_LIMIT) return null;
+    if (actions.some(a => BOARD_ACTIONS.includes(a.type))) return null;
+
+    const removedIds = new Set();
+    const touchedIds = new Set();
+    actions.forEach(a => {
+        const cardId = a.data && a.data.card && a.data.card.id;
+        if (!cardId) return;
+        if (REMOVED_CARD_ACTIONS.includes(a.type)) removedIds.add(cardId);
+        else touchedIds.add(cardId);
+    });
+    // A card created and deleted in the same window only needs removing
+    removedIds.forEach(id => touchedIds.delete(id));
+
+    const ids = [...touchedIds];
+    const chunks = [];
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+        chunks.push(ids.slice(i, i + BATCH_SIZE));
+    }
+    const batchResults = await Promise.all(chunks.map(chunk => {
+        // Trello splits `urls` on commas: each route is encoded so its own field list stays in one piece
+        const batchUrls = chunk.map(id => encodeURIComponent(`/cards/${id}?fields=${cardFields}`)).join(',');
+        return trelloFetch(`/batch?urls=${batchUrls}`, token);
+    }));
+
+    const updatedCards = new Map();
+    for (let c = 0; c < chunks.length; c++) {
+        const batch = batchResults[c];
+        // Results are matched to the cards by position
+        if (!Array.isArray(batch) || batch.length !== chunks[c].length) return null;
+        for (let i = 0; i < chunks[c].length; i++) {
+            const item = batch[i] || {};
+            if (item['200']) {
+                updatedCards.set(chunks[c][i], item['200']);
+            } else if (item['404']) {
+                removedIds.add(chunks[c][i]); // Deleted since the action was recorded
+            } else {
+                return null;
+            }
+        }
+    }
+
+    const nextCards = [];
+    cards.forEach(card => {
+        if (removedIds.has(card.id)) return;
+        const updated = updatedCards.get(card.id);
+        if (updated) {
+            updatedCards.delete(card.id);
+            // Archived cards drop out of /boards/{id}/cards, so mirror that here
+            if (!updated.closed) nextCards.push(updated);
+        } else {
+            nextCards.push(card);
+        }
+    });
+    // Whatever is left is new to this board
+    updatedCards.forEach(card => {
+        if (!card.closed) nextCards.push(card);
+    });
+
+    console.log(`[BoardSync] ${boardId}: ${actions.length} actions, ${touchedIds.size} cards updated, ${removedIds.size} removed`);
+    return { cards: nextCards, lastActionId: actions[0].id, changed: true };
+};
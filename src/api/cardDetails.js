@@ -0,0 +1,39 @@
+import { trelloFetch } from './trello';
+
+// Full details of one card for the card details drawer (description, checklists, members, attachments,
+// latest comments), fetched when the card is opened. Kept in memory for a short while so reopening a card
+// doesn't hit the API again.
+
+const CACHE_MAX_AGE = 60 * 1000;
+export const COMMENTS_LIMIT = 5;
+
+const CARD_PARAMS = [
+    'fields=name,desc,due,dueComplete,start,shortUrl,labels,dateLastActivity,closed',
+    'checklists=all',
+    'checklist_fields=name,pos',
+    'members=true',
+    'member_fields=fullName,username,avatarUrl,initials',
+    'attachments=true',
+    'attachment_fields=name,url,date,bytes,mimeType',
+    'actions=commentCard',
+    `actions_limit=${COMMENTS_LIMIT}`,
+    'action_memberCreator_fields=fullName,username,avatarUrl,initials'
+].join('&');
+
+const memoryCache = new Map(); // cardId -> { card, fetchedAt }
+const inFlight = new Map(); // cardId -> Promise<card>
+
+export const getCardDetails = async (cardId, token) => {
+    const entry = memoryCache.get(cardId);
+    if (entry && Date.now() - entry.fetchedAt < CACHE_MAX_AGE) return entry.card;
+
+    if (inFlight.has(cardId)) return inFlight.get(cardId);
+    const promise = trelloFetch(`/cards/${cardId}?${CARD_PARAMS}`, token)
+        .then(card => {
+            memoryCache.set(cardId, { card, fetchedAt: Date.now() });
+            return card;
+        })
+        .finally(() => inFlight.delete(cardId));
+    inFlight.set(cardId, promise);
+    return promise;
+};
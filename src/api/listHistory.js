@@ -0,0 +1,86 @@
+import { trelloFetch } from './trello';
+import { idbGet, idbSet, IDB_STORES } from '../utils/idb';
+import { LIST_ENTRY_ACTIONS, applyMoveActions } from '../utils/listEntryTimes';
+
+// Card moves per board (see utils/listEntryTimes.js), kept in memory and mirrored to IndexedDB next to
+// the board cache. The first load pages back through the board's history; later loads only fetch the
+// actions since the newest one seen, like the board cache's incremental sync.
+
+const ACTIONS_PAGE_LIMIT = 1000;
+const MAX_PAGES = 10; // Older history is left out: those cards fall back to their creation date
+
+const ACTION_FILTER = LIST_ENTRY_ACTIONS.join(',');
+
+const cacheKey = (boardId) => `listHistory:${boardId}`;
+
+const memoryCache = new Map(); // boardId -> { moves, lastActionId, checkedAt, filter }
+const inFlight = new Map(); // boardId -> Promise<moves>
+
+// Newest first, paging back with `before` until a short page (or MAX_PAGES)
+const fetchMoveActions = async (boardId, token, sinceActionId) => {
+    const actions = [];
+    let before = null;
+    for (let page = 0; page < MAX_PAGES; page++) {
+        const params = [
+            `filter=${ACTION_FILTER}`,
+            `limit=${ACTIONS_PAGE_LIMIT}`,
+            'fields=id,type,date,data',
+            sinceActionId ? `since=${sinceActionId}` : null,
+            before ? `before=${before}` : null
+        ].filter(Boolean).join('&');
+        const batch = await trelloFetch(`/boards/${boardId}/actions?${params}`, token);
+        actions.push(...batch);
+        if (batch.length < ACTIONS_PAGE_LIMIT) break;
+        before = batch[batch.length - 1].id;
+    }
+    return actions;
+};
+
+const readEntry = async (boardId) => {
+    if (memoryCache.has(boardId)) return memoryCache.get(boardId);
+    const stored = await idbGet(IDB_STORES.BOARD_CACHE, cacheKey(boardId));
+    if (stored && stored.moves && !memoryCache.has(boardId)) memoryCache.set(boardId, stored);
+    const entry = memoryCache.get(boardId) || null;
+    // History recorded with other action types would miss moves: start again
+    return entry && entry.filter === ACTION_FILTER ? entry : null;
+};
+
+const refresh = async (boardId, token, entry) => {
+    const actions = await fetchMoveActions(boardId, token, entry ? entry.lastActionId : null);
+    const next = {
+        moves: applyMoveActions(entry ? entry.moves : {}, actions),
+        lastActionId: actions.length > 0 ? actions[0].id : (entry ? entry.lastActionId : null),
+        checkedAt: Date.now(),
+        filter: ACTION_FILTER
+    };
+    memoryCache.set(boardId, next);
+    idbSet(IDB_STORES.BOARD_CACHE, cacheKey(boardId), next);
+    return next.moves;
+};
+
+/**
+ * Returns the board's card moves ({ [cardId]: [[listId, timestamp], ...] }).
+ * History checked less than `maxAge` ms ago is returned without any network request.
+ */
+export const getListHistory = async (boardId, token, { maxAge = 0 } = {}) => {
+    if (!boardId) throw new Error("No Board ID configured");
+
+    const entry = await readEntry(boardId);
+    if (entry && Date.now() - entry.checkedAt < maxAge) return entry.moves;
+
+    if (inFlight.has(boardId)) return inFlight.get(boardId);
+    const promise = refresh(boardId, token, entry).finally(() => inFlight.delete(boardId));
+    inFlight.set(boardId, promise);
+    return promise;
+};
+
+// Merged moves of several boards (card ids are unique across boards)
+export const getListHistories = async (boardIds, token, options) => {
+    const histories = await Promise.all(boardIds.map(id => getListHistory(id, token, options)));
+    return Object.assign({}, ...histories);
+};
+
+// Called on logout, with clearBoardCache (which also empties the IndexedDB store)
+export const clearListHistory = () => {
+    memoryCache.clear();
+};
@@ -0,0 +1,176 @@
+// Shared scheduler for every Trello API request made by the app.
+// Dashboard, MapView, StatisticsView and TaskView all go through trelloFetch, so they
+// draw from the same budget instead of racing each other into a 429.
+//
+// Trello limits: 100 requests / 10s per token and 300 requests / 10s per API key.
+// We stay slightly under both so the odd request from another tab does not tip us over.
+
+const TOKEN_BUDGET = { limit: 90, windowMs: 10000 };
+const KEY_BUDGET = { limit: 280, windowMs: 10000 };
+const MAX_CONCURRENT = 6;
+const MAX_RETRIES = 4;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+
+// Methods that are safe to replay after a 5xx (the server may have applied them already).
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS']);
+
+const queue = [];
+const budgets = new Map(); // budgetKey -> array of request timestamps
+const pausedUntil = new Map(); // budgetKey -> timestamp (from Retry-After / 429)
+const listeners = new Set();
+let inFlight = 0;
+let pumpTimer = null;
+
+const getBudgetKeys = (job) => [`token:${job.token}`, `key:${job.apiKey}`];
+
+const getBudgetConfig = (budgetKey) => budgetKey.startsWith('token:') ? TOKEN_BUDGET : KEY_BUDGET;
+
+const pruneBudget = (budgetKey, now) => {
+    const { windowMs } = getBudgetConfig(budgetKey);
+    const stamps = (budgets.get(budgetKey) || []).filter(t => now - t < windowMs);
+    budgets.set(budgetKey, stamps);
+    return stamps;
+};
+
+// Returns 0 when the job can be sent now, otherwise how long to wait (ms).
+const getWaitTime = (job, now) => {
+    let wait = Math.max(0, job.notBefore - now);
+    getBudgetKeys(job).forEach(budgetKey => {
+        const paused = pausedUntil.get(budgetKey) || 0;
+        if (paused > now) wait = Math.max(wait, paused - now);
+
+        const { limit, windowMs } = getBudgetConfig(budgetKey);
+        const stamps = pruneBudget(budgetKey, now);
+        if (stamps.length >= limit) {
+            wait = Math.max(wait, stamps[0] + windowMs - now);
+        }
+    });
+    return wait;
+};
+
+const parseRetryAfter = (response) => {
+    const header = response.headers && response.headers.get('Retry-After');
+    if (!header) return null;
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    return null;
+};
+
+// Exponential backoff with "equal jitter": half fixed, half random.
+const getBackoffDelay = (attempt) => {
+    const exp = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * Math.pow(2, attempt));
+    return exp / 2 + Math.random() * (exp / 2);
+};
+
+export const getRequestQueueStats = () => {
+    const now = Date.now();
+    const pauses = Array.from(pausedUntil.values()).filter(t => t > now);
+    return {
+        queued: queue.length,
+        inFlight,
+        pausedUntil: pauses.length > 0 ? Math.max(...pauses) : null
+    };
+};
+
+const notify = () => {
+    const stats = getRequestQueueStats();
+    listeners.forEach(listener => {
+        try { listener(stats); } catch (e) { console.warn('[RequestQueue] Listener failed', e); }
+    });
+};
+
+export const subscribeToRequestQueue = (listener) => {
+    listeners.add(listener);
+    listener(getRequestQueueStats());
+    return () => listeners.delete(listener);
+};
+
+const schedulePump = (delay) => {
+    if (pumpTimer) clearTimeout(pumpTimer);
+    pumpTimer = setTimeout(() => {
+        pumpTimer = null;
+        pump();
+    }, delay);
+};
+
+const runJob = async (job) => {
+    inFlight++;
+    const now = Date.now();
+    getBudgetKeys(job).forEach(budgetKey => pruneBudget(budgetKey, now).push(now));
+    notify();
+
+    try {
+        const response = await job.execute();
+        const retryable = response.status === 429 || (response.status >= 500 && IDEMPOTENT_METHODS.has(job.method));
+
+        if (retryable && job.attempt < MAX_RETRIES) {
+            const retryAfter = parseRetryAfter(response);
+            const delay = retryAfter !== null ? retryAfter : getBackoffDelay(job.attempt);
+
+            // A 429 means the whole budget is spent, so hold every request on it, not just this one.
+            if (response.status === 429) {
+                const until = Date.now() + delay;
+                getBudgetKeys(job).forEach(budgetKey => {
+                    pausedUntil.set(budgetKey, Math.max(pausedUntil.get(budgetKey) || 0, until));
+                });
+            }
+
+            console.warn(`[RequestQueue] ${response.status} on ${job.label}, retry ${job.attempt + 1}/${MAX_RETRIES} in ${Math.round(delay)}ms`);
+            job.attempt++;
+            job.notBefore = Date.now() + delay;
+            queue.unshift(job);
+        } else {
+            job.resolve(response);
+        }
+    } catch (e) {
+        job.reject(e);
+    } finally {
+        inFlight--;
+        notify();
+        pump();
+    }
+};
+
+const pump = () => {
+    const now = Date.now();
+    let nextWake = null;
+
+    for (let i = 0; i < queue.length && inFlight < MAX_CONCURRENT;) {
+        const job = queue[i];
+        const wait = getWaitTime(job, now);
+        if (wait === 0) {
+            queue.splice(i, 1);
+            runJob(job);
+        } else {
+            nextWake = nextWake === null ? wait : Math.min(nextWake, wait);
+            i++;
+        }
+    }
+
+    if (nextWake !== null) schedulePump(nextWake);
+    notify();
+};
+
+/**
+ * Queues a Trello request. `execute` must perform the fetch and return the Response.
+ * Resolves with the final Response once it is not a retryable failure (or retries are exhausted).
+ */
+export const scheduleTrelloRequest = (execute, { token, apiKey, method = 'GET', label = '' } = {}) => {
+    return new Promise((resolve, reject) => {
+        queue.push({
+            execute,
+            resolve,
+            reject,
+            token,
+            apiKey,
+            method: method.toUpperCase(),
+            label,
+            attempt: 0,
+            notBefore: 0
+        });
+        pump();
+    });
+};
@@ -1,4 +1,5 @@
 import { TRELLO_API_BASE, TRELLO_API_KEY } from '../utils/constants';
+import { scheduleTrelloRequest } from './requestQueue';
 
 export const trelloAuth = {
     login: (scope = 'read') => {
@@ -25,7 +26,10 @@ export const trelloAuth = {
     checkTokenScopes: async (token) => {
         if (!token) return [];
         try {
-            const response = await fetch(`${TRELLO_API_BASE}/tokens/${token}?key=${TRELLO_API_KEY}&token=${token}`);
+            const response = await scheduleTrelloRequest(
+                () => fetch(`${TRELLO_API_BASE}/tokens/${token}?key=${TRELLO_API_KEY}&token=${token}`),
+                { token, apiKey: TRELLO_API_KEY, label: '/tokens' }
+            );
             if (response.ok) {
                 const data = await response.json();
                 return data.permissions ? data.permissions.map(p => p.read === true ? 'read' : '').concat(data.permissions.map(p => p.write === true ? 'write' : '')).filter(Boolean) : [];
@@ -46,7 +50,13 @@ export const trelloFetch = async (path, token, options = {}) => {
 
     console.log(`[TrelloAPI] ${options.method || 'GET'} ${path}`, { options, url });
 
-    const response = await fetch(url, options);
+    // All requests share one rate-limit aware queue (retries 429/5xx with backoff)
+    const response = await scheduleTrelloRequest(() => fetch(url, options), {
+        token,
+        apiKey,
+        method: options.method || 'GET',
+        label: path
+    });
 
     if (response.ok) {
         console.log(`[TrelloAPI] Response OK ${response.status} for ${path}`);
@@ -63,7 +73,7 @@ export const trelloFetch = async (path, token, options = {}) => {
             // Not a JSON response, just use the raw text.
         }
 
-        // Check specifically for Rate Limit error (429)
+        // Check specifically for Rate Limit error (429) - only reached once the queue gave up retrying
         if (response.status === 429) {
             throw new Error(`Rate limit exceeded (429): Trello API requests too fast/frequent.`);
         }
@@ -1,6 +1,29 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
-import { trelloFetch } from '../api/trello';
-import { STORAGE_KEYS, DEFAULT_LAYOUT, TIME_FILTERS } from '../utils/constants';
+import { getBoardData, getRefreshMaxAge } from '../api/boardCache';
+import { subscribeToBoardEvents } from '../api/boardEvents';
+import { getListHistories } from '../api/listHistory';
+import { DEFAULT_LAYOUT } from '../utils/constants';
+import { getTimeFilterTitle } from '../utils/timeFilters';
+import { getBoardStore, setBoardStore, updateBoardStore, BOARD_NAMESPACES } from '../utils/storage';
+import { getThresholdLevel, isThresholdSet, updateBreaches, formatBreachDuration, THRESHOLD_LEVELS } from '../utils/thresholds';
+import { summarizeCardAges, getAgeBucketColor, getAgeBucketLabels, formatAge, AGE_BASES, DEFAULT_AGE_BUCKETS } from '../utils/cardAge';
+import { filterTileCards } from '../utils/cardFilters';
+import { MAP_CARD_PARAM } from '../utils/cardSearch';
+import {
+    createFilterPreset, getPresetFilters, isPresetActive, readLabelFilterParams, writeLabelFilterParams, hasFilterUrlParams
+} from '../utils/filterPresets';
+import { withListEntryTimes } from '../utils/listEntryTimes';
+import { computeFlowTimes } from '../utils/flowMetrics';
+import { buildReportContent, downloadReportPdf, isReportDue } from '../utils/boardReport';
+import { toDateInputValue } from '../utils/helpers';
+import { CUSTOM_RANGE, getSelectionRange, getSelectionLabel } from '../utils/dateRange';
+import useDateRange from '../hooks/useDateRange';
+import { recordTileCounts, getTileDelta, getSparklinePoints, DELTA_REFERENCE_LABELS } from '../utils/tileHistory';
+import {
+    buildListSnapshot, compactSnapshot, detectTileAlerts, hasNotificationRule, isInQuietHours,
+    playAlertSound, showDesktopNotification
+} from '../utils/notifications';
+import { mergeBoardData, getDashboardBoardIds } from '../utils/multiBoard';
 import {
     getPersistentColors, getPersistentLayout, setPersistentLayout
 } from '../utils/persistence';
@@ -14,29 +37,35 @@ import LabelFilter from './common/LabelFilter';
 import MapView from './MapView'; // For Slideshow
 // import { formatCountdown } from '../utils/timeUtils'; // Removed as unused/replaced
 import HamburgerMenu from './common/HamburgerMenu';
+import RequestQueueIndicator from './common/RequestQueueIndicator';
+import Sparkline from './common/Sparkline';
+import DateRangePicker from './common/DateRangePicker';
+import ReportBuilderModal from './common/ReportBuilderModal';
+import CardSearchPalette from './common/CardSearchPalette';
+import FilterPresetPicker from './common/FilterPresetPicker';
 import '../styles/map.css';
 
 const Dashboard = ({ user, settings, onShowSettings, onLogout, onShowTasks, onShowMap, onGoToStats, isEmbedded, slideshowContent, onStopSlideshow, onStartSlideshow, keepScreenOn, onToggleScreenLock }) => {
     // DATA STATE
-    const [allCards, setAllCards] = useState([]);
-    const [allListsMap, setAllListsMap] = useState(new Map());
-    const [boardLabels, setBoardLabels] = useState([]);
+    const [boardsData, setBoardsData] = useState(new Map()); // boardId -> { lists, labels, cards }
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
     const [countdown, setCountdown] = useState(30);
 
     // FILTER STATE
-    const [timeFilter, setTimeFilter] = useState('all');
-    const [selectedLabelIds, setSelectedLabelIds] = useState(null); // null = All
-    const [labelLogic, setLabelLogic] = useState('OR'); // 'AND' or 'OR'
+    // A bookmarked / shared URL carries the label filter (see utils/filterPresets); read before the
+    // time filter writes its own parameter
+    const [urlLabelFilter] = useState(() => isEmbedded ? null : readLabelFilterParams());
+    const [openedWithUrlFilters] = useState(() => !isEmbedded && hasFilterUrlParams());
+    const [selectedLabelIds, setSelectedLabelIds] = useState(urlLabelFilter ? urlLabelFilter.selectedLabelIds : null); // null = All
+    const [labelLogic, setLabelLogic] = useState(urlLabelFilter ? urlLabelFilter.labelLogic : 'OR'); // 'AND' or 'OR'
 
 
     const [enableMapView, setEnableMapView] = useState(() => {
         if (settings && settings.enableMapView !== undefined) return settings.enableMapView;
         const boardIdLocal = settings?.boardId;
         if (!boardIdLocal) return false;
-        const stored = localStorage.getItem(`ENABLE_MAP_VIEW_${boardIdLocal}`);
-        return stored === 'true';
+        return getBoardStore(boardIdLocal, BOARD_NAMESPACES.DISPLAY).enableMapView === true;
     });
     const timerRef = useRef(null);
     const [showMapDropdown, setShowMapDropdown] = useState(false);
@@ -51,10 +80,7 @@ const Dashboard = ({ user, settings, onShowSettings, onLogout, onShowTasks, onSh
             if (settings.enableMapView !== undefined) {
                 setEnableMapView(settings.enableMapView);
             } else if (settings.boardId) {
-                try {
-                    const stored = localStorage.getItem(`ENABLE_MAP_VIEW_${settings.boardId}`);
-                    setEnableMapView(stored === 'true');
-                } catch (e) { }
+                setEnableMapView(getBoardStore(settings.boardId, BOARD_NAMESPACES.DISPLAY).enableMapView === true);
             }
         }
     }, [settings]);
@@ -62,6 +88,8 @@ const Dashboard = ({ user, settings, onShowSettings, onLogout, onShowTasks, onSh
     const [modalList, setModalList] = useState(null);
 
     const boardId = settings?.boardId;
+    const [timeRange, setTimeRange] = useDateRange(boardId, 'dashboard', 'all', { syncUrl: !isEmbedded });
+    const timeFilter = timeRange.filter;
     const boardName = settings?.boardName;
     const listsFromSettings = settings?.selectedLists || [];
 
@@ -78,9 +106,7 @@ const Dashboard = ({ user, settings, onShowSettings, onLogout, onShowTasks, onSh
 
     const effectiveSeconds = useMemo(() => {
         try {
-            const savedRefresh = localStorage.getItem(STORAGE_KEYS.REFRESH_INTERVAL + boardId);
-            const defaultRefreshSetting = { value: 1, unit: 'minutes' };
-            const refreshSetting = savedRefresh ? JSON.parse(savedRefresh) : defaultRefreshSetting;
+            const refreshSetting = getBoardStore(boardId, BOARD_NAMESPACES.DISPLAY).refreshInterval;
             const calculatedSeconds = convertIntervalToSeconds(refreshSetting.value, refreshSetting.unit);
             return calculatedSeconds < 15 ? 15 : calculatedSeconds;
         } catch (e) {
@@ -88,34 +114,257 @@ const Dashboard = ({ user, settings, onShowSettings, onLogout, onShowTasks, onSh
         }
     }, [boardId]);
 
-    const ignoreTemplateCards = localStorage.getItem(STORAGE_KEYS.IGNORE_TEMPLATE_CARDS + boardId) !== 'false';
-    const ignoreCompletedCards = localStorage.getItem(STORAGE_KEYS.IGNORE_COMPLETED_CARDS + boardId) === 'true';
-    const ignoreNoDescCards = localStorage.getItem('IGNORE_NO_DESC_CARDS_' + boardId) === 'true';
+    const {
+        ignoreTemplateCards, ignoreCompletedCards, ignoreNoDescCards, linkedBoards, tileThresholds,
+        notifications, tileNotifications, tileTrends, shiftStarts, timeFilterBasis, timeZone, weekStart, businessHours
+    } = getBoardStore(boardId, BOARD_NAMESPACES.DISPLAY);
+    const timeOptions = useMemo(() => ({ timeZone, weekStart, businessHours }), [timeZone, weekStart, businessHours]);
+
+    // FILTER PRESETS: named label / time filters of the board, the default one applied when the dashboard opens
+    const [filterPresets, setFilterPresets] = useState(() => getBoardStore(boardId, BOARD_NAMESPACES.DISPLAY).filterPresets);
+    const [defaultFilterPreset, setDefaultFilterPreset] = useState(() => getBoardStore(boardId, BOARD_NAMESPACES.DISPLAY).defaultFilterPreset);
+
+    const applyFilterPreset = (preset) => {
+        const filters = getPresetFilters(preset);
+        setSelectedLabelIds(filters.selectedLabelIds);
+        setLabelLogic(filters.labelLogic);
+        setTimeRange(filters.timeRange);
+    };
+
+    const presetBoardIdRef = useRef(null);
+    useEffect(() => {
+        const firstLoad = presetBoardIdRef.current === null;
+        presetBoardIdRef.current = boardId;
+        const display = getBoardStore(boardId, BOARD_NAMESPACES.DISPLAY);
+        setFilterPresets(display.filterPresets);
+        setDefaultFilterPreset(display.defaultFilterPreset);
+        // Filters in the URL win over the default preset
+        if (firstLoad && openedWithUrlFilters) return;
+        const preset = display.filterPresets.find(p => p.id === display.defaultFilterPreset);
+        if (preset) {
+            applyFilterPreset(preset);
+        } else if (!firstLoad) {
+            // Another board's labels
+            setSelectedLabelIds(null);
+            setLabelLogic('OR');
+        }
+    }, [boardId]);
+
+    useEffect(() => {
+        if (isEmbedded) return;
+        const url = new URL(window.location.href);
+        writeLabelFilterParams(url, { selectedLabelIds, labelLogic });
+        if (url.href !== window.location.href) window.history.replaceState(window.history.state, '', url);
+    }, [selectedLabelIds, labelLogic, isEmbedded]);
+
+    const saveFilterPresets = (presets, defaultId) => {
+        setFilterPresets(presets);
+        setDefaultFilterPreset(defaultId);
+        updateBoardStore(boardId, BOARD_NAMESPACES.DISPLAY, display => ({ ...display, filterPresets: presets, defaultFilterPreset: defaultId }));
+    };
+
+    const currentFilters = { selectedLabelIds, labelLogic, timeRange };
+    const activeFilterPreset = filterPresets.find(p => isPresetActive(p, currentFilters));
+    const presetPickerProps = {
+        presets: filterPresets,
+        activePresetId: activeFilterPreset ? activeFilterPreset.id : null,
+        defaultPresetId: defaultFilterPreset,
+        onApply: applyFilterPreset,
+        onSave: (name) => saveFilterPresets([...filterPresets, createFilterPreset(name, currentFilters)], defaultFilterPreset),
+        onSetDefault: (id) => saveFilterPresets(filterPresets, id),
+        onDelete: (id) => saveFilterPresets(filterPresets.filter(p => p.id !== id), defaultFilterPreset === id ? null : defaultFilterPreset)
+    };
+
+    // Card moves are only downloaded when the time filter or a section's card age needs them
+    const needsListHistory = timeFilterBasis === AGE_BASES.ENTERED_LIST
+        || sectionsLayout.some(s => s.showCardAge && s.ageBasis === AGE_BASES.ENTERED_LIST);
+    const [listMoves, setListMoves] = useState(null); // { [cardId]: [[listId, timestamp], ...] } (see utils/listEntryTimes)
+
+    // Every board the dashboard reads from: its own board first, then the linked boards
+    const boardIdsKey = getDashboardBoardIds(boardId, linkedBoards).join(',');
+    const boardIds = useMemo(() => boardIdsKey ? boardIdsKey.split(',') : [], [boardIdsKey]);
+
+    const { lists: allListsMap, labels: boardLabels, labelAliases, cards: allCards } = useMemo(
+        () => mergeBoardData(boardIds, boardsData),
+        [boardIds, boardsData]
+    );
+
+    // Cards each tile counts before the dashboard filters (time, labels) are applied
+    const getCountableCardsByList = (cards) => {
+        const byList = new Map(sectionsLayout.flatMap(s => s.listIds).map(listId => [listId, []]));
+        cards.forEach(c => { if (byList.has(c.idList)) byList.get(c.idList).push(c); });
+        byList.forEach((listCards, listId) => {
+            const block = sectionsLayout.find(s => s.listIds.includes(listId));
+            byList.set(listId, filterTileCards(listCards, {
+                ignoreFirstCard: block?.ignoreFirstCard, ignoreTemplateCards, ignoreCompletedCards, ignoreNoDescCards
+            }).included);
+        });
+        return byList;
+    };
+
+    // HISTORY: every refresh adds a point per tile, for sparklines and deltas
+    const [tileHistory, setTileHistory] = useState(() => getBoardStore(boardId, BOARD_NAMESPACES.TILE_HISTORY));
+    useEffect(() => {
+        setTileHistory(getBoardStore(boardId, BOARD_NAMESPACES.TILE_HISTORY));
+    }, [boardId]);
+
+    const recordHistory = (countableCardsByList) => {
+        const counts = {};
+        countableCardsByList.forEach((listCards, listId) => { counts[listId] = listCards.length; });
+        const next = recordTileCounts(getBoardStore(boardId, BOARD_NAMESPACES.TILE_HISTORY), counts);
+        setBoardStore(boardId, BOARD_NAMESPACES.TILE_HISTORY, next);
+        setTileHistory(next);
+    };
+
+    // Sparkline points and deltas for the tiles that show them
+    const trends = useMemo(() => {
+        const now = Date.now();
+        const byList = {};
+        Object.entries(tileTrends).forEach(([listId, options]) => {
+            const points = tileHistory[listId];
+            if (!points || points.length === 0) return;
+            const delta = getTileDelta(points, options.delta, { shiftStarts, now });
+            byList[listId] = {
+                sparkline: options.sparkline ? getSparklinePoints(points, options.hours, now) : null,
+                delta,
+                deltaLabel: delta !== null ? DELTA_REFERENCE_LABELS[options.delta] : null
+            };
+        });
+        return byList;
+    }, [tileHistory, tileTrends, shiftStarts]);
+
+    // ALERTS: each fresh fetch is compared with the previous one for the tiles with notification rules
+    const checkAlerts = (results, countableCardsByList) => {
+        const watchedListIds = Object.keys(tileNotifications).filter(listId => hasNotificationRule(tileNotifications[listId]));
+        if (!notifications.enabled || watchedListIds.length === 0) return;
+
+        const listNames = new Map(results.flatMap(([, data]) => data.lists.map(l => [l.id, l.name])));
+        const snapshot = buildListSnapshot(countableCardsByList, watchedListIds, tileThresholds);
+        const previous = getBoardStore(boardId, BOARD_NAMESPACES.NOTIFICATION_STATE);
+        setBoardStore(boardId, BOARD_NAMESPACES.NOTIFICATION_STATE, compactSnapshot(snapshot));
+
+        // Changes during quiet hours are recorded but not announced later
+        if (isInQuietHours(notifications.quietHours)) return;
+
+        const alerts = detectTileAlerts(previous, snapshot, tileNotifications);
+        alerts.forEach(alert => {
+            showDesktopNotification(`${listNames.get(alert.listId) || 'Tile'} · ${boardName}`, alert.messages.join('\n'), `trellops:${boardId}:${alert.listId}`);
+        });
+        // One sound per refresh, for the most severe alert
+        const audible = alerts.filter(a => a.sound);
+        if (audible.length > 0) {
+            const critical = audible.some(a => a.level === THRESHOLD_LEVELS.CRITICAL);
+            playAlertSound(critical ? THRESHOLD_LEVELS.CRITICAL : audible[0].level);
+        }
+    };
+
+    // REPORTS: PDF of the dashboard data for the period of the board's report template (see utils/boardReport)
+    const [showReportBuilder, setShowReportBuilder] = useState(false);
+
+    // `data`: merged board data ({ lists, cards }, see utils/multiBoard)
+    const generateReport = async (template, data) => {
+        const flowDoneLists = settings?.statistics?.flowDoneLists || [];
+        const needsMoves = flowDoneLists.length > 0 || sectionsLayout.some(s => s.ageBasis === AGE_BASES.ENTERED_LIST);
+        const moves = needsMoves
+            ? (listMoves || await getListHistories(boardIds, user.token, { maxAge: getRefreshMaxAge(effectiveSeconds) }))
+            : null;
+        const cards = moves ? withListEntryTimes(data.cards, moves) : data.cards;
+        // Same completion dates as the statistics view: entering a done list, or else a completed due date
+        const completedDates = flowDoneLists.length > 0
+            ? computeFlowTimes(cards, moves, { startListIds: settings.statistics.flowStartLists, doneListIds: flowDoneLists }).map(item => new Date(item.doneAt))
+            : cards.filter(c => c.dueComplete && c.due).map(c => new Date(c.due));
+
+        const content = buildReportContent({
+            template,
+            boardName,
+            sections: sectionsLayout,
+            lists: data.lists,
+            countableCardsByList: getCountableCardsByList(cards),
+            cards,
+            completedDates,
+            timeOptions
+        });
+        return downloadReportPdf(content, `${boardName}-report-${toDateInputValue(new Date())}`);
+    };
+
+    const runScheduledReport = (results) => {
+        const template = getBoardStore(boardId, BOARD_NAMESPACES.REPORT_TEMPLATE);
+        if (!isReportDue(template)) return;
+        // Marked as run first, so a report that fails isn't retried at every refresh
+        updateBoardStore(boardId, BOARD_NAMESPACES.REPORT_TEMPLATE, stored => ({ ...stored, lastRunAt: Date.now() }));
+        generateReport(template, mergeBoardData(boardIds, new Map(results)))
+            .catch(e => console.warn('[Dashboard] Scheduled report failed', e));
+    };
+
+    const handleSaveReportTemplate = (template) => {
+        // The builder's copy may predate a scheduled run: keep the stored lastRunAt so it isn't run twice
+        updateBoardStore(boardId, BOARD_NAMESPACES.REPORT_TEMPLATE, stored => ({ ...template, lastRunAt: stored.lastRunAt }));
+        setShowReportBuilder(false);
+    };
+
+    const handleGenerateReport = async (template) => {
+        try {
+            await generateReport(template, { lists: allListsMap, cards: allCards });
+        } catch (e) {
+            console.error('Report error:', e);
+            alert(`Could not generate the report: ${e.message}`);
+        }
+    };
+
+    const afterRefresh = (results) => {
+        const countableCardsByList = getCountableCardsByList(results.flatMap(([, data]) => data.cards));
+        recordHistory(countableCardsByList);
+        checkAlerts(results, countableCardsByList);
+        runScheduledReport(results);
+    };
+    const afterRefreshRef = useRef(afterRefresh);
+    afterRefreshRef.current = afterRefresh;
 
     // FETCH DATA
     const isFetchingRef = useRef(false);
 
-    const fetchData = useCallback(async (manual = false) => {
+    const pendingPushRef = useRef(new Set()); // boards with webhook events that arrived mid-fetch
+
+    // `pushedBoardId`: the board a webhook reported a change on, read fresh; the others may come from the cache
+    const fetchData = useCallback(async (manual = false, pushedBoardId = null) => {
         if (manual || loading) setLoading(true);
-        if (isFetchingRef.current) return;
+        if (isFetchingRef.current) {
+            // Don't drop a webhook notification that lands mid-fetch
+            if (pushedBoardId) pendingPushRef.current.add(pushedBoardId);
+            return;
+        }
         isFetchingRef.current = true;
         setError('');
 
         try {
-            if (!boardId) throw new Error("No Board ID configured");
-
-            // Fetch Lists, Labels, Cards in parallel
-            const [listsData, labelsData, cardsData] = await Promise.all([
-                trelloFetch(`/boards/${boardId}/lists?cards=none&fields=id,name,color`, user.token),
-                trelloFetch(`/boards/${boardId}/labels`, user.token),
-                trelloFetch(`/boards/${boardId}/cards?fields=id,idList,pos,name,desc,isTemplate,dateLastActivity,dueComplete,labels`, user.token)
-            ]);
+            const applyBoardData = (entries) => setBoardsData(prev => {
+                const next = new Map(prev);
+                entries.forEach(([id, data]) => next.set(id, data));
+                // Drop boards that were unlinked
+                Array.from(next.keys()).forEach(id => { if (!boardIds.includes(id)) next.delete(id); });
+                return next;
+            });
 
-            const listsMap = new Map();
-            listsData.forEach(l => listsMap.set(l.id, l));
-            setAllListsMap(listsMap);
-            setBoardLabels(labelsData);
-            setAllCards(cardsData); // Store RAW cards
+            // All boards are fetched together and applied in one update, so tiles from different boards
+            // always show the same refresh. The shared board cache means other views refreshing one of
+            // these boards within this interval count as our fetch.
+            const results = await Promise.all(boardIds.map(async (id) => {
+                const data = await getBoardData(id, user.token, {
+                    force: manual,
+                    maxAge: id === pushedBoardId ? 0 : getRefreshMaxAge(effectiveSeconds),
+                    onCached: (cached) => { applyBoardData([[id, cached]]); setLoading(false); }
+                });
+                return [id, data];
+            }));
+            applyBoardData(results);
+            afterRefreshRef.current(results);
+
+            if (needsListHistory) {
+                // Not worth failing the refresh for: cards fall back to their creation date meanwhile
+                getListHistories(boardIds, user.token, { maxAge: manual ? 0 : getRefreshMaxAge(effectiveSeconds) })
+                    .then(setListMoves)
+                    .catch(e => console.warn('[Dashboard] Could not load list history', e));
+            }
 
         } catch (e) {
             console.error("Dashboard fetch error:", e);
@@ -127,8 +376,22 @@ const Dashboard = ({ user, settings, onShowSettings, onLogout, onShowTasks, onSh
         } finally {
             isFetchingRef.current = false;
             setLoading(false);
+            if (pendingPushRef.current.size > 0) {
+                const pending = Array.from(pendingPushRef.current);
+                pendingPushRef.current.clear();
+                setTimeout(() => pending.forEach(id => fetchDataRef.current(false, id)), 0);
+            }
         }
-    }, [boardId, user.token, loading]);
+    }, [boardIds, user.token, loading, effectiveSeconds, needsListHistory]);
+
+    // PUSH UPDATES: webhook events trigger an immediate incremental sync between timer ticks
+    const fetchDataRef = useRef(fetchData);
+    fetchDataRef.current = fetchData;
+    useEffect(() => {
+        if (boardIds.length === 0 || !user.token) return;
+        const unsubscribes = boardIds.map(id => subscribeToBoardEvents(id, user.token, () => fetchDataRef.current(false, id)));
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [boardIds, user.token]);
 
     // AUTO REFRESH
     useEffect(() => {
@@ -159,30 +422,18 @@ const Dashboard = ({ user, settings, onShowSettings, onLogout, onShowTasks, onSh
     const counts = useMemo(() => {
         const countsMap = new Map();
         if (allCards.length === 0) return countsMap;
+        const cards = listMoves ? withListEntryTimes(allCards, listMoves) : allCards;
 
         // 1. Group cards by list
         const cardsByList = new Map();
-        allCards.forEach(c => {
+        cards.forEach(c => {
             if (!cardsByList.has(c.idList)) cardsByList.set(c.idList, []);
             cardsByList.get(c.idList).push(c);
         });
 
         // 2. Determine Time Filter Dates
-        const filterConfig = TIME_FILTERS[timeFilter];
-        let sinceDate = null;
-        let beforeDate = null;
-        if (filterConfig) {
-            if (filterConfig.type === 'relative' && timeFilter !== 'all') {
-                const now = new Date();
-                now.setMinutes(now.getMinutes() - filterConfig.minutes);
-                sinceDate = now;
-            } else if (filterConfig.type === 'calendar') {
-                if (filterConfig.start) sinceDate = filterConfig.start;
-                if (filterConfig.end && timeFilter !== 'this_month' && timeFilter !== 'this_week') {
-                    beforeDate = filterConfig.end;
-                }
-            }
-        }
+        // Evaluated at every refresh, so calendar periods move on at midnight
+        const timeRangeDates = getSelectionRange(timeRange, timeOptions);
 
         // 3. Process each list in layout
         const persistentColorsCopy = getPersistentColors(user.id);
@@ -192,64 +443,18 @@ const Dashboard = ({ user, settings, onShowSettings, onLogout, onShowTasks, onSh
         uniqueListIds.forEach(listId => {
             if (!allListsMap.has(listId)) return; // Skip phantom lists (deleted from Trello)
 
-            const listCards = (cardsByList.get(listId) || []).sort((a, b) => a.pos - b.pos);
             const block = sectionsLayout.find(s => s.listIds.includes(listId));
             const isIgnored = block?.ignoreFirstCard;
             const displayDescription = block?.displayFirstCardDescription;
 
-            let titleCard = null;
-            let countableCards = listCards;
-
-            if (isIgnored && listCards.length > 0) {
-                titleCard = listCards[0]; // First card by pos
-                countableCards = listCards.slice(1);
-            }
-
-            // FILTER COUNTABLE CARDS
-            const filteredCount = countableCards.filter(c => {
-                // Settings Filters
-                if (ignoreTemplateCards && c.isTemplate) return false;
-                if (ignoreCompletedCards && c.dueComplete) return false;
-                if (ignoreNoDescCards && (!c.desc || !c.desc.trim())) return false;
-
-                // Time Filter
-                if (sinceDate || beforeDate) {
-                    const cardDate = new Date(c.dateLastActivity);
-                    if (sinceDate && cardDate < sinceDate) return false;
-                    if (beforeDate && cardDate >= beforeDate) return false;
-                }
-
-                // Label Filter (Multi-select)
-                // If selectedLabelIds is NULL, it means ALL -> return true.
-                if (selectedLabelIds !== null && selectedLabelIds.size > 0) {
-                    if (!c.labels || c.labels.length === 0) return false; // Card has no labels
-
-                    const cardLabelIds = new Set(c.labels.map(l => l.id));
-
-                    if (labelLogic === 'AND') {
-                        // Match ALL selected
-                        for (let id of selectedLabelIds) {
-                            if (!cardLabelIds.has(id)) return false;
-                        }
-                    } else {
-                        // Match ANY selected
-                        let hasMatch = false;
-                        for (let id of selectedLabelIds) {
-                            if (cardLabelIds.has(id)) {
-                                hasMatch = true;
-                                break;
-                            }
-                        }
-                        if (!hasMatch) return false;
-                    }
-                } else if (selectedLabelIds !== null && selectedLabelIds.size === 0) {
-                    // "Select None" -> Show Nothing
-                    return false;
-                }
-                // If null (All), proceed.
-
-                return true;
-            }).length;
+            // Same pipeline as the tile's card list (CardDetailsModal)
+            const tileCards = filterTileCards(cardsByList.get(listId) || [], {
+                ignoreFirstCard: isIgnored, ignoreTemplateCards, ignoreCompletedCards, ignoreNoDescCards,
+                timeRange: timeRangeDates, timeFilterBasis, selectedLabelIds, labelLogic, labelAliases
+            });
+            const titleCard = tileCards.titleCard;
+            const filteredCards = tileCards.included;
+            const filteredCount = filteredCards.length;
 
             let descriptionCardName = '';
             if (isIgnored && titleCard && displayDescription) {
@@ -262,31 +467,87 @@ const Dashboard = ({ user, settings, onShowSettings, onLogout, onShowTasks, onSh
                 color = getOrGenerateRandomColor(listId, usedColors);
             }
 
+            const threshold = tileThresholds[listId];
             countsMap.set(listId, {
                 listId: listId,
                 count: filteredCount,
                 name: listData?.name || 'Unknown List',
                 displayColor: color,
-                firstCardName: descriptionCardName
+                firstCardName: descriptionCardName,
+                level: getThresholdLevel(filteredCount, threshold),
+                flash: !!threshold?.flash,
+                cards: tileCards,
+                age: block?.showCardAge ? {
+                    ...summarizeCardAges(filteredCards, { basis: block.ageBasis, buckets: block.ageBuckets || DEFAULT_AGE_BUCKETS }),
+                    buckets: block.ageBuckets || DEFAULT_AGE_BUCKETS
+                } : null
             });
         });
 
         return countsMap;
 
-    }, [allCards, timeFilter, selectedLabelIds, labelLogic, allListsMap, sectionsLayout, user.id, boardId, ignoreTemplateCards, ignoreCompletedCards, ignoreNoDescCards]);
+    }, [allCards, listMoves, timeRange, timeOptions, timeFilterBasis, selectedLabelIds, labelLogic, allListsMap, labelAliases, sectionsLayout, user.id, boardId, ignoreTemplateCards, ignoreCompletedCards, ignoreNoDescCards, tileThresholds]);
+
+    // THRESHOLD BREACHES: remember since when each tile has been over its threshold (survives reloads).
+    // Only tracked on the unfiltered view, so changing a filter doesn't restart the clock.
+    const isUnfiltered = timeFilter === 'all' && selectedLabelIds === null;
+    const [breaches, setBreaches] = useState(() => getBoardStore(boardId, BOARD_NAMESPACES.TILE_BREACHES));
+    useEffect(() => {
+        setBreaches(getBoardStore(boardId, BOARD_NAMESPACES.TILE_BREACHES));
+    }, [boardId]);
+    useEffect(() => {
+        if (!boardId || !isUnfiltered || counts.size === 0) return;
+        const levels = {};
+        counts.forEach((tile, listId) => {
+            if (isThresholdSet(tileThresholds[listId])) levels[listId] = tile.level;
+        });
+        // From the stored breaches: the state may still be the previous board's right after a switch
+        const previous = getBoardStore(boardId, BOARD_NAMESPACES.TILE_BREACHES);
+        const next = updateBreaches(previous, levels);
+        if (JSON.stringify(next) === JSON.stringify(previous)) return;
+        setBoardStore(boardId, BOARD_NAMESPACES.TILE_BREACHES, next);
+        setBreaches(next);
+    }, [counts, isUnfiltered, boardId, tileThresholds]);
 
 
     const handleTileClick = (listId, listName, color) => {
-        setModalList({ listId, listName, color, sectionsLayout });
+        const list = allListsMap.get(listId);
+        const sourceBoard = list && list.boardId !== boardId ? linkedBoards.find(b => b.id === list.boardId) : null;
+        setModalList({ listId, listName, color, sectionsLayout, boardName: sourceBoard ? sourceBoard.name : null });
     };
 
     const handleCloseModal = () => {
         setModalList(null);
     };
 
-    const filterLabel = TIME_FILTERS[timeFilter].titleSuffix;
-    const clockSetting = localStorage.getItem(STORAGE_KEYS.CLOCK_SETTING + boardId);
-    const showClock = clockSetting !== 'false';
+    // CARD SEARCH: Ctrl+K (Cmd+K) palette over the cards already loaded
+    const [showCardSearch, setShowCardSearch] = useState(false);
+    useEffect(() => {
+        if (isEmbedded) return;
+        const handleKeyDown = (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                setShowCardSearch(true);
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [isEmbedded]);
+
+    const handleSearchShowTile = (listId) => {
+        const tile = counts.get(listId);
+        setShowCardSearch(false);
+        handleTileClick(listId, tile ? tile.name : allListsMap.get(listId).name, tile ? tile.displayColor : undefined);
+    };
+
+    const handleSearchShowOnMap = (card) => {
+        setShowCardSearch(false);
+        if (onShowMap) onShowMap({ cardId: card.id });
+        else window.open(`/map?${MAP_CARD_PARAM}=${card.id}`, '_blank');
+    };
+
+    const filterLabel = timeFilter === CUSTOM_RANGE ? getSelectionLabel(timeRange) : getTimeFilterTitle(timeFilter, timeOptions);
+    const showClock = getBoardStore(boardId, BOARD_NAMESPACES.DISPLAY).showClock;
 
     // Styling constants matching TaskView/MapView
     const headerStyle = {
@@ -327,12 +588,12 @@ const Dashboard = ({ user, settings, onShowSettings, onLogout, onShowTasks, onSh
                 blocksMap={blocksMap}
                 counts={counts}
                 allListsMap={allListsMap}
+                breaches={isUnfiltered ? breaches : {}}
+                trends={isUnfiltered ? trends : {}}
                 handleTileClick={handleTileClick}
                 handleToggleCollapse={handleToggleCollapse}
                 handleCloseModal={handleCloseModal}
                 user={user}
-                ignoreTemplateCards={ignoreTemplateCards}
-                ignoreNoDescCards={ignoreNoDescCards}
                 modalList={modalList}
             />
         );
@@ -345,7 +606,9 @@ const Dashboard = ({ user, settings, onShowSettings, onLogout, onShowTasks, onSh
                 <div className="map-header-title-area">
                     {showClock && <DigitalClock boardId={boardId} />}
                     <h1 style={{ marginLeft: showClock ? '15px' : '0' }}>
-                        {boardName} <span style={{ marginLeft: '15px' }}>{filterLabel}</span>
+                        {boardName}
+                        {boardIds.length > 1 && <span style={{ fontSize: '0.6em', marginLeft: '10px', opacity: 0.7 }} title={linkedBoards.map(b => b.name).join(', ')}>+ {boardIds.length - 1} board{boardIds.length > 2 ? 's' : ''}</span>}
+                        <span style={{ marginLeft: '15px' }}>{filterLabel}</span>
                     </h1>
                 </div>
 
@@ -355,6 +618,8 @@ const Dashboard = ({ user, settings, onShowSettings, onLogout, onShowTasks, onSh
                     <div className="desktop-only" style={{ display: 'flex', alignItems: 'center' }}>
                         {!onStopSlideshow && (
                             <>
+                                <FilterPresetPicker {...presetPickerProps} />
+
                                 {/* Label Filter - Moved BEFORE Time Filter */}
                                 <LabelFilter
                                     labels={boardLabels}
@@ -365,17 +630,21 @@ const Dashboard = ({ user, settings, onShowSettings, onLogout, onShowTasks, onSh
                                 />
 
                                 {/* Time Filter */}
-                                <select className="time-filter-select" value={timeFilter} onChange={e => setTimeFilter(e.target.value)} style={{ marginLeft: '10px' }}>
-                                    {Object.keys(TIME_FILTERS).map(key => (
-                                        <option key={key} value={key}>{TIME_FILTERS[key].label}</option>
-                                    ))}
-                                </select>
+                                <DateRangePicker value={timeRange} onChange={setTimeRange} timeOptions={timeOptions} style={{ marginLeft: '10px' }} />
 
                                 {settings?.statistics?.enabled && (
                                     <button className="button-secondary" onClick={onGoToStats || (() => window.open('/stats', '_self'))} style={{ marginLeft: '10px', height: '34px', padding: '0 15px', display: 'flex', alignItems: 'center' }}>
                                         Stats
                                     </button>
                                 )}
+
+                                <button className="button-secondary" onClick={() => setShowReportBuilder(true)} style={{ marginLeft: '10px', height: '34px', padding: '0 15px', display: 'flex', alignItems: 'center' }}>
+                                    Report
+                                </button>
+
+                                <button className="button-secondary" onClick={() => setShowCardSearch(true)} title="Search cards (Ctrl+K)" style={{ marginLeft: '10px', height: '34px', padding: '0 15px', display: 'flex', alignItems: 'center' }}>
+                                    Search
+                                </button>
                             </>
                         )}
 
@@ -410,6 +679,7 @@ const Dashboard = ({ user, settings, onShowSettings, onLogout, onShowTasks, onSh
                                     <strong>Filters</strong>
                                     {/* Label Filter: Left Aligned & Reduced Width */}
                                     <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginTop: '8px', width: '100%', alignItems: 'center' }}>
+                                        <FilterPresetPicker {...presetPickerProps} style={{ width: '85%', maxWidth: 'none' }} />
                                         <div style={{ width: '85%', textAlign: 'center' }}>
                                             <LabelFilter
                                                 labels={boardLabels}
@@ -420,16 +690,7 @@ const Dashboard = ({ user, settings, onShowSettings, onLogout, onShowTasks, onSh
                                             />
                                         </div>
 
-                                        <select
-                                            value={timeFilter}
-                                            onChange={(e) => setTimeFilter(e.target.value)}
-                                            className="time-filter-select"
-                                            style={{ width: '85%', margin: 0 }}
-                                        >
-                                            {Object.keys(TIME_FILTERS).map(key => (
-                                                <option key={key} value={key}>{TIME_FILTERS[key].label}</option>
-                                            ))}
-                                        </select>
+                                        <DateRangePicker value={timeRange} onChange={setTimeRange} timeOptions={timeOptions} vertical style={{ width: '85%', margin: 0 }} />
                                     </div>
                                 </div>
                             )}
@@ -444,6 +705,14 @@ const Dashboard = ({ user, settings, onShowSettings, onLogout, onShowTasks, onSh
                                     </button>
                                 )}
 
+                                <button className="menu-link" onClick={() => setShowReportBuilder(true)}>
+                                    PDF Report
+                                </button>
+
+                                <button className="menu-link" onClick={() => setShowCardSearch(true)}>
+                                    Search Cards
+                                </button>
+
                                 {enableMapView && (
                                     <button className="menu-link" onClick={onShowMap || (() => window.open('/map', '_blank'))}>
                                         Map View
@@ -491,12 +760,12 @@ const Dashboard = ({ user, settings, onShowSettings, onLogout, onShowTasks, onSh
                     blocksMap={blocksMap}
                     counts={counts}
                     allListsMap={allListsMap}
+                    breaches={isUnfiltered ? breaches : {}}
+                    trends={isUnfiltered ? trends : {}}
                     handleTileClick={handleTileClick}
                     handleToggleCollapse={handleToggleCollapse}
                     handleCloseModal={handleCloseModal}
                     user={user}
-                    ignoreTemplateCards={ignoreTemplateCards}
-                    ignoreNoDescCards={ignoreNoDescCards}
                     modalList={modalList}
                 />
             )}
@@ -572,16 +841,27 @@ const Dashboard = ({ user, settings, onShowSettings, onLogout, onShowTasks, onSh
                 </div>
             )}
 
-            {modalList && (
-                <CardDetailsModal
-                    listId={modalList.listId}
-                    listName={modalList.listName}
-                    color={modalList.color}
-                    token={user.token}
-                    onClose={handleCloseModal}
+            {showCardSearch && (
+                <CardSearchPalette
+                    cards={allCards}
+                    lists={allListsMap}
                     sectionsLayout={sectionsLayout}
-                    ignoreTemplateCards={ignoreTemplateCards}
-                    ignoreNoDescCards={ignoreNoDescCards}
+                    geocodingCache={getBoardStore(boardId, BOARD_NAMESPACES.GEOCODING_CACHE)}
+                    token={user.token}
+                    onShowTile={handleSearchShowTile}
+                    onShowOnMap={enableMapView ? handleSearchShowOnMap : null}
+                    onClose={() => setShowCardSearch(false)}
+                />
+            )}
+
+            {showReportBuilder && (
+                <ReportBuilderModal
+                    template={getBoardStore(boardId, BOARD_NAMESPACES.REPORT_TEMPLATE)}
+                    timeOptions={timeOptions}
+                    boardName={boardName}
+                    onSave={handleSaveReportTemplate}
+                    onGenerate={handleGenerateReport}
+                    onClose={() => setShowReportBuilder(false)}
                 />
             )}
 
@@ -599,6 +879,7 @@ const Dashboard = ({ user, settings, onShowSettings, onLogout, onShowTasks, onSh
                 </div>
 
                 <div className="map-footer-right" style={{ display: 'flex', gap: '15px', alignItems: 'center' }}>
+                    <RequestQueueIndicator />
                     <button className="button-secondary" onClick={() => { setCountdown(effectiveSeconds); fetchData(true); }}>
                         Refresh {formatDynamicCountdown(countdown)}
                     </button>
@@ -661,9 +942,9 @@ const Dashboard = ({ user, settings, onShowSettings, onLogout, onShowTasks, onSh
 
 // WRAPPER for separation
 const DashboardContent = ({
-    sectionsLayout, blocksMap, counts, allListsMap,
+    sectionsLayout, blocksMap, counts, allListsMap, breaches, trends,
     handleTileClick, handleToggleCollapse, handleCloseModal,
-    user, ignoreTemplateCards, ignoreNoDescCards, modalList
+    user, modalList
 }) => {
     return (
         <div style={{ flex: 1, overflowY: 'auto', padding: '10px', paddingBottom: '80px', position: 'relative', zIndex: 1 }}>
@@ -728,15 +1009,54 @@ const DashboardContent = ({
                                     })()
                                 }}
                             >
-                                {blockTiles.map((item) => (
-                                    <div key={item.listId} className="dashboard-tile" style={{ backgroundColor: item.displayColor, color: 'white' }} onClick={() => handleTileClick(item.listId, item.name, item.displayColor)}>
-                                        <div className="card-count">{item.count}</div>
-                                        <div className="list-name">{item.name}</div>
-                                        {item.firstCardName && (
-                                            <div className="card-description card-description-text" title={item.firstCardName}>{item.firstCardName}</div>
-                                        )}
-                                    </div>
-                                ))}
+                                {blockTiles.map((item) => {
+                                    const isBreached = item.level && item.level !== THRESHOLD_LEVELS.OK;
+                                    const breach = isBreached ? breaches[item.listId] : null;
+                                    const trend = trends[item.listId];
+                                    const tileClass = [
+                                        'dashboard-tile',
+                                        isBreached && `tile-${item.level}`,
+                                        item.level === THRESHOLD_LEVELS.CRITICAL && item.flash && 'tile-flash'
+                                    ].filter(Boolean).join(' ');
+                                    return (
+                                        <div key={item.listId} className={tileClass} style={{ backgroundColor: item.displayColor, color: 'white' }} onClick={() => handleTileClick(item.listId, item.name, item.displayColor)}>
+                                            <div className="card-count">{item.count}</div>
+                                            <div className="list-name">{item.name}</div>
+                                            {item.firstCardName && (
+                                                <div className="card-description card-description-text" title={item.firstCardName}>{item.firstCardName}</div>
+                                            )}
+                                            {item.age && item.age.oldestMs !== null && (() => {
+                                                const labels = getAgeBucketLabels(item.age.buckets);
+                                                return (
+                                                    <div className="tile-age">
+                                                        <span>Oldest: {formatAge(item.age.oldestMs)}</span>
+                                                        <div className="tile-age-bar">
+                                                            {item.age.bucketCounts.map((n, i) => n > 0 && (
+                                                                <span key={i} style={{ flex: n, backgroundColor: getAgeBucketColor(i, labels.length) }} title={`${labels[i]}: ${n}`} />
+                                                            ))}
+                                                        </div>
+                                                    </div>
+                                                );
+                                            })()}
+                                            {trend && (trend.sparkline || trend.delta !== null) && (
+                                                <div className="tile-trend">
+                                                    {trend.sparkline && trend.sparkline.length > 0 && <Sparkline points={trend.sparkline} color="rgba(255, 255, 255, 0.85)" />}
+                                                    {trend.delta !== null && (
+                                                        <span className="tile-delta" title={trend.deltaLabel}>
+                                                            {trend.delta > 0 ? `+${trend.delta}` : trend.delta === 0 ? '±0' : trend.delta} {trend.deltaLabel}
+                                                        </span>
+                                                    )}
+                                                </div>
+                                            )}
+                                            {isBreached && (
+                                                <div className="tile-breach" title={breach ? `Since ${new Date(breach.since).toLocaleString()}` : undefined}>
+                                                    {item.level === THRESHOLD_LEVELS.CRITICAL ? 'Critical' : 'Warning'}
+                                                    {breach && ` · ${formatBreachDuration(Date.now() - breach.since)}`}
+                                                </div>
+                                            )}
+                                        </div>
+                                    );
+                                })}
                             </div>
                         )}
                     </div>
@@ -746,12 +1066,12 @@ const DashboardContent = ({
                 <CardDetailsModal
                     listId={modalList.listId}
                     listName={modalList.listName}
+                    boardName={modalList.boardName}
                     color={modalList.color}
                     token={user.token}
                     onClose={handleCloseModal}
                     sectionsLayout={sectionsLayout}
-                    ignoreTemplateCards={ignoreTemplateCards}
-                    ignoreNoDescCards={ignoreNoDescCards}
+                    tileCards={counts.get(modalList.listId)?.cards}
                 />
             )}
         </div>
@@ -1,10 +1,13 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { createRoot } from 'react-dom/client';
 import { trelloFetch } from '/src/api/trello';
-import { getPersistentLayout } from '/src/utils/persistence';
+import { getBoardData, getRefreshMaxAge, updateCachedCard } from '/src/api/boardCache';
+import { getPersistentLayout, getUserData } from '/src/utils/persistence';
 import { useDarkMode } from '/src/context/DarkModeContext';
-import { STORAGE_KEYS } from '/src/utils/constants';
+import { getBoardStore, setBoardStore, updateBoardStore, BOARD_NAMESPACES } from '/src/utils/storage';
 import { convertIntervalToSeconds, getLabelTextColor, formatDynamicCountdown } from '/src/utils/helpers';
+import { getCardCreationDate } from '/src/utils/cardAge';
+import { getCardCoordinates, MAP_CARD_PARAM } from '/src/utils/cardSearch';
 import DigitalClock from './common/DigitalClock';
 import { ICONS } from './common/IconPicker';
 import MapFilters from './MapFilters';
@@ -12,6 +15,7 @@ import { loadGoogleMaps } from '/src/utils/googleMapsLoader';
 import { marked } from 'marked';
 import Dashboard from './Dashboard'; // For Slideshow
 import HamburgerMenu from './common/HamburgerMenu';
+import RequestQueueIndicator from './common/RequestQueueIndicator';
 import '/src/styles/map.css';
 
 // --- CUSTOM MAP STYLES ---
@@ -313,7 +317,7 @@ const CardPopup = ({ card, listName, blockName, blocks, lists, onMove, enableStr
         return acc;
     }, {});
 
-    const creationDate = new Date(1000 * parseInt(card.id.substring(0, 8), 16));
+    const creationDate = getCardCreationDate(card);
     const now = new Date();
     const diffMs = now - creationDate;
     const diffMins = Math.floor(diffMs / 60000);
@@ -469,29 +473,26 @@ const MapView = ({ user, settings, onClose, onShowSettings, onLogout, onShowTask
     const markersRef = useRef({});
     const homeMarkerRef = useRef(null);
     const geocoderRef = useRef(null);
+    // Card picked in the dashboard's card search (/map?card=<id>), focused once the markers are on the map
+    const focusCardIdRef = useRef(isEmbedded ? null : new URLSearchParams(window.location.search).get(MAP_CARD_PARAM));
 
     // --- SETTINGS ---
     const getStoredSettings = () => {
         if (!user) return {};
-        try { return JSON.parse(localStorage.getItem('trelloUserData') || '{}')[user.id]?.settings || {}; } catch (e) { return {}; }
+        return getUserData(user.id, 'settings') || {};
     };
     const storedSettings = getStoredSettings();
     const boardId = settings?.boardId || storedSettings.boardId;
     const boardName = (settings && settings.boardName) ? settings.boardName : (storedSettings.boardName || 'Trello Board');
     const mapGeocodeMode = (settings && settings.mapGeocodeMode) || storedSettings?.mapGeocodeMode || 'store';
-    const ignoreTemplateCards = localStorage.getItem(STORAGE_KEYS.IGNORE_TEMPLATE_CARDS + boardId) !== 'false';
-    const ignoreCompletedCards = localStorage.getItem(STORAGE_KEYS.IGNORE_COMPLETED_CARDS + boardId) === 'true';
-    const ignoreNoDescCards = localStorage.getItem(STORAGE_KEYS.IGNORE_NO_DESC_CARDS + boardId) === 'true';
+    const displaySettings = getBoardStore(boardId, BOARD_NAMESPACES.DISPLAY);
+    const { ignoreTemplateCards, ignoreCompletedCards, ignoreNoDescCards } = displaySettings;
 
-    const updateTrelloCoordinates = localStorage.getItem('updateTrelloCoordinates_' + boardId) === 'true';
-    const enableCardMove = localStorage.getItem('enableCardMove_' + boardId) === 'true';
-    const enableStreetView = localStorage.getItem('enableStreetView_' + boardId) === 'true';
+    const { updateTrelloCoordinates, enableCardMove, enableStreetView } = getBoardStore(boardId, BOARD_NAMESPACES.MAP);
 
-    const savedRefresh = localStorage.getItem(STORAGE_KEYS.REFRESH_INTERVAL + boardId);
-    const defaultRefreshSetting = { value: 1, unit: 'minutes' };
-    const refreshSetting = savedRefresh ? JSON.parse(savedRefresh) : defaultRefreshSetting;
+    const refreshSetting = displaySettings.refreshInterval;
     const refreshIntervalSeconds = convertIntervalToSeconds(refreshSetting.value, refreshSetting.unit);
-    const showClock = localStorage.getItem(STORAGE_KEYS.CLOCK_SETTING + boardId) !== 'false';
+    const showClock = displaySettings.showClock;
 
     // Initialize shared InfoWindow
     useEffect(() => {
@@ -635,86 +636,72 @@ const MapView = ({ user, settings, onClose, onShowSettings, onLogout, onShowTask
 
     // --- DATA LOADING ---
     const isFetchingRef = useRef(false);
-    const loadData = useCallback(async (isRefresh = false) => {
+    const loadData = useCallback(async (isRefresh = false, force = false) => {
         if (!user || !boardId || isFetchingRef.current) return;
         isFetchingRef.current = true;
         if (!isRefresh) { setLoading(true); setStatus('Loading cards...'); }
         try {
             const currentLayout = getPersistentLayout(user.id, boardId);
             setBlocks(currentLayout);
-            const rulesKey = `TRELLO_MARKER_RULES_${boardId}`;
-            const savedRules = localStorage.getItem(rulesKey);
-            if (savedRules) setMarkerRules(JSON.parse(savedRules)); else setMarkerRules([]);
-
-            const enableHome = localStorage.getItem(`enableHomeLocation_${boardId}`) === 'true';
-            if (enableHome) {
-                const homeCoords = JSON.parse(localStorage.getItem(`homeCoordinates_${boardId}`) || 'null');
-                const homeIcon = localStorage.getItem(`homeIcon_${boardId}`) || 'home';
-                const homeAddress = localStorage.getItem(`homeAddress_${boardId}`) || '';
-                if (homeCoords) setHomeLocation({ coords: homeCoords, icon: homeIcon, address: homeAddress }); else setHomeLocation(null);
+            const mapSettings = getBoardStore(boardId, BOARD_NAMESPACES.MAP);
+            const savedRules = mapSettings.markerRules;
+            setMarkerRules(savedRules);
+
+            if (mapSettings.enableHomeLocation && mapSettings.homeCoordinates) {
+                setHomeLocation({ coords: mapSettings.homeCoordinates, icon: mapSettings.homeIcon, address: mapSettings.homeAddress });
             } else setHomeLocation(null);
 
             if (!isRefresh) {
                 const allListIds = currentLayout.filter(b => b.includeOnMap !== false).flatMap(b => b.listIds);
                 setVisibleListIds(new Set(allListIds));
-                const allRuleIds = (savedRules ? JSON.parse(savedRules) : []).map(r => r.id).concat(['default']);
+                const allRuleIds = savedRules.map(r => r.id).concat(['default']);
                 setVisibleRuleIds(new Set(allRuleIds));
 
                 // Load Ignored Cards
-                const ignored = JSON.parse(localStorage.getItem(STORAGE_KEYS.IGNORE_CARDS + boardId) || '[]');
-                setIgnoredCards(new Set(ignored));
+                setIgnoredCards(new Set(getBoardStore(boardId, BOARD_NAMESPACES.IGNORED_CARDS)));
             }
 
-            const [listsData, labelsData, cardsData] = await Promise.all([
-                trelloFetch(`/boards/${boardId}/lists?cards=none&fields=id,name`, user.token),
-                trelloFetch(`/boards/${boardId}/labels`, user.token),
-                trelloFetch(`/boards/${boardId}/cards?fields=id,name,desc,idList,labels,shortUrl,isTemplate,pos,coordinates,due,dueComplete&_=${Date.now()}`, user.token)
-            ]);
-            setLists(listsData);
-            setBoardLabels(labelsData);
-
-            const cacheKey = `MAP_GEOCODING_CACHE_${boardId}`;
-            const cache = JSON.parse(localStorage.getItem(cacheKey) || '{}');
-            const ignoreCompletedCards = localStorage.getItem(STORAGE_KEYS.IGNORE_COMPLETED_CARDS + boardId) === 'true';
-            const ignoreNoDescCards = localStorage.getItem('IGNORE_NO_DESC_CARDS_' + boardId) === 'true';
-
-            // Calculate Absolute First Card (Min Pos) Per List - BEFORE filtering
-            const absoluteMinPosByList = {};
-            cardsData.forEach(c => {
-                if (absoluteMinPosByList[c.idList] === undefined || c.pos < absoluteMinPosByList[c.idList]) {
-                    absoluteMinPosByList[c.idList] = c.pos;
-                }
-            });
+            const applyBoardData = ({ lists: listsData, labels: labelsData, cards: cardsData }) => {
+                setLists(listsData);
+                setBoardLabels(labelsData);
+
+                const cache = getBoardStore(boardId, BOARD_NAMESPACES.GEOCODING_CACHE);
+                const { ignoreCompletedCards, ignoreNoDescCards } = getBoardStore(boardId, BOARD_NAMESPACES.DISPLAY);
 
-            const processedCards = cardsData.filter(c => {
-                if (ignoreTemplateCards && c.isTemplate) return false;
-                if (ignoreTemplateCards && c.isTemplate) return false;
-                if (ignoreCompletedCards && c.dueComplete) return false;
-                if (ignoreNoDescCards && (!c.desc || !c.desc.trim())) return false; // Basic catch, specific logic in geocoding
-                // Note: We don't filter `ignoredCards` here because we need them in the `cards` state to manage them (un-ignore?) 
-                // OR we filter them here so they don't show up at all?
-                // Request says "ignore for decoding... do not show on map". 
-                // If we filter here, they won't even be in `cards` list for other stats? 
-                // Usually map-only filters should be applied in geocoding or render.
-                // Let's keep them in `cards` but skip in geocoding and map rendering.
-                return true;
-            }).map(c => {
-                let coords = null;
-                if (c.coordinates) {
-                    if (typeof c.coordinates === 'string' && c.coordinates.includes(',')) {
-                        const parts = c.coordinates.split(',');
-                        if (parts.length === 2) coords = { lat: parseFloat(parts[0]), lng: parseFloat(parts[1]) };
-                    } else if (typeof c.coordinates === 'object') {
-                        const lat = c.coordinates.lat || c.coordinates.latitude;
-                        const lng = c.coordinates.lng || c.coordinates.long || c.coordinates.longitude;
-                        if (lat && lng) coords = { lat: parseFloat(lat), lng: parseFloat(lng) };
+                // Calculate Absolute First Card (Min Pos) Per List - BEFORE filtering
+                const absoluteMinPosByList = {};
+                cardsData.forEach(c => {
+                    if (absoluteMinPosByList[c.idList] === undefined || c.pos < absoluteMinPosByList[c.idList]) {
+                        absoluteMinPosByList[c.idList] = c.pos;
                     }
-                }
-                if ((!coords || !coords.lat) && cache[c.id]) coords = cache[c.id];
-                const isFirstInList = c.pos === absoluteMinPosByList[c.idList];
-                return { ...c, coordinates: coords, isFirstInList };
+                });
+
+                const processedCards = cardsData.filter(c => {
+                    if (ignoreTemplateCards && c.isTemplate) return false;
+                    if (ignoreTemplateCards && c.isTemplate) return false;
+                    if (ignoreCompletedCards && c.dueComplete) return false;
+                    if (ignoreNoDescCards && (!c.desc || !c.desc.trim())) return false; // Basic catch, specific logic in geocoding
+                    // Note: We don't filter `ignoredCards` here because we need them in the `cards` state to manage them (un-ignore?) 
+                    // OR we filter them here so they don't show up at all?
+                    // Request says "ignore for decoding... do not show on map". 
+                    // If we filter here, they won't even be in `cards` list for other stats? 
+                    // Usually map-only filters should be applied in geocoding or render.
+                    // Let's keep them in `cards` but skip in geocoding and map rendering.
+                    return true;
+                }).map(c => {
+                    const coords = getCardCoordinates(c, cache);
+                    const isFirstInList = c.pos === absoluteMinPosByList[c.idList];
+                    return { ...c, coordinates: coords, isFirstInList };
+                });
+                setCards(processedCards);
+            };
+
+            const boardData = await getBoardData(boardId, user.token, {
+                force,
+                maxAge: getRefreshMaxAge(refreshIntervalSeconds),
+                onCached: (cached) => { applyBoardData(cached); if (!isRefresh) setLoading(false); }
             });
-            setCards(processedCards);
+            applyBoardData(boardData);
         } catch (e) {
             console.error(e); setStatus(`Error: ${e.message}`);
         } finally {
@@ -726,7 +713,7 @@ const MapView = ({ user, settings, onClose, onShowSettings, onLogout, onShowTask
                 setStatus('');
             }
         }
-    }, [user, boardId, ignoreTemplateCards]);
+    }, [user, boardId, ignoreTemplateCards, refreshIntervalSeconds]);
 
     // --- BUILD GEOCODING QUEUE ---
     useEffect(() => {
@@ -821,10 +808,7 @@ const MapView = ({ user, settings, onClose, onShowSettings, onLogout, onShowTask
                         // Update State & Cache
                         setCards(prev => prev.map(c => c.id === card.id ? { ...c, coordinates: coords } : c));
 
-                        const cacheKey = `MAP_GEOCODING_CACHE_${boardId}`;
-                        const cache = JSON.parse(localStorage.getItem(cacheKey) || '{}');
-                        cache[card.id] = coords;
-                        localStorage.setItem(cacheKey, JSON.stringify(cache));
+                        updateBoardStore(boardId, BOARD_NAMESPACES.GEOCODING_CACHE, cache => ({ ...cache, [card.id]: coords }));
 
                         if (updateTrelloCoordinates) {
                             try {
@@ -833,6 +817,7 @@ const MapView = ({ user, settings, onClose, onShowSettings, onLogout, onShowTask
                                     body: JSON.stringify({ coordinates: `${coords.lat},${coords.lng}` }),
                                     headers: { 'Content-Type': 'application/json' }
                                 });
+                                updateCachedCard(boardId, card.id, { coordinates: `${coords.lat},${coords.lng}` });
                             } catch (e) { console.error("Trello update failed", e); }
                         }
 
@@ -877,10 +862,7 @@ const MapView = ({ user, settings, onClose, onShowSettings, onLogout, onShowTask
 
     const handleApplyResult = async (cardId, coords) => {
         setCards(prev => prev.map(c => c.id === cardId ? { ...c, coordinates: coords } : c));
-        const cacheKey = `MAP_GEOCODING_CACHE_${boardId}`;
-        const cache = JSON.parse(localStorage.getItem(cacheKey) || '{}');
-        cache[cardId] = coords;
-        localStorage.setItem(cacheKey, JSON.stringify(cache));
+        updateBoardStore(boardId, BOARD_NAMESPACES.GEOCODING_CACHE, cache => ({ ...cache, [cardId]: coords }));
         setErrors(prev => prev.filter(e => e.cardId !== cardId));
 
         if (updateTrelloCoordinates) {
@@ -890,6 +872,7 @@ const MapView = ({ user, settings, onClose, onShowSettings, onLogout, onShowTask
                     body: JSON.stringify({ coordinates: `${coords.lat},${coords.lng}` }),
                     headers: { 'Content-Type': 'application/json' }
                 });
+                updateCachedCard(boardId, cardId, { coordinates: `${coords.lat},${coords.lng}` });
             } catch (e) { console.error("Trello manual update failed", e); }
         }
     };
@@ -935,6 +918,7 @@ const MapView = ({ user, settings, onClose, onShowSettings, onLogout, onShowTask
             });
             // Update local state
             setCards(prev => prev.map(c => c.id === cardId ? { ...c, idList: newListId } : c));
+            updateCachedCard(boardId, cardId, { idList: newListId });
 
             // Refresh Popup Logic
             // If the moved card is currently open, we must re-render the popup to show the new list name.
@@ -982,7 +966,7 @@ const MapView = ({ user, settings, onClose, onShowSettings, onLogout, onShowTask
         setIgnoredCards(prev => {
             const next = new Set(prev);
             next.add(cardId);
-            localStorage.setItem(STORAGE_KEYS.IGNORE_CARDS + boardId, JSON.stringify(Array.from(next)));
+            setBoardStore(boardId, BOARD_NAMESPACES.IGNORED_CARDS, Array.from(next));
             return next;
         });
 
@@ -1180,6 +1164,21 @@ const MapView = ({ user, settings, onClose, onShowSettings, onLogout, onShowTask
             prevValidCardCount.current = validCards.length;
         }
 
+
+        if (focusCardIdRef.current && !loading) {
+            const focusMarker = newMarkers[focusCardIdRef.current];
+            if (focusMarker) {
+                map.setCenter(focusMarker.getPosition());
+                map.setZoom(16);
+                window.google.maps.event.trigger(focusMarker, 'click');
+            } else {
+                setStatus('Searched card not on the map');
+            }
+            focusCardIdRef.current = null;
+            const url = new URL(window.location.href);
+            url.searchParams.delete(MAP_CARD_PARAM);
+            window.history.replaceState(window.history.state, '', url);
+        }
     }, [cards, visibleListIds, visibleRuleIds, blocks, markerRules, homeLocation, showHomeLocation, mapLoaded, lists, refreshVersion, loading]);
 
     // EMBEDDED MODE
@@ -1440,7 +1439,8 @@ const MapView = ({ user, settings, onClose, onShowSettings, onLogout, onShowTask
                         </span>
                     )}
 
-                    <button className="button-secondary" onClick={() => { setCountdown(refreshIntervalSeconds); loadData(true); }}>
+                    <RequestQueueIndicator style={{ marginRight: '15px' }} />
+                    <button className="button-secondary" onClick={() => { setCountdown(refreshIntervalSeconds); loadData(true, true); }}>
                         Refresh {formatDynamicCountdown(countdown)}
                     </button>
 
@@ -2,11 +2,24 @@ import React, { useState, useEffect } from 'react';
 import { trelloFetch, trelloAuth } from '../api/trello';
 import { DragDropContext, Droppable, Draggable } from 'react-beautiful-dnd';
 import MoreOptionsModal from './common/MoreOptionsModal';
+import LayoutRemapModal from './common/LayoutRemapModal';
 import IconPicker from './common/IconPicker';
 import ColorPicker from './common/ColorPicker';
 import { getPersistentLayout } from '../utils/persistence';
-import { STORAGE_KEYS, DEFAULT_LAYOUT } from '../utils/constants';
-import { setPersistentColors, getPersistentColors, setPersistentLayout } from '../utils/persistence';
+import { DEFAULT_LAYOUT } from '../utils/constants';
+import { parseConfig, versionConfig, formatConfigIssues } from '../utils/configSchema';
+import { buildRemapPlan, describeBoard, remapConfig } from '../utils/layoutRemap';
+import { isThresholdSet } from '../utils/thresholds';
+import { hasNotificationRule, requestNotificationPermission, isNotificationSupported } from '../utils/notifications';
+import { DEFAULT_SPARKLINE_HOURS, DELTA_REFERENCES } from '../utils/tileHistory';
+import { AGE_BASES, AGE_BASIS_LABELS, parseAgeBuckets, formatAgeBuckets } from '../utils/cardAge';
+import { WEEK_STARTS, DEFAULT_BUSINESS_HOURS, isValidTimeZone } from '../utils/timeFilters';
+import { WEEKDAYS } from '../utils/boardReport';
+import { setPersistentColors, getPersistentColors, setPersistentLayout, getUserData, setUserData } from '../utils/persistence';
+import {
+    getBoardStore, setBoardStore, updateBoardStore, clearBoardStore, BOARD_NAMESPACES,
+    getUserRecord, updateUserRecord, getStoredBoardIds, clearAllStorage, flushStorage
+} from '../utils/storage';
 import '../styles/settings.css';
 
 const ShareConfigModal = ({ config, onClose, boardName }) => {
@@ -67,10 +80,17 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
     const [selectedBoardId, setSelectedBoardId] = useState('');
     const [allLists, setAllLists] = useState([]); // All fetched lists
     const [boardLabels, setBoardLabels] = useState([]);
+    const [linkedBoards, setLinkedBoards] = useState([]); // [{ id, name }] boards whose lists can be added as tiles
 
     // Configuration State
     const [blocks, setBlocks] = useState([]); // { id, name, listIds, includeOnMap, mapIcon, ... }
     const [listColors, setListColors] = useState({}); // { listId: hexColor }
+    const [tileThresholds, setTileThresholds] = useState({}); // { listId: { warning, critical, direction, flash } }
+    const [editingThresholdListId, setEditingThresholdListId] = useState(null);
+    const [notificationSettings, setNotificationSettings] = useState({ enabled: false, quietHours: { enabled: false, start: '22:00', end: '07:00' } });
+    const [tileNotifications, setTileNotifications] = useState({}); // { listId: { onIncrease, onNewCard, onThreshold, sound } }
+    const [tileTrends, setTileTrends] = useState({}); // { listId: { sparkline, hours, delta } }
+    const [shiftStarts, setShiftStarts] = useState(''); // Edited as "07:00, 19:00"
 
     // Other Settings
     const [refreshValue, setRefreshValue] = useState(1);
@@ -79,6 +99,13 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
     const [ignoreTemplateCards, setIgnoreTemplateCards] = useState(true);
     const [ignoreCompletedCards, setIgnoreCompletedCards] = useState(false);
     const [ignoreNoDescCards, setIgnoreNoDescCards] = useState(false); // NEW
+    const [timeFilterBasis, setTimeFilterBasis] = useState(AGE_BASES.LAST_ACTIVITY);
+    const [timeZone, setTimeZone] = useState(''); // '' = the browser's
+    const [weekStart, setWeekStart] = useState(WEEK_STARTS.MONDAY);
+    const [businessHours, setBusinessHours] = useState(DEFAULT_BUSINESS_HOURS);
+    // Filter presets are managed from the dashboard header; kept here for config export / import
+    const [filterPresets, setFilterPresets] = useState([]);
+    const [defaultFilterPreset, setDefaultFilterPreset] = useState(null);
 
     // Map View
     const [enableMapView, setEnableMapView] = useState(false);
@@ -124,13 +151,14 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
 
     const [showShareModal, setShowShareModal] = useState(false);
     const [pendingImport, setPendingImport] = useState(null);
+    const [remapImport, setRemapImport] = useState(null); // { config, plan, fromShareLink } while reviewing a cross-board import
     const [showResetSection, setShowResetSection] = useState(false); // Collapsible Danger Zone toggle
 
     // Initial check on mount
     useEffect(() => {
         if (importedConfig) {
             // Show banner instead of popup
-            setPendingImport(importedConfig);
+            setPendingImport(parseConfig(importedConfig));
         } else if (user?.token) {
             trelloAuth.checkTokenScopes(user.token).then(scopes => {
                 const canWrite = scopes.includes('write');
@@ -149,6 +177,8 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
     const [enableStats, setEnableStats] = useState(false);
     const [statsShowArchived, setStatsShowArchived] = useState(true);
     const [statsIncludedLists, setStatsIncludedLists] = useState([]);
+    const [flowStartLists, setFlowStartLists] = useState([]); // Cycle time starts when a card enters one of these
+    const [flowDoneLists, setFlowDoneLists] = useState([]);
 
     // Slideshow Settings
     const [slideshowInterval, setSlideshowInterval] = useState(10);
@@ -256,30 +286,16 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
         }
     };
 
-    const applyImportedConfig = () => {
-        if (!pendingImport) return;
-        const config = pendingImport;
-
-        // 1. Pre-populate board selection
-        if (config.boardId) {
-            // Even if we don't 'find' the board in accessible boards (user might need login or permissions),
-            // we set the ID so 'SettingsScreen' attempts to show it or fetch it.
-            // This satisfies "pre-populate... including board name".
-            // The Board Name is visually handled by 'selectedBoard.name'. 
-            // If the board isn't in 'boards', selectedBoard is undefined, so we won't see the name in the header immediately unless we mock it or fetch succeeds.
-
-            const existingBoard = boards.find(b => b.id === config.boardId);
-            if (!existingBoard && config.boardName) {
-                // Optional: Inject a placeholder if disjoint? 
-                // For now, standard logic: set ID, fetch data.
-            }
-            setSelectedBoardId(config.boardId);
-            fetchBoardData(config.boardId);
-        }
-
-        // 2. Apply Settings
+    // Applies a parsed config (see parseConfig) to the form; only fields present in the config change
+    const applyConfigToState = (config) => {
         if (config.blocks) setBlocks(config.blocks);
+        if (config.linkedBoards) setLinkedBoards(config.linkedBoards);
         if (config.listColors) setListColors(config.listColors);
+        if (config.tileThresholds) setTileThresholds(config.tileThresholds);
+        if (config.notifications) setNotificationSettings({ ...notificationSettings, ...config.notifications });
+        if (config.tileNotifications) setTileNotifications(config.tileNotifications);
+        if (config.tileTrends) setTileTrends(config.tileTrends);
+        if (config.shiftStarts) setShiftStarts(config.shiftStarts.join(', '));
         if (config.markerRules) setMarkerRules(config.markerRules);
         if (config.refreshValue) setRefreshValue(config.refreshValue);
         if (config.refreshUnit) setRefreshUnit(config.refreshUnit);
@@ -287,16 +303,78 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
         if (config.ignoreTemplateCards !== undefined) setIgnoreTemplateCards(config.ignoreTemplateCards);
         if (config.ignoreCompletedCards !== undefined) setIgnoreCompletedCards(config.ignoreCompletedCards);
         if (config.ignoreNoDescCards !== undefined) setIgnoreNoDescCards(config.ignoreNoDescCards);
+        if (config.timeFilterBasis) setTimeFilterBasis(config.timeFilterBasis);
+        if (config.timeZone !== undefined) setTimeZone(config.timeZone);
+        if (config.weekStart !== undefined) setWeekStart(config.weekStart);
+        if (config.businessHours) setBusinessHours({ ...DEFAULT_BUSINESS_HOURS, ...config.businessHours });
+        if (config.filterPresets) setFilterPresets(config.filterPresets);
+        if (config.defaultFilterPreset !== undefined) setDefaultFilterPreset(config.defaultFilterPreset);
         if (config.enableMapView !== undefined) setEnableMapView(config.enableMapView);
         if (config.mapGeocodeMode) setMapGeocodeMode(config.mapGeocodeMode);
-        if (config.mapGeocodeMode) setMapGeocodeMode(config.mapGeocodeMode);
         if (config.enableCardMove !== undefined) setEnableCardMove(config.enableCardMove);
         if (config.enableStreetView !== undefined) setEnableStreetView(config.enableStreetView);
         if (config.updateTrelloCoordinates !== undefined) setUpdateTrelloCoordinates(config.updateTrelloCoordinates);
         if (config.enableTaskView !== undefined) setEnableTaskView(config.enableTaskView);
         if (config.taskViewWorkspaces !== undefined) setTaskViewWorkspaces(config.taskViewWorkspaces);
         if (config.taskViewRefreshInterval !== undefined) setTaskViewRefreshInterval(config.taskViewRefreshInterval);
+        if (config.statistics) {
+            if (config.statistics.enabled !== undefined) setEnableStats(config.statistics.enabled);
+            if (config.statistics.showArchived !== undefined) setStatsShowArchived(config.statistics.showArchived);
+            if (config.statistics.includedLists) setStatsIncludedLists(config.statistics.includedLists);
+            if (config.statistics.flowStartLists) setFlowStartLists(config.statistics.flowStartLists);
+            if (config.statistics.flowDoneLists) setFlowDoneLists(config.statistics.flowDoneLists);
+        }
+    };
+
+    // Applies a config to the board it was exported from, switching to that board first
+    const applyConfigToOwnBoard = (config) => {
+        if (config.boardId && config.boardId !== selectedBoardId) {
+            // Even if the board isn't in the accessible boards (user might need permissions), select it so a fetch is attempted
+            if (!boards.some(b => b.id === config.boardId)) console.warn("Imported config for unknown board:", config.boardId);
+            setSelectedBoardId(config.boardId);
+            setLinkedBoards([]);
+            fetchBoardData(config.boardId, config.linkedBoards || []);
+        } else if (config.linkedBoards) {
+            fetchBoardData(selectedBoardId, config.linkedBoards);
+        }
+        applyConfigToState(config);
+    };
 
+    // Config from another board: match its lists and labels by name onto the selected board, then let the user review
+    const startRemapImport = async (config, fromShareLink) => {
+        let sourceBoard = {};
+        if (!config.sourceLists && boards.some(b => b.id === config.boardId)) {
+            // Older exports don't carry list names: read them from the source board when we have access
+            try {
+                const sourceLists = await trelloFetch(`/boards/${config.boardId}/lists?filter=all&fields=id,name`, user.token);
+                const sourceLabels = await trelloFetch(`/boards/${config.boardId}/labels?fields=id,name,color`, user.token);
+                sourceBoard = describeBoard(sourceLists, sourceLabels);
+            } catch (e) {
+                console.warn("Could not read lists of the source board", e);
+            }
+        }
+        setRemapImport({ config, fromShareLink, plan: buildRemapPlan(config, allLists, boardLabels, sourceBoard) });
+    };
+
+    const finishRemapImport = (applied) => {
+        if (remapImport.fromShareLink) dismissImport();
+        setRemapImport(null);
+        if (applied) alert("Configuration imported! Click Save to persist changes.");
+    };
+
+    const handleApplyRemap = (listMap, labelMap) => {
+        applyConfigToState(remapConfig(remapImport.config, listMap, labelMap));
+        finishRemapImport(true);
+    };
+
+    const handleRemapSwitchBoard = () => {
+        applyConfigToOwnBoard(remapImport.config);
+        finishRemapImport(true);
+    };
+
+    const applyImportedConfig = () => {
+        if (!pendingImport || !pendingImport.config) return;
+        applyConfigToOwnBoard(pendingImport.config);
 
         // Clear pending state
         setPendingImport(null);
@@ -336,20 +414,20 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
         setError('');
 
         try {
-            // 1. Fetch Board Data
-            await fetchBoardData(boardId);
+            // 1. Fetch Board Data (and the lists of linked boards)
+            const savedLinkedBoards = getBoardStore(boardId, BOARD_NAMESPACES.DISPLAY).linkedBoards;
+            setLinkedBoards(savedLinkedBoards);
+            await fetchBoardData(boardId, savedLinkedBoards);
 
             // 2. Load Layout
-            const allUserData = JSON.parse(localStorage.getItem('trelloUserData') || '{}');
-            const savedLayout = allUserData[user.id]?.dashboardLayout?.[boardId];
+            const savedLayout = getUserData(user.id, 'dashboardLayout')?.[boardId];
+            const displaySettings = getBoardStore(boardId, BOARD_NAMESPACES.DISPLAY);
 
             if (savedLayout) {
                 setBlocks(savedLayout);
             } else {
-                const legacyKey = `TRELLO_DASHBOARD_LAYOUT_${boardId}`;
-                const legacyLayout = localStorage.getItem(legacyKey);
-                if (legacyLayout) setBlocks(JSON.parse(legacyLayout));
-                else setBlocks([]); // Clear if nothing found
+                // Layout saved by the old version of the app, before layouts were per user
+                setBlocks(displaySettings.legacyLayout || []); // Clear if nothing found
             }
 
             // 3. Load Colors
@@ -357,35 +435,29 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
             setListColors(savedColors);
 
             // 4. Load Other Settings
-            const savedRefresh = localStorage.getItem(STORAGE_KEYS.REFRESH_INTERVAL + boardId);
-            if (savedRefresh) {
-                const parsed = JSON.parse(savedRefresh);
-                setRefreshValue(parsed.value);
-                setRefreshUnit(parsed.unit);
-            } else {
-                setRefreshValue(1);
-                setRefreshUnit('minutes');
-            }
-
-            const savedClock = localStorage.getItem(STORAGE_KEYS.CLOCK_SETTING + boardId);
-            setShowClock(savedClock !== 'false');
-
-            const savedIgnore = localStorage.getItem(STORAGE_KEYS.IGNORE_TEMPLATE_CARDS + boardId);
-            setIgnoreTemplateCards(savedIgnore !== 'false'); // Default true
-
-            const savedIgnoreCompleted = localStorage.getItem(STORAGE_KEYS.IGNORE_COMPLETED_CARDS + boardId);
-            setIgnoreCompletedCards(savedIgnoreCompleted === 'true'); // Default false
-
-            const savedIgnoreNoDesc = localStorage.getItem('IGNORE_NO_DESC_CARDS_' + boardId);
-            setIgnoreNoDescCards(savedIgnoreNoDesc === 'true'); // Default false
+            setTileThresholds(displaySettings.tileThresholds);
+            setNotificationSettings(displaySettings.notifications);
+            setTileNotifications(displaySettings.tileNotifications);
+            setTileTrends(displaySettings.tileTrends);
+            setShiftStarts(displaySettings.shiftStarts.join(', '));
+            setRefreshValue(displaySettings.refreshInterval.value);
+            setRefreshUnit(displaySettings.refreshInterval.unit);
+            setShowClock(displaySettings.showClock);
+            setIgnoreTemplateCards(displaySettings.ignoreTemplateCards); // Default true
+            setIgnoreCompletedCards(displaySettings.ignoreCompletedCards); // Default false
+            setIgnoreNoDescCards(displaySettings.ignoreNoDescCards); // Default false
+            setTimeFilterBasis(displaySettings.timeFilterBasis);
+            setTimeZone(displaySettings.timeZone);
+            setWeekStart(displaySettings.weekStart);
+            setBusinessHours({ ...DEFAULT_BUSINESS_HOURS, ...displaySettings.businessHours });
+            setFilterPresets(displaySettings.filterPresets);
+            setDefaultFilterPreset(displaySettings.defaultFilterPreset);
 
             // 5. Load Map Config
-            const rulesKey = `TRELLO_MARKER_RULES_${boardId}`;
-            const savedRules = localStorage.getItem(rulesKey);
-            if (savedRules) setMarkerRules(JSON.parse(savedRules));
-            else setMarkerRules([]);
+            const mapSettings = getBoardStore(boardId, BOARD_NAMESPACES.MAP);
+            setMarkerRules(mapSettings.markerRules);
 
-            const userSettings = allUserData[user.id]?.settings;
+            const userSettings = getUserData(user.id, 'settings');
             if (userSettings) {
                 // Global-ish settings that might be per-board in future or just last-used
                 // For now, these are somewhat global but applied on load. 
@@ -399,32 +471,25 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
                 if (userSettings.taskViewWorkspaces !== undefined) setTaskViewWorkspaces(userSettings.taskViewWorkspaces);
                 if (userSettings.taskViewRefreshInterval !== undefined) setTaskViewRefreshInterval(userSettings.taskViewRefreshInterval);
 
-                // Most map settings ARE per board in local storage keys below.
+                // Most map settings ARE per board in the board's map namespace below.
             }
 
-            // Map Persistent Keys
-            const savedUpdateTrello = localStorage.getItem('updateTrelloCoordinates_' + boardId);
-            setUpdateTrelloCoordinates(savedUpdateTrello === 'true');
-
-            const savedEnableCardMove = localStorage.getItem('enableCardMove_' + boardId);
-            setEnableCardMove(savedEnableCardMove === 'true');
-
-            setEnableHomeLocation(localStorage.getItem(`enableHomeLocation_${boardId}`) === 'true');
-            setHomeAddress(localStorage.getItem(`homeAddress_${boardId}`) || '');
-            const savedHomeCoords = localStorage.getItem(`homeCoordinates_${boardId}`);
-            setHomeCoordinates(savedHomeCoords ? JSON.parse(savedHomeCoords) : null);
-            setHomeIcon(localStorage.getItem(`homeIcon_${boardId}`) || 'home');
-            setHomeCoordinates(savedHomeCoords ? JSON.parse(savedHomeCoords) : null);
-            setHomeIcon(localStorage.getItem(`homeIcon_${boardId}`) || 'home');
-
-            const savedEnableStreetView = localStorage.getItem('enableStreetView_' + boardId);
-            setEnableStreetView(savedEnableStreetView === 'true');
+            // Map Persistent Settings
+            setUpdateTrelloCoordinates(mapSettings.updateTrelloCoordinates);
+            setEnableCardMove(mapSettings.enableCardMove);
+            setEnableHomeLocation(mapSettings.enableHomeLocation);
+            setHomeAddress(mapSettings.homeAddress);
+            setHomeCoordinates(mapSettings.homeCoordinates);
+            setHomeIcon(mapSettings.homeIcon);
+            setEnableStreetView(mapSettings.enableStreetView);
 
             // 6. Load Statistics Config
             const statsSettings = userSettings?.statistics || {};
             setEnableStats(!!statsSettings.enabled);
             setStatsShowArchived(statsSettings.includeArchived !== undefined ? statsSettings.includeArchived : true);
             setStatsIncludedLists(statsSettings.includedLists || []);
+            setFlowStartLists(statsSettings.flowStartLists || []);
+            setFlowDoneLists(statsSettings.flowDoneLists || []);
 
             // Slideshow
             if (userSettings?.slideshowInterval) setSlideshowInterval(userSettings.slideshowInterval);
@@ -448,8 +513,7 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
                 const boardsData = await trelloFetch('/members/me/boards?fields=id,name,url,idOrganization&organization=true&organization_fields=displayName,name', user.token);
                 setBoards(boardsData);
 
-                const storedData = JSON.parse(localStorage.getItem('trelloUserData') || '{}');
-                const userSettings = storedData[user.id]?.settings;
+                const userSettings = getUserData(user.id, 'settings');
 
                 if (userSettings?.boardId) {
                     const bId = userSettings.boardId;
@@ -476,13 +540,24 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
         loadInitialSettings();
     }, [user]);
 
-    const fetchBoardData = async (boardId) => {
+    const fetchBoardData = async (boardId, linked = []) => {
         setLoadingLists(true);
         setError('');
         try {
             // Fetch lists with 1 card limit to support "first card" preview
-            const listsData = await trelloFetch(`/boards/${boardId}/lists?cards=open&card_fields=name&card_limit=1&fields=id,name`, user.token);
-            setAllLists(listsData);
+            const listsUrl = (id) => `/boards/${id}/lists?cards=open&card_fields=name&card_limit=1&fields=id,name`;
+            const listsData = await trelloFetch(listsUrl(boardId), user.token);
+            // Lists of linked boards are tagged with their board, so tiles can say where they come from
+            const linkedListsData = await Promise.all(linked.map(async (board) => {
+                try {
+                    const lists = await trelloFetch(listsUrl(board.id), user.token);
+                    return lists.map(l => ({ ...l, boardId: board.id, boardName: board.name }));
+                } catch (e) {
+                    console.warn(`Failed to load lists of linked board ${board.name || board.id}`, e);
+                    return [];
+                }
+            }));
+            setAllLists([...listsData, ...linkedListsData.flat()]);
             const labelsData = await trelloFetch(`/boards/${boardId}/labels`, user.token);
             setBoardLabels(labelsData);
         } catch (e) {
@@ -503,6 +578,10 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
             setListColors({});
             setMarkerRules([]);
             setAllLists([]);
+            setLinkedBoards([]);
+            setTileThresholds({});
+            setTileNotifications({});
+            setTileTrends({});
         }
     };
 
@@ -534,6 +613,53 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
         setBlocks(blocks.map(b => b.id === id ? { ...b, [prop]: val } : b));
     };
 
+    const handleUpdateThreshold = (listId, field, value) => {
+        setTileThresholds({ ...tileThresholds, [listId]: { direction: 'above', flash: false, ...tileThresholds[listId], [field]: value } });
+    };
+
+    // "07:00, 19:00" -> ['07:00', '19:00'], dropping anything that isn't a valid time
+    const parseShiftStarts = (text) => text.split(',').map(t => t.trim()).filter(t => /^([01]\d|2[0-3]):[0-5]\d$/.test(t));
+
+    const handleUpdateTileTrend = (listId, field, value) => {
+        setTileTrends({ ...tileTrends, [listId]: { sparkline: false, hours: DEFAULT_SPARKLINE_HOURS, delta: DELTA_REFERENCES.NONE, ...tileTrends[listId], [field]: value } });
+    };
+
+    const handleUpdateTileNotification = (listId, field, value) => {
+        setTileNotifications({ ...tileNotifications, [listId]: { ...tileNotifications[listId], [field]: value } });
+    };
+
+    // Desktop notifications need the browser's permission, asked when they are switched on
+    const handleToggleNotifications = async (enabled) => {
+        setNotificationSettings({ ...notificationSettings, enabled });
+        if (!enabled) return;
+        const permission = await requestNotificationPermission();
+        if (permission === 'denied') alert("Notifications are blocked for this site in your browser settings. Sound cues will still play.");
+        if (permission === 'unsupported') alert("This browser doesn't support desktop notifications. Sound cues will still play.");
+    };
+
+    const handleUpdateQuietHours = (field, value) => {
+        setNotificationSettings({ ...notificationSettings, quietHours: { ...notificationSettings.quietHours, [field]: value } });
+    };
+
+    // Linked boards: their lists join the Available Lists pool and can be mixed with this board's tiles
+    const handleLinkBoard = (boardId) => {
+        const board = boards.find(b => b.id === boardId);
+        if (!board || linkedBoards.some(b => b.id === boardId)) return;
+        const next = [...linkedBoards, { id: board.id, name: board.name }];
+        setLinkedBoards(next);
+        fetchBoardData(selectedBoardId, next);
+    };
+
+    const handleUnlinkBoard = (boardId) => {
+        const removedListIds = new Set(allLists.filter(l => l.boardId === boardId).map(l => l.id));
+        if (blocks.some(b => b.listIds.some(id => removedListIds.has(id)))) {
+            if (!window.confirm("Tiles from this board will be removed from your blocks. Continue?")) return;
+            setBlocks(blocks.map(b => ({ ...b, listIds: b.listIds.filter(id => !removedListIds.has(id)) })));
+        }
+        setLinkedBoards(linkedBoards.filter(b => b.id !== boardId));
+        setAllLists(allLists.filter(l => !removedListIds.has(l.id)));
+    };
+
     // Drag and Drop Logic
     const onDragEnd = (result) => {
         const { source, destination, draggableId, type } = result;
@@ -619,6 +745,25 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
             return;
         }
 
+        // VALIDATION: Shift start times
+        if (shiftStarts.trim() && parseShiftStarts(shiftStarts).length !== shiftStarts.split(',').filter(t => t.trim()).length) {
+            setError("Shift start times must be written as HH:MM, separated by commas (e.g. 07:00, 19:00).");
+            window.scrollTo(0, 0);
+            return;
+        }
+
+        // VALIDATION: Time filters
+        if (timeZone.trim() && !isValidTimeZone(timeZone.trim())) {
+            setError(`Unknown time zone "${timeZone.trim()}". Use a name such as Europe/Rome, or leave it empty for this browser's time zone.`);
+            window.scrollTo(0, 0);
+            return;
+        }
+        if (businessHours.enabled && (businessHours.days.length === 0 || businessHours.end <= businessHours.start)) {
+            setError("Business hours need at least one day, and must end after they start.");
+            window.scrollTo(0, 0);
+            return;
+        }
+
         // VALIDATION: Must have Board OR Task View enabled
         if (!selectedBoardId && !enableTaskView) {
             return alert("You must either enable the tasks view, or choose a Trello board to configure as a dashboard to use Trellops.");
@@ -636,35 +781,54 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
                 setPersistentColors(user.id, selectedBoardId, listColors);
 
                 // 3. Save Other Settings
-                localStorage.setItem(STORAGE_KEYS.REFRESH_INTERVAL + selectedBoardId, JSON.stringify({ value: refreshValue, unit: refreshUnit }));
-                localStorage.setItem(STORAGE_KEYS.CLOCK_SETTING + selectedBoardId, showClock ? 'true' : 'false');
-                localStorage.setItem(STORAGE_KEYS.IGNORE_TEMPLATE_CARDS + selectedBoardId, ignoreTemplateCards ? 'true' : 'false');
-                localStorage.setItem(STORAGE_KEYS.IGNORE_COMPLETED_CARDS + selectedBoardId, ignoreCompletedCards ? 'true' : 'false');
-                localStorage.setItem(STORAGE_KEYS.IGNORE_NO_DESC_CARDS + selectedBoardId, ignoreNoDescCards ? 'true' : 'false');
+                updateBoardStore(selectedBoardId, BOARD_NAMESPACES.DISPLAY, display => ({
+                    ...display,
+                    refreshInterval: { value: refreshValue, unit: refreshUnit },
+                    showClock,
+                    ignoreTemplateCards,
+                    ignoreCompletedCards,
+                    ignoreNoDescCards,
+                    timeFilterBasis,
+                    timeZone: timeZone.trim(),
+                    weekStart,
+                    businessHours,
+                    filterPresets,
+                    defaultFilterPreset: filterPresets.some(p => p.id === defaultFilterPreset) ? defaultFilterPreset : null,
+                    linkedBoards,
+                    // Only keep thresholds with a limit, for lists still on the dashboard
+                    tileThresholds: Object.fromEntries(Object.entries(tileThresholds).filter(([listId, t]) =>
+                        isThresholdSet(t) && blocks.some(b => b.listIds.includes(listId))
+                    )),
+                    notifications: notificationSettings,
+                    tileNotifications: Object.fromEntries(Object.entries(tileNotifications).filter(([listId, rule]) =>
+                        hasNotificationRule(rule) && blocks.some(b => b.listIds.includes(listId))
+                    )),
+                    tileTrends: Object.fromEntries(Object.entries(tileTrends).filter(([listId, trend]) =>
+                        (trend.sparkline || (trend.delta && trend.delta !== DELTA_REFERENCES.NONE)) && blocks.some(b => b.listIds.includes(listId))
+                    )),
+                    shiftStarts: parseShiftStarts(shiftStarts)
+                }));
 
                 // 4. Save Map Config
-                localStorage.setItem(`TRELLO_MARKER_RULES_${selectedBoardId}`, JSON.stringify(markerRules.filter(r => r.labelId))); // Clean empty rules
-
-                localStorage.setItem(`enableHomeLocation_${selectedBoardId}`, enableHomeLocation);
-                localStorage.setItem(`homeAddress_${selectedBoardId}`, homeAddress);
-                localStorage.setItem(`homeCoordinates_${selectedBoardId}`, JSON.stringify(homeCoordinates));
-                localStorage.setItem(`homeIcon_${selectedBoardId}`, homeIcon);
-
                 // Only allow saving true if permission exists
                 const safeUpdateTrello = updateTrelloCoordinates && hasWritePermission;
-                localStorage.setItem('updateTrelloCoordinates_' + selectedBoardId, safeUpdateTrello ? 'true' : 'false');
-
                 const safeEnableCardMove = enableCardMove && hasWritePermission;
-                localStorage.setItem('enableCardMove_' + selectedBoardId, safeEnableCardMove ? 'true' : 'false');
-                localStorage.setItem('enableStreetView_' + selectedBoardId, enableStreetView ? 'true' : 'false');
+
+                setBoardStore(selectedBoardId, BOARD_NAMESPACES.MAP, {
+                    markerRules: markerRules.filter(r => r.labelId), // Clean empty rules
+                    enableHomeLocation,
+                    homeAddress,
+                    homeCoordinates,
+                    homeIcon,
+                    updateTrelloCoordinates: safeUpdateTrello,
+                    enableCardMove: safeEnableCardMove,
+                    enableStreetView
+                });
 
                 // If enabling Trello updates, reset the cache to force decoding and updating
                 if (safeUpdateTrello) {
-                    const cacheKey = `MAP_GEOCODING_CACHE_${selectedBoardId}`;
-                    if (localStorage.getItem(cacheKey)) {
-                        localStorage.removeItem(cacheKey);
-                        console.log("Cache cleared due to Trello Update enablement.");
-                    }
+                    clearBoardStore(selectedBoardId, BOARD_NAMESPACES.GEOCODING_CACHE);
+                    console.log("Cache cleared due to Trello Update enablement.");
                 }
             }
 
@@ -687,19 +851,16 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
                 statistics: {
                     enabled: enableStats,
                     showArchived: statsShowArchived,
-                    includedLists: statsIncludedLists
+                    includedLists: statsIncludedLists,
+                    flowStartLists,
+                    flowDoneLists
                 }
 
 
 
             };
 
-            const storedData = JSON.parse(localStorage.getItem('trelloUserData') || '{}');
-            storedData[user.id] = {
-                ...storedData[user.id],
-                settings: newSettings
-            };
-            localStorage.setItem('trelloUserData', JSON.stringify(storedData));
+            setUserData(user.id, 'settings', newSettings);
 
             // Call onSave with newSettings to update App.jsx state IMMEDIATELY
             onSave(newSettings);
@@ -718,27 +879,22 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
                 // We need to construct the full object.
                 // To be safe, we should probably read the current state for board stuff OR just update the specific keys in `storedData`.
 
-                // STRATEGY: Update only specific keys in localStorage 'trelloUserData'
+                // STRATEGY: Update only specific keys in the stored user settings
                 ...user.settings, // Start with current settings
                 enableTaskView,
                 taskViewWorkspaces,
                 taskViewRefreshInterval
             };
 
-            const storedData = JSON.parse(localStorage.getItem('trelloUserData') || '{}');
-            const currentUserData = storedData[user.id] || {};
-
-            storedData[user.id] = {
-                ...currentUserData,
+            updateUserRecord(user.id, userData => ({
+                ...userData,
                 settings: {
-                    ...(currentUserData.settings || {}),
+                    ...(userData.settings || {}),
                     enableTaskView,
                     taskViewWorkspaces,
                     taskViewRefreshInterval
                 }
-            };
-
-            localStorage.setItem('trelloUserData', JSON.stringify(storedData));
+            }));
 
             // Notify Parent
             // We pass the full new settings object to update local state in App.jsx
@@ -800,27 +956,46 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
         // Try to find name in boards list
         const boardName = boards.find(b => b.id === selectedBoardId)?.name;
 
-        return {
+        return versionConfig({
             boardId: selectedBoardId,
             boardName: boardName, // Include name
             blocks,
+            linkedBoards,
             listColors,
+            tileThresholds,
+            notifications: notificationSettings,
+            tileNotifications,
+            tileTrends,
+            shiftStarts: parseShiftStarts(shiftStarts),
             markerRules,
+            ...describeBoard(allLists, boardLabels),
             refreshValue,
             refreshUnit,
             showClock,
             ignoreTemplateCards,
             ignoreCompletedCards,
             ignoreNoDescCards,
+            timeFilterBasis,
+            timeZone: timeZone.trim(),
+            weekStart,
+            businessHours,
+            filterPresets,
+            defaultFilterPreset,
             enableMapView,
             mapGeocodeMode,
             enableCardMove,
             enableStreetView,
             enableTaskView,
             taskViewWorkspaces,
-            taskViewRefreshInterval
-
-        };
+            taskViewRefreshInterval,
+            statistics: {
+                enabled: enableStats,
+                showArchived: statsShowArchived,
+                includedLists: statsIncludedLists,
+                flowStartLists,
+                flowDoneLists
+            }
+        });
     };
 
     const handleExportConfig = () => {
@@ -842,52 +1017,21 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
         const reader = new FileReader();
         reader.onload = (evt) => {
             try {
-                const config = JSON.parse(evt.target.result);
-                if (config.boardId && config.boardId !== selectedBoardId) {
-                    if (!window.confirm(`This config is for board ${config.boardId}, but you are on ${selectedBoardId}. Import anyway?`)) return;
-
-                    // Pre-populate board selection if available
-                    // We need to set selectedBoardId to the one in config
-                    // Ideally, we shoudl check if the user has access to this board in 'boards' list
-                    const targetBoard = boards.find(b => b.id === config.boardId);
-                    if (targetBoard) {
-                        setSelectedBoardId(config.boardId);
-                        // We might want to trigger a fetch here or let the effect handle it?
-                        // Since we are setting state directly below, we might skip a fetch or need one for lists.
-                        // Ideally: Set ID -> Fetch Data -> Apply Config.
-                        // But applyConfig is synchronous here.
-                        // Let's rely on handleBoardChange logic or manual fetch?
-                        // Better: just set the ID. The effect 'loadBoardSettings' or 'fetchBoardData' might trigger if we added it to dependency array, but we didn't.
-                        // Let's manually trigger fetch to ensure lists are loaded for the config to map correctly.
-                        fetchBoardData(config.boardId);
-                    } else {
-                        // User might not have this board loaded or access to it.
-                        console.warn("Imported config for unknown board:", config.boardId);
-                        // Still set it? Or let user stay on current?
-                        // Request says "pre-populate all fields including board name".
-                        // Use config.boardId as selectedBoardId even if name unknown?
-                        setSelectedBoardId(config.boardId);
-                        // We can TRY to fetch it.
-                        fetchBoardData(config.boardId);
-                    }
+                const { config, errors, notes, fromVersion } = parseConfig(JSON.parse(evt.target.result));
+                if (!config) {
+                    alert(`This configuration can't be imported:\n${formatConfigIssues({ errors, notes })}`);
+                    return;
+                }
+                if (errors.length > 0 || notes.length > 0) {
+                    const summary = `Configuration (version ${fromVersion}) has ${errors.length} invalid field(s); these will be skipped:\n${formatConfigIssues({ errors, notes })}`;
+                    if (!window.confirm(`${summary}\n\nImport the remaining settings?`)) return;
+                }
+                if (config.boardId && selectedBoardId && config.boardId !== selectedBoardId) {
+                    startRemapImport(config, false);
+                    return;
                 }
 
-                if (config.blocks) setBlocks(config.blocks);
-                if (config.listColors) setListColors(config.listColors);
-                if (config.markerRules) setMarkerRules(config.markerRules);
-                if (config.refreshValue) setRefreshValue(config.refreshValue);
-                if (config.refreshUnit) setRefreshUnit(config.refreshUnit);
-                if (config.showClock !== undefined) setShowClock(config.showClock);
-                if (config.ignoreTemplateCards !== undefined) setIgnoreTemplateCards(config.ignoreTemplateCards);
-                if (config.ignoreCompletedCards !== undefined) setIgnoreCompletedCards(config.ignoreCompletedCards);
-                if (config.ignoreNoDescCards !== undefined) setIgnoreNoDescCards(config.ignoreNoDescCards);
-                if (config.enableMapView !== undefined) setEnableMapView(config.enableMapView);
-                if (config.mapGeocodeMode) setMapGeocodeMode(config.mapGeocodeMode);
-                if (config.enableCardMove !== undefined) setEnableCardMove(config.enableCardMove);
-                if (config.enableStreetView !== undefined) setEnableStreetView(config.enableStreetView);
-                if (config.enableTaskView !== undefined) setEnableTaskView(config.enableTaskView);
-                if (config.taskViewWorkspaces !== undefined) setTaskViewWorkspaces(config.taskViewWorkspaces);
-                if (config.taskViewRefreshInterval !== undefined) setTaskViewRefreshInterval(config.taskViewRefreshInterval);
+                applyConfigToOwnBoard(config);
                 alert("Configuration imported! Click Save to persist changes.");
 
             } catch (err) {
@@ -1008,11 +1152,26 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
             {pendingImport && (
                 <div className="info-banner" style={{ background: '#e3f2fd', color: '#0d47a1', padding: '15px', marginBottom: '15px', borderRadius: '4px', border: '1px solid #90caf9', marginTop: '10px', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                     <div>
-                        <strong>Configuration Loaded:</strong> Shared settings available for board <strong>{pendingImport.boardName || pendingImport.boardId}</strong>.
-                        <div style={{ fontSize: '0.9em', marginTop: '4px' }}>Unsaved changes will be lost if you apply this configuration.</div>
+                        {pendingImport.config ? (
+                            <>
+                                <strong>Configuration Loaded:</strong> Shared settings available for board <strong>{pendingImport.config.boardName || pendingImport.config.boardId}</strong>.
+                                <div style={{ fontSize: '0.9em', marginTop: '4px' }}>Unsaved changes will be lost if you apply this configuration.</div>
+                            </>
+                        ) : (
+                            <strong>The shared configuration can't be imported.</strong>
+                        )}
+                        {(pendingImport.errors.length > 0 || pendingImport.notes.length > 0) && (
+                            <div style={{ fontSize: '0.9em', marginTop: '4px', whiteSpace: 'pre-line' }}>
+                                {pendingImport.config && pendingImport.errors.length > 0 && 'These fields are invalid and will be skipped:\n'}
+                                {formatConfigIssues(pendingImport)}
+                            </div>
+                        )}
                     </div>
                     <div style={{ display: 'flex', gap: '10px' }}>
-                        <button onClick={applyImportedConfig} style={{ background: '#1976d2', color: 'white', border: 'none', padding: '6px 12px', borderRadius: '4px', cursor: 'pointer', fontWeight: 'bold' }}>Apply</button>
+                        {pendingImport.config && <button onClick={applyImportedConfig} style={{ background: '#1976d2', color: 'white', border: 'none', padding: '6px 12px', borderRadius: '4px', cursor: 'pointer', fontWeight: 'bold' }}>Apply</button>}
+                        {pendingImport.config && pendingImport.config.boardId && selectedBoardId && pendingImport.config.boardId !== selectedBoardId && (
+                            <button onClick={() => startRemapImport(pendingImport.config, true)} style={{ background: 'transparent', color: '#0d47a1', border: '1px solid #0d47a1', padding: '6px 12px', borderRadius: '4px', cursor: 'pointer' }}>Apply to {selectedBoard ? selectedBoard.name : 'current board'}</button>
+                        )}
                         <button onClick={dismissImport} style={{ background: 'transparent', color: '#0d47a1', border: '1px solid #0d47a1', padding: '6px 12px', borderRadius: '4px', cursor: 'pointer' }}>Dismiss</button>
                     </div>
                 </div>
@@ -1080,6 +1239,23 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
                                                 Tiles show the total count of cards in each Trello list, automatically updating as the cards are created or moved. Choose from the Unassigned pool on the left, the lists you want to create as a tile in the respective block on the right. Then customise each tile position and colour.
                                             </p>
 
+                                            {/* LINKED BOARDS */}
+                                            <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', marginTop: '10px' }}>
+                                                <span style={{ fontSize: '0.9em' }}>Also show lists from:</span>
+                                                {linkedBoards.map(board => (
+                                                    <span key={board.id} style={{ background: '#e7f5ff', border: '1px solid #a5d8ff', borderRadius: '12px', padding: '2px 10px', fontSize: '0.85em' }}>
+                                                        {board.name || board.id}
+                                                        <button onClick={() => handleUnlinkBoard(board.id)} title="Remove board" style={{ background: 'none', border: 'none', color: '#c62828', cursor: 'pointer', marginLeft: '4px', fontWeight: 'bold' }}>&times;</button>
+                                                    </span>
+                                                ))}
+                                                <select value="" onChange={e => handleLinkBoard(e.target.value)} style={{ padding: '4px', borderRadius: '4px' }}>
+                                                    <option value="">+ Add a board...</option>
+                                                    {boards.filter(b => b.id !== selectedBoardId && !linkedBoards.some(l => l.id === b.id)).map(b => (
+                                                        <option key={b.id} value={b.id}>{b.name}</option>
+                                                    ))}
+                                                </select>
+                                            </div>
+
                                             <div style={{ display: 'flex', gap: '20px', alignItems: 'flex-start', marginTop: '15px' }}>
                                                 {/* UNASSIGNED */}
                                                 <div style={{ flex: 1, background: '#f8f9fa', padding: '10px', borderRadius: '6px', border: '1px solid #dee2e6' }}>
@@ -1097,6 +1273,7 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
                                                                                 style={{ padding: '8px', margin: '4px 0', background: 'white', border: '1px solid #ddd', borderRadius: '4px', ...provided.draggableProps.style }}
                                                                             >
                                                                                 {list.name}
+                                                                                {list.boardName && <span style={{ fontSize: '0.8em', color: '#888', marginLeft: '6px' }}>({list.boardName})</span>}
                                                                             </div>
                                                                         )}
                                                                     </Draggable>
@@ -1132,7 +1309,41 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
                                                                             <span>Display the first card as tile description</span>
                                                                         </div>
                                                                     )}
+                                                                    <div
+                                                                        style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }}
+                                                                        onClick={() => handleUpdateBlockProp(block.id, 'showCardAge', !block.showCardAge)}
+                                                                    >
+                                                                        <ToggleSwitch checked={!!block.showCardAge} onChange={e => handleUpdateBlockProp(block.id, 'showCardAge', e.target.checked)} />
+                                                                        <span>Show card age on tiles</span>
+                                                                    </div>
                                                                 </div>
+                                                                {block.showCardAge && (
+                                                                    <div style={{ display: 'flex', gap: '15px', flexWrap: 'wrap', alignItems: 'center', marginTop: '8px' }}>
+                                                                        <label>
+                                                                            Age since{' '}
+                                                                            <select value={block.ageBasis || AGE_BASES.CREATED} onChange={e => handleUpdateBlockProp(block.id, 'ageBasis', e.target.value)}>
+                                                                                {Object.values(AGE_BASES).map(basis => (
+                                                                                    <option key={basis} value={basis}>{AGE_BASIS_LABELS[basis]}</option>
+                                                                                ))}
+                                                                            </select>
+                                                                        </label>
+                                                                        <label title="Comma-separated limits in hours (h) or days (d)">
+                                                                            SLA buckets{' '}
+                                                                            <input
+                                                                                key={formatAgeBuckets(block.ageBuckets)}
+                                                                                type="text"
+                                                                                defaultValue={formatAgeBuckets(block.ageBuckets)}
+                                                                                placeholder="1d, 3d, 7d"
+                                                                                style={{ width: '110px' }}
+                                                                                onBlur={e => {
+                                                                                    const parsed = parseAgeBuckets(e.target.value);
+                                                                                    if (parsed) handleUpdateBlockProp(block.id, 'ageBuckets', parsed);
+                                                                                    else e.target.value = formatAgeBuckets(block.ageBuckets);
+                                                                                }}
+                                                                            />
+                                                                        </label>
+                                                                    </div>
+                                                                )}
                                                             </div>
 
                                                             <Droppable droppableId={block.id} type="LIST">
@@ -1149,9 +1360,12 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
                                                                                             ref={provided.innerRef}
                                                                                             {...provided.draggableProps}
                                                                                             {...provided.dragHandleProps}
-                                                                                            style={{ padding: '8px', margin: '4px 0', background: 'white', borderLeft: `5px solid ${color}`, borderRadius: '4px', display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '10px', ...provided.draggableProps.style }}
+                                                                                            style={{ padding: '8px', margin: '4px 0', background: 'white', borderLeft: `5px solid ${color}`, borderRadius: '4px', display: 'flex', flexWrap: 'wrap', alignItems: 'center', justifyContent: 'space-between', gap: '10px', ...provided.draggableProps.style }}
                                                                                         >
-                                                                                            <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{list.name}</span>
+                                                                                            <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                                                                                {list.name}
+                                                                                                {list.boardName && <span style={{ fontSize: '0.8em', color: '#888', marginLeft: '6px' }}>({list.boardName})</span>}
+                                                                                            </span>
 
                                                                                             {block.ignoreFirstCard && block.displayFirstCardDescription && list.cards && list.cards.length > 0 && (
                                                                                                 <span style={{
@@ -1176,6 +1390,82 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
                                                                                                 style={{ width: '30px', height: '30px', padding: 0, border: 'none', background: 'none', cursor: 'pointer', flexShrink: 0 }}
                                                                                                 title="Tile Colour"
                                                                                             />
+                                                                                            <button
+                                                                                                onClick={() => setEditingThresholdListId(editingThresholdListId === listId ? null : listId)}
+                                                                                                title="Thresholds and alerts"
+                                                                                                style={{ background: isThresholdSet(tileThresholds[listId]) || hasNotificationRule(tileNotifications[listId]) ? '#fff3cd' : 'none', border: '1px solid #ddd', borderRadius: '4px', cursor: 'pointer', padding: '2px 6px', flexShrink: 0 }}
+                                                                                            >
+                                                                                                &#9888;
+                                                                                            </button>
+
+                                                                                            {editingThresholdListId === listId && (() => {
+                                                                                                const threshold = tileThresholds[listId] || {};
+                                                                                                const rule = tileNotifications[listId] || {};
+                                                                                                const trend = tileTrends[listId] || {};
+                                                                                                const ruleCheckbox = (field, label) => (
+                                                                                                    <label style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                                                                                                        <input type="checkbox" checked={!!rule[field]} onChange={e => handleUpdateTileNotification(listId, field, e.target.checked)} />
+                                                                                                        {label}
+                                                                                                    </label>
+                                                                                                );
+                                                                                                const numberInput = (field) => (
+                                                                                                    <input
+                                                                                                        type="number"
+                                                                                                        min="0"
+                                                                                                        value={threshold[field] ?? ''}
+                                                                                                        onChange={e => handleUpdateThreshold(listId, field, e.target.value === '' ? null : Number(e.target.value))}
+                                                                                                        style={{ width: '60px', padding: '2px 4px' }}
+                                                                                                    />
+                                                                                                );
+                                                                                                return (
+                                                                                                    <div style={{ flexBasis: '100%', display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'center', fontSize: '0.85em', paddingTop: '6px', borderTop: '1px solid #eee' }}>
+                                                                                                        <select value={threshold.direction || 'above'} onChange={e => handleUpdateThreshold(listId, 'direction', e.target.value)}>
+                                                                                                            <option value="above">Alert when at or above</option>
+                                                                                                            <option value="below">Alert when at or below</option>
+                                                                                                        </select>
+                                                                                                        <label>Warning {numberInput('warning')}</label>
+                                                                                                        <label>Critical {numberInput('critical')}</label>
+                                                                                                        <label style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                                                                                                            <input type="checkbox" checked={!!threshold.flash} onChange={e => handleUpdateThreshold(listId, 'flash', e.target.checked)} />
+                                                                                                            Flash when critical
+                                                                                                        </label>
+                                                                                                        <div style={{ flexBasis: '100%', display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'center' }}>
+                                                                                                            <span>Notify when:</span>
+                                                                                                            {ruleCheckbox('onIncrease', 'count rises')}
+                                                                                                            {ruleCheckbox('onNewCard', 'a card enters')}
+                                                                                                            {ruleCheckbox('onThreshold', 'a threshold is crossed')}
+                                                                                                            {ruleCheckbox('sound', 'play a sound')}
+                                                                                                            {hasNotificationRule(rule) && !notificationSettings.enabled && (
+                                                                                                                <span style={{ color: '#e65100' }}>Turn on alerts in Other Board settings</span>
+                                                                                                            )}
+                                                                                                        </div>
+                                                                                                        <div style={{ flexBasis: '100%', display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'center' }}>
+                                                                                                            <label style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                                                                                                                <input type="checkbox" checked={!!trend.sparkline} onChange={e => handleUpdateTileTrend(listId, 'sparkline', e.target.checked)} />
+                                                                                                                Trend over the last
+                                                                                                                <input
+                                                                                                                    type="number"
+                                                                                                                    min="1"
+                                                                                                                    max="168"
+                                                                                                                    value={trend.hours || DEFAULT_SPARKLINE_HOURS}
+                                                                                                                    onChange={e => handleUpdateTileTrend(listId, 'hours', Math.min(168, Math.max(1, Number(e.target.value) || 1)))}
+                                                                                                                    style={{ width: '50px', padding: '2px 4px' }}
+                                                                                                                />
+                                                                                                                hours
+                                                                                                            </label>
+                                                                                                            <label>
+                                                                                                                Change{' '}
+                                                                                                                <select value={trend.delta || DELTA_REFERENCES.NONE} onChange={e => handleUpdateTileTrend(listId, 'delta', e.target.value)}>
+                                                                                                                    <option value={DELTA_REFERENCES.NONE}>not shown</option>
+                                                                                                                    <option value={DELTA_REFERENCES.START_OF_DAY}>since midnight</option>
+                                                                                                                    <option value={DELTA_REFERENCES.START_OF_SHIFT}>since the shift started</option>
+                                                                                                                    <option value={DELTA_REFERENCES.LAST_REFRESH}>since the last refresh</option>
+                                                                                                                </select>
+                                                                                                            </label>
+                                                                                                        </div>
+                                                                                                    </div>
+                                                                                                );
+                                                                                            })()}
                                                                                         </div>
                                                                                     )}
                                                                                 </Draggable>
@@ -1524,10 +1814,9 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
                                                 onClick={() => {
                                                     if (window.confirm("Are you sure you want to clear the local geocoding cache? This will force addresses to be re-fetched from Nominatim.")) {
                                                         try {
-                                                            const key = `MAP_GEOCODING_CACHE_${selectedBoard.id}`;
-                                                            localStorage.removeItem(key);
+                                                            clearBoardStore(selectedBoard.id, BOARD_NAMESPACES.GEOCODING_CACHE);
                                                             // Also clear ignored cards so they can be re-attempted
-                                                            localStorage.removeItem(STORAGE_KEYS.IGNORE_CARDS + selectedBoard.id);
+                                                            clearBoardStore(selectedBoard.id, BOARD_NAMESPACES.IGNORED_CARDS);
                                                             alert('Cache and ignored cards cleared successfully.');
                                                         } catch (e) {
                                                             alert('Failed to clear cache');
@@ -1639,6 +1928,40 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
                                             </button>
                                         </div>
 
+                                        <div style={{ marginBottom: '15px' }}>
+                                            <label style={{ fontWeight: 'bold', display: 'block', marginBottom: '8px' }}>Cycle and lead time:</label>
+                                            <p style={{ fontSize: '0.9em', color: '#666', marginTop: '-5px' }}>
+                                                Cycle time runs from the first time a card enters a "work started" list to the time it enters a "done" list; lead time from the card creation to done. Times come from the card moves in the board history.
+                                            </p>
+                                            <div style={{ maxHeight: '300px', overflowY: 'auto', border: '1px solid #ddd', padding: '10px', borderRadius: '4px', background: 'white' }}>
+                                                <table style={{ width: '100%', fontSize: '0.9em' }}>
+                                                    <thead>
+                                                        <tr>
+                                                            <th style={{ textAlign: 'left' }}>List</th>
+                                                            <th>Work started</th>
+                                                            <th>Done</th>
+                                                        </tr>
+                                                    </thead>
+                                                    <tbody>
+                                                        {allLists.filter(l => !l.boardId).map(list => {
+                                                            const toggle = (setter) => setter(prev => prev.includes(list.id) ? prev.filter(id => id !== list.id) : [...prev, list.id]);
+                                                            return (
+                                                                <tr key={list.id}>
+                                                                    <td>{list.name}</td>
+                                                                    <td style={{ textAlign: 'center' }}>
+                                                                        <input type="checkbox" checked={flowStartLists.includes(list.id)} onChange={() => toggle(setFlowStartLists)} />
+                                                                    </td>
+                                                                    <td style={{ textAlign: 'center' }}>
+                                                                        <input type="checkbox" checked={flowDoneLists.includes(list.id)} onChange={() => toggle(setFlowDoneLists)} />
+                                                                    </td>
+                                                                </tr>
+                                                            );
+                                                        })}
+                                                    </tbody>
+                                                </table>
+                                            </div>
+                                        </div>
+
 
 
                                     </div>
@@ -1730,8 +2053,109 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
                                                     />
                                                     <label htmlFor="ignoreCompletedCards" style={{ marginLeft: '10px', cursor: 'pointer' }}>Ignore Completed Cards (Due Complete)</label>
                                                 </div>
+                                                <div className="setting-item-row">
+                                                    <label htmlFor="timeFilterBasis">Dashboard time filter uses </label>
+                                                    <select id="timeFilterBasis" value={timeFilterBasis} onChange={e => setTimeFilterBasis(e.target.value)}>
+                                                        {Object.values(AGE_BASES).map(basis => (
+                                                            <option key={basis} value={basis}>{AGE_BASIS_LABELS[basis]}</option>
+                                                        ))}
+                                                    </select>
+                                                    <span style={{ display: 'block', fontSize: '0.85em', color: '#666', marginTop: '2px' }}>
+                                                        "Entered its list" reads the card moves from the board history; cards older than that history use their creation date.
+                                                    </span>
+                                                </div>
                                             </div>
                                         </div>
+                                        <div>
+                                            <label style={{ fontWeight: 'bold', display: 'block', marginBottom: '5px' }}>Alerts</label>
+                                            <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+                                                <div style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }} onClick={() => handleToggleNotifications(!notificationSettings.enabled)}>
+                                                    <ToggleSwitch checked={notificationSettings.enabled} onChange={e => handleToggleNotifications(e.target.checked)} />
+                                                    <span>Enable desktop notifications and sounds on this dashboard</span>
+                                                </div>
+                                                {notificationSettings.enabled && (
+                                                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+                                                        <input type="checkbox" id="quietHours" checked={notificationSettings.quietHours.enabled} onChange={e => handleUpdateQuietHours('enabled', e.target.checked)} />
+                                                        <label htmlFor="quietHours">Quiet hours from</label>
+                                                        <input type="time" value={notificationSettings.quietHours.start} onChange={e => handleUpdateQuietHours('start', e.target.value)} disabled={!notificationSettings.quietHours.enabled} />
+                                                        <span>to</span>
+                                                        <input type="time" value={notificationSettings.quietHours.end} onChange={e => handleUpdateQuietHours('end', e.target.value)} disabled={!notificationSettings.quietHours.enabled} />
+                                                    </div>
+                                                )}
+                                            </div>
+                                            <p style={{ fontSize: '0.8em', color: '#666', marginTop: '5px' }}>
+                                                Choose what each tile alerts on with the warning sign next to its colour (Dashboard tab). Alerts are checked at every refresh while the dashboard is open{isNotificationSupported() ? '' : '; this browser only supports sounds'}.
+                                            </p>
+                                        </div>
+                                        <div>
+                                            <label style={{ fontWeight: 'bold', display: 'block', marginBottom: '5px' }}>Tile trends</label>
+                                            <div>
+                                                <label htmlFor="shiftStarts">Shift start times </label>
+                                                <input
+                                                    id="shiftStarts"
+                                                    type="text"
+                                                    placeholder="07:00, 19:00"
+                                                    value={shiftStarts}
+                                                    onChange={e => setShiftStarts(e.target.value)}
+                                                    style={{ width: '150px', padding: '5px', borderRadius: '4px', border: '1px solid #ccc' }}
+                                                />
+                                            </div>
+                                            <p style={{ fontSize: '0.8em', color: '#666', marginTop: '5px' }}>
+                                                Tiles can show a trend line and the change in their count (warning sign next to the tile colour, Dashboard tab). Counts are recorded in this browser at each refresh and kept for 7 days. "Since the shift started" uses the latest of these times (midnight if empty).
+                                            </p>
+                                        </div>
+                                        <div>
+                                            <label style={{ fontWeight: 'bold', display: 'block', marginBottom: '5px' }}>Time filters</label>
+                                            <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+                                                <div>
+                                                    <label htmlFor="weekStart">Weeks start on </label>
+                                                    <select id="weekStart" value={weekStart} onChange={e => setWeekStart(parseInt(e.target.value, 10))}>
+                                                        <option value={WEEK_STARTS.MONDAY}>Monday</option>
+                                                        <option value={WEEK_STARTS.SUNDAY}>Sunday</option>
+                                                    </select>
+                                                </div>
+                                                <div>
+                                                    <label htmlFor="timeZone">Time zone </label>
+                                                    <input
+                                                        id="timeZone"
+                                                        type="text"
+                                                        list="timeZoneOptions"
+                                                        placeholder={Intl.DateTimeFormat().resolvedOptions().timeZone}
+                                                        value={timeZone}
+                                                        onChange={e => setTimeZone(e.target.value)}
+                                                        style={{ width: '200px', padding: '5px', borderRadius: '4px', border: '1px solid #ccc' }}
+                                                    />
+                                                    <datalist id="timeZoneOptions">
+                                                        {(Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : []).map(zone => <option key={zone} value={zone} />)}
+                                                    </datalist>
+                                                </div>
+                                                <div style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }} onClick={() => setBusinessHours({ ...businessHours, enabled: !businessHours.enabled })}>
+                                                    <ToggleSwitch checked={businessHours.enabled} onChange={e => setBusinessHours({ ...businessHours, enabled: e.target.checked })} />
+                                                    <span>Business hours</span>
+                                                </div>
+                                                <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', marginLeft: '10px' }}>
+                                                    {WEEKDAYS.map((day, i) => (
+                                                        <label key={day} style={{ display: 'flex', alignItems: 'center', gap: '3px' }}>
+                                                            <input
+                                                                type="checkbox"
+                                                                checked={businessHours.days.includes(i)}
+                                                                onChange={e => setBusinessHours({
+                                                                    ...businessHours,
+                                                                    days: e.target.checked ? [...businessHours.days, i].sort() : businessHours.days.filter(d => d !== i)
+                                                                })}
+                                                            />
+                                                            {day.slice(0, 3)}
+                                                        </label>
+                                                    ))}
+                                                    <input type="time" value={businessHours.start} onChange={e => e.target.value && setBusinessHours({ ...businessHours, start: e.target.value })} />
+                                                    <span>to</span>
+                                                    <input type="time" value={businessHours.end} onChange={e => e.target.value && setBusinessHours({ ...businessHours, end: e.target.value })} />
+                                                </div>
+                                            </div>
+                                            <p style={{ fontSize: '0.8em', color: '#666', marginTop: '5px' }}>
+                                                Calendar filters (today, this week, last month...) follow the time zone, empty for this browser's. The working days and hours are what "business days" and "business hours" count in custom ranges (e.g. "last 10 business days"); turning business hours on also offers a "Business hours (today)" filter.
+                                            </p>
+                                        </div>
                                     </div>
                                 </div>
                             ) : (
@@ -1773,14 +2197,12 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
                                             </strong>
                                             <ul style={{ margin: '5px 0 10px 20px', fontSize: '0.85em', color: '#8b0000' }}>
                                                 {(() => {
-                                                    const storedData = JSON.parse(localStorage.getItem('trelloUserData') || '{}');
-                                                    // Find all boards that have data in trelloUserData OR have specific keys
-                                                    // For simplicity, we scan trelloUserData.user.settings keys and dashboard keys
-                                                    const userData = storedData[user?.id] || {};
+                                                    // Find all boards that have a layout/colours for this user OR any per-board settings
+                                                    const userData = user?.id ? getUserRecord(user.id) : {};
                                                     const boardsWithLayout = Object.keys(userData.dashboardLayout || {});
                                                     const boardsWithColors = Object.keys(userData.listColors || {});
 
-                                                    const allCachedBoardIds = new Set([...boardsWithLayout, ...boardsWithColors]);
+                                                    const allCachedBoardIds = new Set([...boardsWithLayout, ...boardsWithColors, ...getStoredBoardIds()]);
 
                                                     if (allCachedBoardIds.size === 0) return <li>No cached configurations found.</li>;
 
@@ -1795,30 +2217,13 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
                                         <button
                                             onClick={() => {
                                                 if (confirm(`ARE YOU SURE you want to DELETE ALL LOCAL SETTINGS?\n\nThis cannot be undone.`)) {
-                                                    // 1. Clear User Data
-                                                    const storedData = JSON.parse(localStorage.getItem('trelloUserData') || '{}');
-                                                    if (user?.id) delete storedData[user.id];
-                                                    localStorage.setItem('trelloUserData', JSON.stringify(storedData));
-
-                                                    // 2. Clear specific keys (Scanning all keys since we don't track them all perfectly)
-                                                    const keysToRemove = [];
-                                                    for (let i = 0; i < localStorage.length; i++) {
-                                                        const key = localStorage.key(i);
-                                                        if (key && (
-                                                            key.startsWith('TRELLO_') ||
-                                                            key.startsWith('MAP_GEOCODING_CACHE_') ||
-                                                            key.startsWith('updateTrelloCoordinates_') ||
-                                                            key.startsWith('enableCardMove_') ||
-                                                            key.startsWith('enableStreetView_') ||
-                                                            key.startsWith('refreshInterval_') // old keys might exist
-                                                        )) {
-                                                            keysToRemove.push(key);
-                                                        }
-                                                    }
-                                                    keysToRemove.forEach(k => localStorage.removeItem(k));
+                                                    // Clear this user's data and every per-board record
+                                                    clearAllStorage(user?.id);
 
-                                                    alert("All local cache has been reset. The application will reload.");
-                                                    window.location.reload();
+                                                    flushStorage().then(() => {
+                                                        alert("All local cache has been reset. The application will reload.");
+                                                        window.location.reload();
+                                                    });
                                                 }
                                             }}
                                             style={{ backgroundColor: '#d32f2f', color: 'white', border: 'none', padding: '10px 15px', borderRadius: '4px', cursor: 'pointer', fontWeight: 'bold' }}
@@ -2004,6 +2409,21 @@ const SettingsScreen = ({ user, initialTab = 'dashboard', onClose, onSave, onLog
                     />
                 )
             }
+
+            {
+                remapImport && (
+                    <LayoutRemapModal
+                        plan={remapImport.plan}
+                        targetLists={allLists}
+                        targetLabels={boardLabels}
+                        sourceBoardName={remapImport.config.boardName}
+                        targetBoardName={selectedBoard?.name}
+                        onApply={handleApplyRemap}
+                        onSwitchBoard={boards.some(b => b.id === remapImport.config.boardId) ? handleRemapSwitchBoard : null}
+                        onClose={() => setRemapImport(null)}
+                    />
+                )
+            }
         </div >
     );
 };
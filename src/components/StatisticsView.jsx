@@ -1,11 +1,35 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { getBoardData, getRefreshMaxAge } from '../api/boardCache';
+import { getListHistory } from '../api/listHistory';
 import { trelloFetch } from '../api/trello';
-import { TIME_FILTERS } from '../utils/constants';
+import { isInTimeRange, TIME_FILTERS } from '../utils/timeFilters';
+import { getBoardStore, BOARD_NAMESPACES } from '../utils/storage';
+import { convertIntervalToSeconds, getOrGenerateRandomColor, toDateInputValue } from '../utils/helpers';
+import { getPersistentColors, getPersistentLayout } from '../utils/persistence';
+import { DEFAULT_LAYOUT } from '../utils/constants';
+import { getCardDate, AGE_BASES } from '../utils/cardAge';
+import { withListEntryTimes } from '../utils/listEntryTimes';
+import {
+    getDailyThroughput, forecastItemsByDays, forecastDaysForItems, getDaysUntil, addDays, CONFIDENCE_LEVELS, DEFAULT_SAMPLE_DAYS
+} from '../utils/forecast';
+import { exportTables, EXPORT_FORMATS } from '../utils/dataExport';
+import { buildCumulativeFlow, getFlowSampleTimes, getFlowHistoryStart } from '../utils/cumulativeFlow';
+import {
+    computeFlowTimes, getFlowDuration, getPercentile, buildDurationHistogram, msToDays, FLOW_METRICS, FLOW_PERCENTILES
+} from '../utils/flowMetrics';
+import { getSelectionRange, getSelectionLabel } from '../utils/dateRange';
+import useDateRange from '../hooks/useDateRange';
 import LabelFilter from './common/LabelFilter';
+import DateRangePicker from './common/DateRangePicker';
 import { useDarkMode } from '../context/DarkModeContext';
 import { Sun, Moon } from 'lucide-react';
 import DigitalClock from './common/DigitalClock';
 import HamburgerMenu from './common/HamburgerMenu';
+import RequestQueueIndicator from './common/RequestQueueIndicator';
+
+// Statistics need a bounded period: "All Time" isn't offered
+const EXCLUDED_TIME_FILTERS = ['all'];
+const STATISTICS_FILTER_KEYS = Object.keys(TIME_FILTERS).filter(key => !EXCLUDED_TIME_FILTERS.includes(key));
 
 const StatisticsView = ({ user, settings, onShowSettings, onGoToDashboard, onLogout }) => {
     const [cards, setCards] = useState([]);
@@ -14,29 +38,55 @@ const StatisticsView = ({ user, settings, onShowSettings, onGoToDashboard, onLog
     const { theme, toggleTheme } = useDarkMode();
 
     // Filters
-    const [createdFilter, setCreatedFilter] = useState('this_week');
-    const [customRange, setCustomRange] = useState({ start: null, end: null });
-    const [showCustomRange, setShowCustomRange] = useState(false);
-
     const [selectedLabelIds, setSelectedLabelIds] = useState(null); // null = All
     const [labelLogic, setLabelLogic] = useState('OR'); // 'AND' or 'OR'
 
     const [granularity, setGranularity] = useState('day'); // 'day', 'hour', 'month', 'cumulative_hour'
+    const [dateBasis, setDateBasis] = useState(AGE_BASES.CREATED); // or AGE_BASES.ENTERED_LIST
 
     // Data for charts
     const [allLabels, setAllLabels] = useState([]);
+    const [flowItems, setFlowItems] = useState([]); // Finished cards with cycle/lead times (see utils/flowMetrics)
+    const [boardLists, setBoardLists] = useState([]);
+    const [boardCards, setBoardCards] = useState([]); // Every open card, whatever the included lists
+    const [listMoves, setListMoves] = useState({}); // { [cardId]: [[listId, timestamp], ...] } (see utils/listEntryTimes)
+
+    // Forecast inputs
+    const [forecastSampleDays, setForecastSampleDays] = useState(DEFAULT_SAMPLE_DAYS);
+    const [forecastDate, setForecastDate] = useState(() => toDateInputValue(addDays(14)));
+    const [forecastItems, setForecastItems] = useState('');
+    const [flowMetric, setFlowMetric] = useState(FLOW_METRICS.CYCLE);
 
     // Map Config
     const enableMapView = settings?.enableMapView;
 
     const boardId = settings?.boardId;
+    const [timeRange, setTimeRange] = useDateRange(boardId, 'statistics', 'this_week', { filterKeys: STATISTICS_FILTER_KEYS });
+    const { timeZone, weekStart, businessHours } = getBoardStore(boardId, BOARD_NAMESPACES.DISPLAY);
+    const timeOptions = useMemo(() => ({ timeZone, weekStart, businessHours }), [timeZone, weekStart, businessHours]);
+    // Evaluated at every render, so calendar periods move on with the clock (null = no limit)
+    const filterRange = getSelectionRange(timeRange, timeOptions);
     const boardName = settings?.boardName;
 
+    // Cycle/lead time reports need the lists where work starts and ends
+    const flowStartLists = settings?.statistics?.flowStartLists || [];
+    const flowDoneLists = settings?.statistics?.flowDoneLists || [];
+    const hasFlowLists = flowDoneLists.length > 0;
+
+    const refreshSetting = getBoardStore(boardId, BOARD_NAMESPACES.DISPLAY).refreshInterval;
+    const refreshIntervalSeconds = convertIntervalToSeconds(refreshSetting.value, refreshSetting.unit);
+
     // Chart Refs
     const lineChartRef = useRef(null);
     const pieChartRef = useRef(null);
     const lineChartInstance = useRef(null);
     const pieChartInstance = useRef(null);
+    const scatterChartRef = useRef(null);
+    const histogramChartRef = useRef(null);
+    const scatterChartInstance = useRef(null);
+    const histogramChartInstance = useRef(null);
+    const flowChartRef = useRef(null);
+    const flowChartInstance = useRef(null);
 
     // --- FETCH DATA ---
     useEffect(() => {
@@ -45,15 +95,35 @@ const StatisticsView = ({ user, settings, onShowSettings, onGoToDashboard, onLog
 
         const fetchData = async () => {
             try {
-                // 1. Fetch Labels
-                const labelsData = await trelloFetch(`/boards/${boardId}/labels`, user.token);
+                // Labels and cards come from the shared board cache (usually already warm from the Dashboard)
+                const { lists: listsData, labels: labelsData, cards: cardsData } = await getBoardData(boardId, user.token, {
+                    maxAge: getRefreshMaxAge(refreshIntervalSeconds)
+                });
                 setAllLabels(labelsData);
+                setBoardLists(listsData);
+                setBoardCards(cardsData);
 
-                // 2. Fetch Cards
-                const cardsData = await trelloFetch(`/boards/${boardId}/cards?fields=id,name,labels,idList,due,dueComplete,dateLastActivity,desc,pos,coordinates&pluginData=true`, user.token);
+                const statsSettings = settings?.statistics || {};
+
+                // "Entered list" dates, cycle/lead times and the cumulative flow come from the card moves in the board history
+                const moves = await getListHistory(boardId, user.token, { maxAge: getRefreshMaxAge(refreshIntervalSeconds) });
+                setListMoves(moves);
+
+                if (hasFlowLists) {
+                    // Finished cards are often archived: include them unless the settings say otherwise
+                    const archivedCards = statsSettings.showArchived === false
+                        ? []
+                        : await trelloFetch(`/boards/${boardId}/cards/closed?fields=id,idList,name,labels,shortUrl`, user.token);
+                    setFlowItems(computeFlowTimes([...cardsData, ...archivedCards], moves, {
+                        startListIds: statsSettings.flowStartLists || [],
+                        doneListIds: statsSettings.flowDoneLists
+                    }));
+                } else {
+                    setFlowItems([]);
+                }
 
                 // Process coords (omitted for brevity as map logs are gone, but we keep structure)
-                const processedCards = cardsData.map(c => {
+                const processedCards = (dateBasis === AGE_BASES.ENTERED_LIST ? withListEntryTimes(cardsData, moves) : cardsData).map(c => {
                     let coords = null;
                     if (c.coordinates) {
                         const { latitude, longitude } = c.coordinates;
@@ -63,7 +133,6 @@ const StatisticsView = ({ user, settings, onShowSettings, onGoToDashboard, onLog
                 });
 
                 // Filter based on Settings
-                const statsSettings = settings?.statistics || {};
                 const includedLists = statsSettings.includedLists || [];
                 const includedSet = new Set(includedLists);
 
@@ -82,54 +151,10 @@ const StatisticsView = ({ user, settings, onShowSettings, onGoToDashboard, onLog
         };
 
         fetchData();
-    }, [boardId, user.token, settings?.statistics]);
+    }, [boardId, user.token, settings?.statistics, refreshIntervalSeconds, dateBasis, hasFlowLists]);
 
 
     // --- HELPERS ---
-    const getCreationDate = (id) => new Date(1000 * parseInt(id.substring(0, 8), 16));
-
-    const isDateInFilter = (date, filterKey) => {
-        if (filterKey === 'all') return true;
-        if (filterKey === 'custom') {
-            if (!customRange.start) return true;
-            return date >= new Date(customRange.start) && (!customRange.end || date <= new Date(customRange.end));
-        }
-
-        const f = TIME_FILTERS[filterKey];
-        if (!f) return true;
-
-        if (f.type === 'relative') {
-            const cutoff = new Date();
-            cutoff.setMinutes(cutoff.getMinutes() - f.minutes);
-            return date >= cutoff;
-        }
-        if (f.type === 'calendar') {
-            return date >= f.start && (!f.end || date <= f.end);
-        }
-        return true;
-    };
-
-    const getFilterRange = (filterKey) => {
-        if (filterKey === 'custom' && customRange.start) {
-            return { start: new Date(customRange.start), end: customRange.end ? new Date(customRange.end) : new Date() };
-        }
-
-        if (filterKey === 'all') return null; // Unbounded
-
-        const f = TIME_FILTERS[filterKey];
-        if (!f) return null;
-
-        if (f.type === 'relative') {
-            const start = new Date();
-            start.setMinutes(start.getMinutes() - f.minutes);
-            return { start, end: new Date() };
-        }
-        if (f.type === 'calendar') {
-            return { start: f.start, end: f.end || new Date() };
-        }
-        return null;
-    };
-
     const formatDateBucket = (date, gran) => {
         const d = new Date(date);
         if (gran === 'hour') {
@@ -167,14 +192,14 @@ const StatisticsView = ({ user, settings, onShowSettings, onGoToDashboard, onLog
     };
 
 
+    // With done lists configured a card is completed when it entered them, otherwise when its due date
+    // was marked complete. Label filter applied.
+    const getCompletedDates = () => hasFlowLists
+        ? flowItems.filter(item => matchesLabelFilter(item.card)).map(item => new Date(item.doneAt))
+        : cards.filter(matchesLabelFilter).filter(c => c.dueComplete && c.due).map(c => new Date(c.due));
+
     // --- DERIVED STATE ---
-    let filterLabelText = "";
-    if (createdFilter === 'custom') {
-        filterLabelText = `${new Date(customRange.start).toLocaleDateString()} - ${customRange.end ? new Date(customRange.end).toLocaleDateString() : 'Now'}`;
-    } else {
-        const f = TIME_FILTERS[createdFilter];
-        filterLabelText = f ? f.label : createdFilter;
-    }
+    const filterLabelText = getSelectionLabel(timeRange, timeOptions);
 
     // Add Label Info
     let labelInfo = "";
@@ -184,6 +209,108 @@ const StatisticsView = ({ user, settings, onShowSettings, onGoToDashboard, onLog
         if (labelInfo.length > 50) labelInfo = ` - Labels: ${selectedLabelIds.size} selected`;
     }
 
+    const createdLabel = dateBasis === AGE_BASES.ENTERED_LIST ? 'Entered list' : 'Created';
+
+    // Created/completed counts per time bucket: { sortedKeys, bucketMap }
+    const buildTimelineBuckets = () => {
+        // A. Filter Dataset first (Cross-filtering: Apply Label Filter to Line Chart)
+        const lineChartCards = cards.filter(matchesLabelFilter);
+
+        // B. Determine Range for Zero-Filling
+        // If "hour" or "day", we want to show 0s.
+        const range = filterRange;
+
+        const bucketMap = new Map(); // key -> { created: 0, completed: 0, sortDate: ts }
+
+        // Initialize Buckets for Zero-Filling if range exists
+        if (range && (granularity === 'hour' || granularity === 'day' || granularity === 'cumulative_hour')) {
+            let current = new Date(range.start);
+            const end = new Date(range.end);
+
+            // Safety: Don't infinite loop if range is bad
+            if (current < end) {
+                while (current <= end) {
+                    const key = formatDateBucket(current, granularity);
+                    // For cumulative, key is just "10 AM".
+                    // We need a sort index. For cumulative, 0-23.
+                    // For others, timestamp.
+                    let sortDate = current.getTime();
+                    if (granularity === 'cumulative_hour') {
+                        sortDate = current.getHours();
+                    }
+
+                    if (!bucketMap.has(key)) bucketMap.set(key, { created: 0, completed: 0, sortDate });
+
+                    // Increment
+                    if (granularity === 'hour' || granularity === 'cumulative_hour') current.setHours(current.getHours() + 1);
+                    else current.setDate(current.getDate() + 1);
+                }
+            }
+            // For cumulative hour, strictly ensure 0-23 buckets exist?
+            if (granularity === 'cumulative_hour') {
+                for (let h = 0; h < 24; h++) {
+                    const dateSim = new Date(); dateSim.setHours(h, 0, 0, 0);
+                    const key = formatDateBucket(dateSim, 'cumulative_hour');
+                    if (!bucketMap.has(key)) bucketMap.set(key, { created: 0, completed: 0, sortDate: h });
+                }
+            }
+        }
+
+        // C. Process Created (using filtered cards)
+        // Only count if Created Date in filter
+        const validCreatedCards = lineChartCards.filter(c => isInTimeRange(getCardDate(c, dateBasis), filterRange));
+        validCreatedCards.forEach(c => {
+            const date = getCardDate(c, dateBasis);
+            const key = formatDateBucket(date, granularity);
+
+            let sortDate = date.getTime();
+            if (granularity === 'cumulative_hour') sortDate = date.getHours();
+
+            if (!bucketMap.has(key)) bucketMap.set(key, { created: 0, completed: 0, sortDate });
+            bucketMap.get(key).created++;
+        });
+
+        // D. Process Completed
+        // Only count if Completed Date in filter (same filter)
+        const validCompletedDates = getCompletedDates().filter(date => isInTimeRange(date, filterRange));
+
+        validCompletedDates.forEach(date => {
+            const key = formatDateBucket(date, granularity);
+
+            let sortDate = date.getTime();
+            if (granularity === 'cumulative_hour') sortDate = date.getHours();
+
+            if (!bucketMap.has(key)) bucketMap.set(key, { created: 0, completed: 0, sortDate });
+            bucketMap.get(key).completed++;
+        });
+
+        // Sort
+        const sortedKeys = Array.from(bucketMap.keys()).sort((a, b) => {
+            return bucketMap.get(a).sortDate - bucketMap.get(b).sortDate;
+        });
+        return { sortedKeys, bucketMap };
+    };
+
+    // Cards in the time filter (by the selected date basis) matching the label filter
+    const getFilteredCards = () => cards
+        .filter(c => isInTimeRange(getCardDate(c, dateBasis), filterRange))
+        .filter(matchesLabelFilter);
+
+    // Count per combination of labels ("Bug + Urgent")
+    const buildLabelCombinations = (filteredCards) => {
+        const labelCombinations = {};
+        filteredCards.forEach(c => {
+            if (!c.labels || c.labels.length === 0) {
+                const key = "No Label";
+                labelCombinations[key] = (labelCombinations[key] || 0) + 1;
+            } else {
+                const names = c.labels.map(l => l.name || l.color).sort().join(' + ');
+                labelCombinations[names] = (labelCombinations[names] || 0) + 1;
+            }
+        });
+        return labelCombinations;
+    };
+
     // --- CHART RENDERING ---
     useEffect(() => {
         if (loading || cards.length === 0) return;
@@ -209,85 +336,7 @@ const StatisticsView = ({ user, settings, onShowSettings, onGoToDashboard, onLog
             // - Filter 2: Labels (apply selections to the line chart too).
             // - Granularity: Day, Hour, Month, Cumulative Hour.
 
-            // A. Filter Dataset first (Cross-filtering: Apply Label Filter to Line Chart)
-            const lineChartCards = cards.filter(matchesLabelFilter);
-
-            // B. Determine Range for Zero-Filling
-            // If "hour" or "day", we want to show 0s.
-            const range = getFilterRange(createdFilter);
-
-            const bucketMap = new Map(); // key -> { created: 0, completed: 0, sortDate: ts }
-
-            // Initialize Buckets for Zero-Filling if range exists
-            if (range && (granularity === 'hour' || granularity === 'day' || granularity === 'cumulative_hour')) {
-                let current = new Date(range.start);
-                const end = new Date(range.end);
-
-                // Safety: Don't infinite loop if range is bad
-                if (current < end) {
-                    while (current <= end) {
-                        const key = formatDateBucket(current, granularity);
-                        // For cumulative, key is just "10 AM".
-                        // We need a sort index. For cumulative, 0-23.
-                        // For others, timestamp.
-                        let sortDate = current.getTime();
-                        if (granularity === 'cumulative_hour') {
-                            sortDate = current.getHours();
-                        }
-
-                        if (!bucketMap.has(key)) bucketMap.set(key, { created: 0, completed: 0, sortDate });
-
-                        // Increment
-                        if (granularity === 'hour' || granularity === 'cumulative_hour') current.setHours(current.getHours() + 1);
-                        else current.setDate(current.getDate() + 1);
-                    }
-                }
-                // For cumulative hour, strictly ensure 0-23 buckets exist?
-                if (granularity === 'cumulative_hour') {
-                    for (let h = 0; h < 24; h++) {
-                        const dateSim = new Date(); dateSim.setHours(h, 0, 0, 0);
-                        const key = formatDateBucket(dateSim, 'cumulative_hour');
-                        if (!bucketMap.has(key)) bucketMap.set(key, { created: 0, completed: 0, sortDate: h });
-                    }
-                }
-            }
-
-            // C. Process Created (using filtered cards)
-            // Only count if Created Date in filter
-            const validCreatedCards = lineChartCards.filter(c => isDateInFilter(getCreationDate(c.id), createdFilter));
-            validCreatedCards.forEach(c => {
-                const date = getCreationDate(c.id);
-                const key = formatDateBucket(date, granularity);
-
-                let sortDate = date.getTime();
-                if (granularity === 'cumulative_hour') sortDate = date.getHours();
-
-                if (!bucketMap.has(key)) bucketMap.set(key, { created: 0, completed: 0, sortDate });
-                bucketMap.get(key).created++;
-            });
-
-            // D. Process Completed
-            // Only count if Completed Date in filter (same filter)
-            const validCompletedCards = lineChartCards.filter(c => {
-                if (!c.dueComplete || !c.due) return false;
-                return isDateInFilter(new Date(c.due), createdFilter);
-            });
-
-            validCompletedCards.forEach(c => {
-                const date = new Date(c.due);
-                const key = formatDateBucket(date, granularity);
-
-                let sortDate = date.getTime();
-                if (granularity === 'cumulative_hour') sortDate = date.getHours();
-
-                if (!bucketMap.has(key)) bucketMap.set(key, { created: 0, completed: 0, sortDate });
-                bucketMap.get(key).completed++;
-            });
-
-            // Sort
-            const sortedKeys = Array.from(bucketMap.keys()).sort((a, b) => {
-                return bucketMap.get(a).sortDate - bucketMap.get(b).sortDate;
-            });
+            const { sortedKeys, bucketMap } = buildTimelineBuckets();
 
             // Calculate Totals for Title
             const totalCreated = bucketMap && Array.from(bucketMap.values()).reduce((acc, val) => acc + val.created, 0);
@@ -304,7 +353,7 @@ const StatisticsView = ({ user, settings, onShowSettings, onGoToDashboard, onLog
                     labels: sortedKeys,
                     datasets: [
                         {
-                            label: `Created (${totalCreated})`,
+                            label: `${createdLabel} (${totalCreated})`,
                             data: sortedKeys.map(k => bucketMap.get(k).created),
                             borderColor: '#0079bf',
                             backgroundColor: '#0079bf',
@@ -327,7 +376,7 @@ const StatisticsView = ({ user, settings, onShowSettings, onGoToDashboard, onLog
                         legend: { position: 'top' },
                         title: {
                             display: true,
-                            text: `${totalCreated} cards created / ${totalCompleted} Completed - ${filterLabelText}${labelInfo}`,
+                            text: `${totalCreated} cards ${createdLabel.toLowerCase()} / ${totalCompleted} Completed - ${filterLabelText}${labelInfo}`,
                             font: { size: 16 }
                         },
                         datalabels: { display: false }
@@ -348,30 +397,7 @@ const StatisticsView = ({ user, settings, onShowSettings, onGoToDashboard, onLog
             // - Filter 2: Date Filter (Bucketing). apply Date Filter to Pie Chart too?
             // Req: "the ceated date filter should also apply to the Labels breakdown chart."
 
-            // A. Filter by Date first
-            const pieCardsDateFiltered = cards.filter(c => isDateInFilter(getCreationDate(c.id), createdFilter));
-
-            // B. Apply Label Filter logic (AND/OR) for visualization
-            // Wait, normally Pie Chart shows distribution OF labels.
-            // If I filter by "Label A", do I show only "Label A" slice?
-            // Reuse matchesLabelFilter?
-            // If I select "Label A" and "Label B" (OR), I expect to see distribution of cards having A or B.
-            // The slices will represent label combinations or individual labels?
-            // Previous logic: Slices = Unique Combinations of labels on cards.
-
-            const validPieCards = pieCardsDateFiltered.filter(matchesLabelFilter);
-
-            const labelCombinations = {};
-
-            validPieCards.forEach(c => {
-                if (!c.labels || c.labels.length === 0) {
-                    const key = "No Label";
-                    labelCombinations[key] = (labelCombinations[key] || 0) + 1;
-                } else {
-                    const names = c.labels.map(l => l.name || l.color).sort().join(' + ');
-                    labelCombinations[names] = (labelCombinations[names] || 0) + 1;
-                }
-            });
+            const labelCombinations = buildLabelCombinations(getFilteredCards());
 
             const ctxPie = pieChartRef.current.getContext('2d');
             pieChartInstance.current = new window.Chart(ctxPie, {
@@ -416,9 +442,255 @@ const StatisticsView = ({ user, settings, onShowSettings, onGoToDashboard, onLog
             console.error("Chart error:", err);
         }
 
-    }, [cards, createdFilter, granularity, selectedLabelIds, labelLogic, customRange]); // Dependencies
+    }, [cards, flowItems, granularity, selectedLabelIds, labelLogic, timeRange, timeOptions, dateBasis]); // Dependencies
+
+    // --- CYCLE / LEAD TIME CHARTS ---
+    // Finished cards in the time filter (by done date) matching the label filter
+    const visibleFlowItems = flowItems.filter(item =>
+        getFlowDuration(item, flowMetric) !== null
+        && isInTimeRange(new Date(item.doneAt), filterRange)
+        && matchesLabelFilter(item.card)
+    );
+    const flowMetricLabel = flowMetric === FLOW_METRICS.CYCLE ? 'Cycle time' : 'Lead time';
+
+    useEffect(() => {
+        if (scatterChartInstance.current) scatterChartInstance.current.destroy();
+        if (histogramChartInstance.current) histogramChartInstance.current.destroy();
+        if (loading || !hasFlowLists || !window.Chart || !scatterChartRef.current) return;
+
+        try {
+            const durations = visibleFlowItems.map(item => getFlowDuration(item, flowMetric));
+            const points = visibleFlowItems.map(item => ({ x: item.doneAt, y: msToDays(getFlowDuration(item, flowMetric)), name: item.card.name }));
+            const xMin = points.length > 0 ? points[0].x : 0;
+            const xMax = points.length > 0 ? points[points.length - 1].x : 0;
+            const percentileColors = { 50: '#61bd4f', 85: '#f2d600', 95: '#eb5a46' };
+
+            const percentileDatasets = FLOW_PERCENTILES
+                .map(p => ({ p, value: getPercentile(durations, p) }))
+                .filter(({ value }) => value !== null)
+                .map(({ p, value }) => ({
+                    type: 'line',
+                    label: `${p}th percentile: ${msToDays(value)} days`,
+                    data: [{ x: xMin, y: msToDays(value) }, { x: xMax, y: msToDays(value) }],
+                    borderColor: percentileColors[p],
+                    borderDash: [6, 4],
+                    pointRadius: 0,
+                    fill: false
+                }));
+
+            scatterChartInstance.current = new window.Chart(scatterChartRef.current.getContext('2d'), {
+                type: 'scatter',
+                data: {
+                    datasets: [
+                        { label: `${flowMetricLabel} (${points.length} cards)`, data: points, backgroundColor: '#0079bf' },
+                        ...percentileDatasets
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: { position: 'top' },
+                        title: { display: true, text: `${flowMetricLabel} - ${filterLabelText}${labelInfo}`, font: { size: 16 } },
+                        tooltip: {
+                            callbacks: {
+                                label: (ctx) => ctx.raw.name ? `${ctx.raw.name}: ${ctx.raw.y} days` : ctx.dataset.label
+                            }
+                        },
+                        datalabels: { display: false }
+                    },
+                    scales: {
+                        x: {
+                            type: 'linear',
+                            title: { display: true, text: 'Done' },
+                            ticks: { callback: (value) => new Date(value).toLocaleDateString() }
+                        },
+                        y: { title: { display: true, text: 'Days' }, beginAtZero: true }
+                    }
+                }
+            });
+
+            const bins = buildDurationHistogram(durations);
+            histogramChartInstance.current = new window.Chart(histogramChartRef.current.getContext('2d'), {
+                type: 'bar',
+                data: {
+                    labels: bins.map(b => b.toDays - b.fromDays === 1 ? `${b.fromDays}` : `${b.fromDays}-${b.toDays - 1}`),
+                    datasets: [{ label: 'Cards', data: bins.map(b => b.count), backgroundColor: '#0079bf' }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: { display: false },
+                        title: { display: true, text: `${flowMetricLabel} distribution`, font: { size: 16 } },
+                        datalabels: { display: false }
+                    },
+                    scales: {
+                        x: { title: { display: true, text: 'Days' } },
+                        y: { title: { display: true, text: 'Cards' }, beginAtZero: true, ticks: { precision: 0 } }
+                    }
+                }
+            });
+        } catch (err) {
+            console.error("Flow chart error:", err);
+        }
+    }, [loading, hasFlowLists, flowItems, flowMetric, selectedLabelIds, labelLogic, timeRange, timeOptions]);
+
+    // --- CUMULATIVE FLOW ---
+    // Included lists (all when none are picked), ordered like the dashboard sections, then the board
+    const layoutListIds = (getPersistentLayout(user.id, boardId) || DEFAULT_LAYOUT).flatMap(block => block.listIds);
+    const includedListIds = settings?.statistics?.includedLists || [];
+    const flowLists = boardLists
+        .filter(list => includedListIds.length === 0 || includedListIds.includes(list.id))
+        .sort((a, b) => {
+            const rank = (list) => layoutListIds.includes(list.id) ? layoutListIds.indexOf(list.id) : layoutListIds.length + boardLists.indexOf(list);
+            return rank(a) - rank(b);
+        });
+
+    useEffect(() => {
+        if (flowChartInstance.current) flowChartInstance.current.destroy();
+        if (loading || !window.Chart || !flowChartRef.current || flowLists.length === 0) return;
+
+        try {
+            const range = filterRange || { start: new Date(getFlowHistoryStart(boardCards, listMoves)), end: new Date() };
+            const times = getFlowSampleTimes(new Date(range.start).getTime(), Math.min(new Date(range.end).getTime(), Date.now()));
+            const series = buildCumulativeFlow(boardCards, listMoves, flowLists.map(l => l.id), times);
+            const granularityKey = times.length > 1 && times[1] - times[0] < 24 * 60 * 60 * 1000 ? 'hour' : 'day';
+
+            const persistentColors = getPersistentColors(user.id)[boardId] || {};
+            const usedColors = new Set(Object.values(persistentColors));
+
+            flowChartInstance.current = new window.Chart(flowChartRef.current.getContext('2d'), {
+                type: 'line',
+                data: {
+                    labels: times.map(t => formatDateBucket(t, granularityKey)),
+                    // Chart.js stacks the first dataset at the bottom: reversed so the first list of the
+                    // workflow sits on top and finished work builds up underneath
+                    datasets: [...flowLists].reverse().map(list => {
+                        const color = persistentColors[list.id] || getOrGenerateRandomColor(list.id, usedColors);
+                        return {
+                            label: list.name,
+                            data: series[list.id],
+                            borderColor: color,
+                            backgroundColor: color,
+                            fill: true,
+                            pointRadius: 0,
+                            tension: 0.1
+                        };
+                    })
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: { mode: 'index', intersect: false },
+                    plugins: {
+                        legend: { position: 'top', reverse: true },
+                        title: { display: true, text: `Cumulative flow - ${filterLabelText}`, font: { size: 16 } },
+                        datalabels: { display: false }
+                    },
+                    scales: {
+                        x: { title: { display: true, text: granularityKey === 'hour' ? 'Hour' : 'Date' } },
+                        y: { stacked: true, title: { display: true, text: 'Cards' }, beginAtZero: true }
+                    }
+                }
+            });
+        } catch (err) {
+            console.error("Cumulative flow chart error:", err);
+        }
+    }, [loading, boardLists, boardCards, listMoves, timeRange, timeOptions, settings?.statistics]);
+
+    // --- FORECAST ---
+    // Items left: open cards of the included lists that aren't done yet, unless a number is entered
+    const remainingItems = cards.filter(matchesLabelFilter).filter(c => !flowDoneLists.includes(c.idList)).length;
+    const forecastTarget = parseInt(forecastItems, 10) > 0 ? parseInt(forecastItems, 10) : remainingItems;
+    const forecast = useMemo(() => {
+        const throughput = getDailyThroughput(getCompletedDates(), forecastSampleDays);
+        return {
+            completedInSample: throughput.reduce((sum, count) => sum + count, 0),
+            itemsByDate: forecastItemsByDays(throughput, getDaysUntil(new Date(`${forecastDate}T00:00`))),
+            daysForItems: forecastDaysForItems(throughput, forecastTarget)
+        };
+    }, [cards, flowItems, selectedLabelIds, labelLogic, forecastSampleDays, forecastDate, forecastTarget]);
 
     // --- HANDLERS ---
+    // Active filters, written at the top of exported data files
+    const getExportHeader = () => {
+        const selectedLabels = selectedLabelIds && selectedLabelIds.size > 0
+            ? `${allLabels.filter(l => selectedLabelIds.has(l.id)).map(l => l.name || l.color).join(', ')} (${labelLogic})`
+            : 'All';
+        return [
+            ['Board', boardName],
+            ['Exported', new Date().toLocaleString()],
+            ['Period', filterLabelText],
+            ['Dates', createdLabel],
+            ['Labels', selectedLabels],
+            ['Lists', includedListIds.length > 0 ? flowLists.map(l => l.name).join(', ') : 'All']
+        ];
+    };
+
+    const formatExportDate = (date) => date !== null && date !== undefined ? new Date(date).toISOString() : '';
+    const listNames = new Map(boardLists.map(l => [l.id, l.name]));
+    const formatLabels = (card) => (card.labels || []).map(l => l.name || l.color).join(', ');
+
+    const handleExportData = (format) => {
+        const { sortedKeys, bucketMap } = buildTimelineBuckets();
+        const filteredCards = getFilteredCards();
+        const listCounts = new Map(flowLists.map(l => [l.id, 0]));
+        filteredCards.forEach(c => listCounts.set(c.idList, (listCounts.get(c.idList) || 0) + 1));
+
+        exportTables([
+            {
+                name: `${createdLabel} and completed`,
+                rows: [
+                    [granularity.includes('hour') ? 'Hour' : 'Date', createdLabel, 'Completed'],
+                    ...sortedKeys.map(key => [key, bucketMap.get(key).created, bucketMap.get(key).completed])
+                ]
+            },
+            {
+                name: 'Labels',
+                rows: [['Labels', 'Cards'], ...Object.entries(buildLabelCombinations(filteredCards))]
+            },
+            {
+                name: 'Lists',
+                rows: [['List', 'Cards'], ...Array.from(listCounts.entries()).map(([listId, count]) => [listNames.get(listId) || listId, count])]
+            },
+            {
+                name: 'Cards',
+                rows: [
+                    ['Card', 'List', 'Labels', 'Created', 'Last activity', 'Due', 'Due complete', 'URL'],
+                    ...filteredCards.map(c => [
+                        c.name,
+                        listNames.get(c.idList) || c.idList,
+                        formatLabels(c),
+                        formatExportDate(getCardDate(c, AGE_BASES.CREATED)),
+                        formatExportDate(c.dateLastActivity),
+                        formatExportDate(c.due),
+                        c.dueComplete ? 'Yes' : 'No',
+                        c.shortUrl || ''
+                    ])
+                ]
+            }
+        ], { format, filename: `${boardName}-stats-data`, header: getExportHeader() });
+    };
+
+    const handleExportFlowData = (format) => {
+        exportTables([{
+            name: 'Cycle and lead time',
+            rows: [
+                ['Card', 'Labels', 'Started', 'Done', 'Cycle time (days)', 'Lead time (days)', 'URL'],
+                ...visibleFlowItems.map(item => [
+                    item.card.name,
+                    formatLabels(item.card),
+                    formatExportDate(item.startedAt),
+                    formatExportDate(item.doneAt),
+                    item.cycleMs !== null ? msToDays(item.cycleMs) : '',
+                    msToDays(item.leadMs),
+                    item.card.shortUrl || ''
+                ])
+            ]
+        }], { format, filename: `${boardName}-stats-${flowMetric}-time`, header: getExportHeader() });
+    };
+
     const handleExport = (elementId, name) => {
         if (!window.html2canvas) { alert("Export library not loaded."); return; }
         const el = elementId ? document.getElementById(elementId) : document.querySelector('.dashboard-grid');
@@ -447,25 +719,7 @@ const StatisticsView = ({ user, settings, onShowSettings, onGoToDashboard, onLog
                             labelLogic={labelLogic}
                             onLabelLogicChange={setLabelLogic}
                         />
-                        <select className="time-filter-select" value={createdFilter} onChange={e => {
-                            const val = e.target.value;
-                            setCreatedFilter(val);
-                            if (val === 'custom') setShowCustomRange(true);
-                            else setShowCustomRange(false);
-                        }} style={{ margin: 0 }}>
-                            <option value="this_week">Created: This Week</option>
-                            {Object.keys(TIME_FILTERS).filter(k => k !== 'all').map(k => (
-                                <option key={k} value={k}>{TIME_FILTERS[k].label}</option>
-                            ))}
-                            <option value="custom">Custom Range</option>
-                        </select>
-                        {createdFilter === 'custom' && (
-                            <div style={{ display: 'flex', gap: '5px', alignItems: 'center' }}>
-                                <input type="date" value={customRange.start || ''} onChange={e => setCustomRange({ ...customRange, start: e.target.value })} />
-                                <span>to</span>
-                                <input type="date" value={customRange.end || ''} onChange={e => setCustomRange({ ...customRange, end: e.target.value })} />
-                            </div>
-                        )}
+                        <DateRangePicker value={timeRange} onChange={setTimeRange} timeOptions={timeOptions} exclude={EXCLUDED_TIME_FILTERS} style={{ margin: 0 }} />
 
                         <button
                             className="theme-toggle-button"
@@ -493,26 +747,7 @@ const StatisticsView = ({ user, settings, onShowSettings, onGoToDashboard, onLog
                                         />
                                     </div>
 
-                                    <select className="time-filter-select" value={createdFilter} onChange={e => {
-                                        const val = e.target.value;
-                                        setCreatedFilter(val);
-                                        if (val === 'custom') setShowCustomRange(true);
-                                        else setShowCustomRange(false);
-                                    }} style={{ width: '85%', margin: 0 }}>
-                                        <option value="this_week">Created: This Week</option>
-                                        {Object.keys(TIME_FILTERS).filter(k => k !== 'all').map(k => (
-                                            <option key={k} value={k}>{TIME_FILTERS[k].label}</option>
-                                        ))}
-                                        <option value="custom">Custom Range</option>
-                                    </select>
-
-                                    {createdFilter === 'custom' && (
-                                        <div style={{ display: 'flex', flexDirection: 'column', gap: '5px', width: '85%' }}>
-                                            <input type="date" value={customRange.start || ''} onChange={e => setCustomRange({ ...customRange, start: e.target.value })} style={{ width: '100%' }} />
-                                            <span style={{ textAlign: 'center' }}>to</span>
-                                            <input type="date" value={customRange.end || ''} onChange={e => setCustomRange({ ...customRange, end: e.target.value })} style={{ width: '100%' }} />
-                                        </div>
-                                    )}
+                                    <DateRangePicker value={timeRange} onChange={setTimeRange} timeOptions={timeOptions} exclude={EXCLUDED_TIME_FILTERS} vertical style={{ width: '85%', margin: 0 }} />
                                 </div>
                             </div>
 
@@ -557,10 +792,20 @@ const StatisticsView = ({ user, settings, onShowSettings, onGoToDashboard, onLog
                 ) : (
                     <div id="stats-export-area" className="dashboard-grid" style={{ marginTop: '20px', display: 'flex', flexDirection: 'column', gap: '30px', padding: '0 20px' }}>
 
+                        <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: '5px', fontSize: '0.9em' }}>
+                            <span>Download the data behind these reports (with the active filters):</span>
+                            <button onClick={() => handleExportData(EXPORT_FORMATS.CSV)} style={{ fontSize: '0.9em', padding: '2px 8px' }}>CSV</button>
+                            <button onClick={() => handleExportData(EXPORT_FORMATS.XLSX)} style={{ fontSize: '0.9em', padding: '2px 8px' }}>XLSX</button>
+                        </div>
+
                         <div className="form-card" id="card-line-chart" style={{ width: '100%', minHeight: '400px', display: 'flex', flexDirection: 'column' }}>
                             <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '10px' }}>
-                                <h3>Cards Created / Completed</h3>
+                                <h3>Cards {createdLabel} / Completed</h3>
                                 <div style={{ display: 'flex', gap: '5px' }}>
+                                    <select value={dateBasis} onChange={e => setDateBasis(e.target.value)} style={{ padding: '2px', fontSize: '0.9em' }} title="Date used for the time filter and the first series">
+                                        <option value={AGE_BASES.CREATED}>Card creation</option>
+                                        <option value={AGE_BASES.ENTERED_LIST}>Entered its list</option>
+                                    </select>
                                     <select value={granularity} onChange={e => setGranularity(e.target.value)} style={{ padding: '2px', fontSize: '0.9em' }}>
                                         <option value="day">By Day</option>
                                         <option value="hour">By Hour</option>
@@ -575,6 +820,99 @@ const StatisticsView = ({ user, settings, onShowSettings, onGoToDashboard, onLog
                             </div>
                         </div>
 
+                        <div className="form-card" id="card-cfd-chart" style={{ width: '100%', minHeight: '450px', display: 'flex', flexDirection: 'column' }}>
+                            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '10px' }}>
+                                <h3>Cumulative Flow</h3>
+                                <button onClick={() => handleExport('card-cfd-chart', 'cumulative-flow')} style={{ fontSize: '0.8em', padding: '2px 5px' }}>Export</button>
+                            </div>
+                            <div style={{ flex: 1, position: 'relative' }}>
+                                <canvas ref={flowChartRef}></canvas>
+                            </div>
+                        </div>
+
+                        <div className="form-card" id="card-flow-chart" style={{ width: '100%', minHeight: hasFlowLists ? '750px' : 0, display: 'flex', flexDirection: 'column' }}>
+                            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '10px' }}>
+                                <h3>Cycle / Lead Time</h3>
+                                {hasFlowLists && (
+                                    <div style={{ display: 'flex', gap: '5px' }}>
+                                        <select value={flowMetric} onChange={e => setFlowMetric(e.target.value)} style={{ padding: '2px', fontSize: '0.9em' }}>
+                                            <option value={FLOW_METRICS.CYCLE}>Cycle time (start to done)</option>
+                                            <option value={FLOW_METRICS.LEAD}>Lead time (created to done)</option>
+                                        </select>
+                                        <button onClick={() => handleExport('card-flow-chart', `${flowMetric}-time`)} style={{ fontSize: '0.8em', padding: '2px 5px' }}>Export</button>
+                                        <button onClick={() => handleExportFlowData(EXPORT_FORMATS.CSV)} disabled={visibleFlowItems.length === 0} style={{ fontSize: '0.8em', padding: '2px 5px' }}>CSV</button>
+                                        <button onClick={() => handleExportFlowData(EXPORT_FORMATS.XLSX)} disabled={visibleFlowItems.length === 0} style={{ fontSize: '0.8em', padding: '2px 5px' }}>XLSX</button>
+                                    </div>
+                                )}
+                            </div>
+                            {hasFlowLists ? (
+                                <>
+                                    <div style={{ flex: 1, position: 'relative', minHeight: '400px' }}>
+                                        <canvas ref={scatterChartRef}></canvas>
+                                    </div>
+                                    <div style={{ position: 'relative', height: '300px', marginTop: '20px' }}>
+                                        <canvas ref={histogramChartRef}></canvas>
+                                    </div>
+                                </>
+                            ) : (
+                                <p style={{ color: '#666' }}>Choose the lists where work starts and where it is done in the Statistics Settings to see cycle and lead times.</p>
+                            )}
+                        </div>
+
+                        <div className="form-card" id="card-forecast" style={{ width: '100%', display: 'flex', flexDirection: 'column' }}>
+                            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '10px' }}>
+                                <h3>Forecast</h3>
+                                <button onClick={() => handleExport('card-forecast', 'forecast')} style={{ fontSize: '0.8em', padding: '2px 5px' }}>Export</button>
+                            </div>
+                            <p style={{ marginTop: 0, fontSize: '0.9em', color: '#666' }}>
+                                Monte Carlo simulation of the daily completions over the last{' '}
+                                <input type="number" min="7" max="365" value={forecastSampleDays} onChange={e => setForecastSampleDays(Math.max(1, parseInt(e.target.value, 10) || DEFAULT_SAMPLE_DAYS))} style={{ width: '60px' }} />{' '}
+                                days ({forecast.completedInSample} completed{labelInfo}).
+                            </p>
+                            {forecast.completedInSample === 0 ? (
+                                <p>No cards were completed in that period: there is nothing to forecast from.</p>
+                            ) : (
+                                <div className="forecast-panels">
+                                    <div>
+                                        <h4>
+                                            How many items by{' '}
+                                            <input type="date" value={forecastDate} min={toDateInputValue(addDays(1))} onChange={e => e.target.value && setForecastDate(e.target.value)} />
+                                        </h4>
+                                        <table className="forecast-table">
+                                            <tbody>
+                                                {CONFIDENCE_LEVELS.map(level => (
+                                                    <tr key={level}>
+                                                        <td>{level}% confidence</td>
+                                                        <td><strong>{forecast.itemsByDate[level]}</strong> items or more</td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                    <div>
+                                        <h4>
+                                            When will{' '}
+                                            <input type="number" min="1" value={forecastItems} placeholder={String(remainingItems)} onChange={e => setForecastItems(e.target.value)} style={{ width: '70px' }} />{' '}
+                                            items be done
+                                        </h4>
+                                        <table className="forecast-table">
+                                            <tbody>
+                                                {CONFIDENCE_LEVELS.map(level => {
+                                                    const days = forecast.daysForItems && forecast.daysForItems[level];
+                                                    return (
+                                                        <tr key={level}>
+                                                            <td>{level}% confidence</td>
+                                                            <td>{days !== null && days !== undefined ? <>by <strong>{addDays(days).toLocaleDateString()}</strong> ({days} days)</> : 'not within two years'}</td>
+                                                        </tr>
+                                                    );
+                                                })}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+
                         <div className="form-card" id="card-pie-chart" style={{ width: '100%', minHeight: '500px', display: 'flex', flexDirection: 'column' }}>
                             <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '10px' }}>
                                 <h3>Labels Breakdown - {filterLabelText}</h3>
@@ -594,7 +932,8 @@ const StatisticsView = ({ user, settings, onShowSettings, onGoToDashboard, onLog
                     <button className="button-secondary" onClick={onGoToDashboard}>Dashboard View</button>
                     <button className="button-secondary" disabled={!enableMapView} onClick={() => window.location.href = '/map'}>Map View</button>
                 </div>
-                <div style={{ display: 'flex', gap: '10px' }}>
+                <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+                    <RequestQueueIndicator />
                     <button className="button-secondary" onClick={onShowSettings}>Settings</button>
                     <button className="button-secondary" onClick={onLogout}>Log Out</button>
                 </div>
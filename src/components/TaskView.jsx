@@ -7,6 +7,7 @@ import '../styles/index.css';
 import '../styles/map.css';
 import { formatDynamicCountdown } from '../utils/helpers';
 import HamburgerMenu from './common/HamburgerMenu';
+import RequestQueueIndicator from './common/RequestQueueIndicator';
 
 // SVG Icons for Map Header style compatibility if needed
 // Assuming they are available via CSS or we use emojis as placeholders for now to match MapView
@@ -449,6 +450,7 @@ const TaskView = ({ user, settings, onClose, onShowSettings, onLogout, onShowMap
             <div className="map-footer">
                 <div className="map-footer-left"></div>
                 <div className="map-footer-right" style={{ display: 'flex', gap: '15px', alignItems: 'center' }}>
+                    <RequestQueueIndicator />
                     <button className="button-secondary" onClick={() => { setRefreshCountdown(60); loadData(true); }}>
                         Refresh {formatDynamicCountdown(refreshCountdown)}
                     </button>
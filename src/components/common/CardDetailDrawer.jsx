@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { getCardDetails } from '../../api/cardDetails';
+import { useDarkMode } from '../../context/DarkModeContext';
+import { getLabelTextColor } from '../../utils/helpers';
+import {
+    DUE_STATUS_LABELS, DUE_STATUS_COLORS, getDueStatus, getChecklistProgress, sortByPos, getAvatarUrl,
+    formatFileSize, renderCardMarkdown
+} from '../../utils/cardDetails';
+
+const Avatar = ({ member, size = 28 }) => {
+    const url = getAvatarUrl(member);
+    const style = { width: size, height: size };
+    return url
+        ? <img className="card-drawer-avatar" src={url} alt={member.fullName} title={member.fullName} style={style} />
+        : <span className="card-drawer-avatar" title={member && member.fullName} style={style}>{(member && member.initials) || '?'}</span>;
+};
+
+// Read-only details of one card, loaded when it is opened. `card` is the list entry (name, labels...),
+// shown while the rest loads.
+const CardDetailDrawer = ({ card, token, onClose }) => {
+    const [details, setDetails] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const { theme } = useDarkMode();
+
+    useEffect(() => {
+        let cancelled = false;
+        setDetails(null);
+        setLoading(true);
+        setError('');
+        getCardDetails(card.id, token)
+            .then(data => { if (!cancelled) setDetails(data); })
+            .catch(e => {
+                console.error("Card details fetch error:", e);
+                if (!cancelled) setError(`Failed to load card details: ${e.message}`);
+            })
+            .finally(() => { if (!cancelled) setLoading(false); });
+        return () => { cancelled = true; };
+    }, [card.id, token]);
+
+    useEffect(() => {
+        const handleKey = (e) => { if (e.key === 'Escape') onClose(); };
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    }, [onClose]);
+
+    const shown = details || card;
+    const dueStatus = details ? getDueStatus(details) : null;
+    const comments = details ? (details.actions || []).filter(a => a.data && a.data.text) : [];
+
+    return (
+        <div className="card-drawer-overlay" onClick={e => { e.stopPropagation(); onClose(); }}>
+            <aside className="card-drawer" onClick={e => e.stopPropagation()}>
+                <div className="card-drawer-header">
+                    <h3>{shown.name}</h3>
+                    <span className="modal-close" onClick={onClose} style={{ fontSize: '1.5em', cursor: 'pointer' }}>&times;</span>
+                </div>
+                {shown.shortUrl && (
+                    <a className="card-drawer-link" href={shown.shortUrl} target="_blank" rel="noopener noreferrer">Open in Trello ↗</a>
+                )}
+
+                {shown.labels && shown.labels.length > 0 && (
+                    <div className="card-drawer-section">
+                        {shown.labels.map(label => (
+                            <span key={label.id} className="card-label" style={{ backgroundColor: label.color || '#999', color: getLabelTextColor(theme) }}>
+                                {label.name || label.color}
+                            </span>
+                        ))}
+                    </div>
+                )}
+
+                {loading && <p>Loading card details...</p>}
+                {error && <p className="error">{error}</p>}
+
+                {details && (
+                    <>
+                        {(details.due || details.start) && (
+                            <div className="card-drawer-section">
+                                <h4>Dates</h4>
+                                {details.start && <div>Start: {new Date(details.start).toLocaleDateString()}</div>}
+                                {details.due && (
+                                    <div>
+                                        Due: {new Date(details.due).toLocaleString()}{' '}
+                                        <span className="card-drawer-due" style={{ backgroundColor: DUE_STATUS_COLORS[dueStatus] }}>
+                                            {DUE_STATUS_LABELS[dueStatus]}
+                                        </span>
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
+                        {details.members && details.members.length > 0 && (
+                            <div className="card-drawer-section">
+                                <h4>Members</h4>
+                                <div className="card-drawer-members">
+                                    {details.members.map(member => (
+                                        <span key={member.id} className="card-drawer-member">
+                                            <Avatar member={member} />
+                                            {member.fullName || member.username}
+                                        </span>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+
+                        <div className="card-drawer-section">
+                            <h4>Description</h4>
+                            {details.desc && details.desc.trim()
+                                ? <div className="card-drawer-markdown" dangerouslySetInnerHTML={{ __html: renderCardMarkdown(details.desc) }} />
+                                : <p style={{ opacity: 0.6, fontStyle: 'italic' }}>No description.</p>}
+                        </div>
+
+                        {sortByPos(details.checklists).map(checklist => {
+                            const progress = getChecklistProgress(checklist);
+                            return (
+                                <div key={checklist.id} className="card-drawer-section">
+                                    <h4>{checklist.name} <span style={{ fontWeight: 'normal', opacity: 0.7 }}>({progress.done}/{progress.total})</span></h4>
+                                    <div className="card-drawer-progress">
+                                        <div style={{ width: `${progress.percent}%`, backgroundColor: progress.percent === 100 ? '#61bd4f' : 'var(--primary-color)' }} />
+                                    </div>
+                                    <ul className="card-drawer-checklist">
+                                        {sortByPos(checklist.checkItems).map(item => (
+                                            <li key={item.id} className={item.state === 'complete' ? 'complete' : ''}>
+                                                <input type="checkbox" checked={item.state === 'complete'} readOnly disabled />
+                                                {item.name}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            );
+                        })}
+
+                        {details.attachments && details.attachments.length > 0 && (
+                            <div className="card-drawer-section">
+                                <h4>Attachments</h4>
+                                <ul className="card-drawer-attachments">
+                                    {details.attachments.map(attachment => (
+                                        <li key={attachment.id}>
+                                            <a href={attachment.url} target="_blank" rel="noopener noreferrer">{attachment.name || attachment.url}</a>
+                                            <span>{[formatFileSize(attachment.bytes), attachment.date && new Date(attachment.date).toLocaleDateString()].filter(Boolean).join(' · ')}</span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+
+                        {comments.length > 0 && (
+                            <div className="card-drawer-section">
+                                <h4>Latest comments</h4>
+                                {comments.map(comment => (
+                                    <div key={comment.id} className="card-drawer-comment">
+                                        <Avatar member={comment.memberCreator} size={24} />
+                                        <div>
+                                            <div className="card-drawer-comment-meta">
+                                                <strong>{comment.memberCreator ? comment.memberCreator.fullName : 'Unknown'}</strong>{' '}
+                                                {new Date(comment.date).toLocaleString()}
+                                            </div>
+                                            <div className="card-drawer-markdown" dangerouslySetInnerHTML={{ __html: renderCardMarkdown(comment.data.text) }} />
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </>
+                )}
+            </aside>
+        </div>
+    );
+};
+
+export default CardDetailDrawer;
@@ -1,88 +1,218 @@
-import React, { useState, useEffect } from 'react';
-import { trelloFetch } from '../../api/trello';
+import React, { useState, useEffect, useRef } from 'react';
 import { useDarkMode } from '../../context/DarkModeContext';
 import { getLabelTextColor } from '../../utils/helpers';
+import { AGE_BASES, AGE_BASIS_LABELS, DEFAULT_AGE_BUCKETS, getCardAgeMs, getAgeBucketIndex, getAgeBucketColor, formatAge } from '../../utils/cardAge';
+import { EXCLUSION_REASON_LABELS } from '../../utils/cardFilters';
+import { CARD_SORTS, CARD_SORT_LABELS, searchCards, sortCards, groupCardsByLabel } from '../../utils/cardList';
+import CardDetailDrawer from './CardDetailDrawer';
 
-const CardDetailsModal = ({ listId, listName, color, token, onClose, sectionsLayout, ignoreTemplateCards, ignoreNoDescCards }) => {
-    const [cards, setCards] = useState([]);
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState('');
+const KEYBOARD_PAGE = 10;
+
+// Cards of a tile, as the tile counts them (see utils/cardFilters): `tileCards` comes from the dashboard's
+// counts, so the list always matches the number on the tile. Excluded cards can be shown with their reason.
+// The list can be searched, sorted and grouped by label, and browsed with the keyboard.
+const CardDetailsModal = ({ listId, listName, boardName, color, token, onClose, sectionsLayout, tileCards }) => {
+    const [sortOrder, setSortOrder] = useState(CARD_SORTS.POSITION);
+    const [query, setQuery] = useState('');
+    const [groupByLabel, setGroupByLabel] = useState(false);
+    const [showExcluded, setShowExcluded] = useState(false);
+    const [openCard, setOpenCard] = useState(null);
+    const [activeIndex, setActiveIndex] = useState(-1);
     const { theme } = useDarkMode();
+    const containerRef = useRef(null);
+    const searchRef = useRef(null);
+    const rowRefs = useRef(new Map());
 
-    // Determine if the first card should be ignored based on block settings
     const section = sectionsLayout.find(s => s.listIds.includes(listId));
-    const shouldIgnoreFirst = section?.ignoreFirstCard || false;
+    const ageBasis = section?.ageBasis || AGE_BASES.CREATED;
+    const ageBuckets = section?.ageBuckets || DEFAULT_AGE_BUCKETS;
+
+    const included = tileCards ? tileCards.included : [];
+    const excluded = tileCards ? tileCards.excluded : [];
+    const reasons = new Map(excluded.map(({ card, reason }) => [card.id, reason]));
+    const listed = showExcluded ? [...included, ...excluded.map(e => e.card)] : included;
+
+    const now = Date.now();
+    const sortedCards = sortCards(searchCards(listed, query), sortOrder, { ageBasis, now });
+    const groups = groupByLabel ? groupCardsByLabel(sortedCards) : [{ label: null, cards: sortedCards }];
+    // Keyboard navigation goes through the cards as displayed (a card is listed once per label group)
+    let rowCount = 0;
+    const groupedRows = groups.map(group => ({
+        label: group.label,
+        rows: group.cards.map(card => ({ key: `${group.label}:${card.id}`, card, index: rowCount++ }))
+    }));
+    const rows = groupedRows.flatMap(group => group.rows);
+
+    // Keys go to the list from the start, without opening the on-screen keyboard of touch screens
+    useEffect(() => {
+        if (containerRef.current) containerRef.current.focus();
+    }, []);
 
+    useEffect(() => {
+        setActiveIndex(-1);
+    }, [query, sortOrder, groupByLabel, showExcluded]);
 
     useEffect(() => {
-        setLoading(true);
-        setError('');
-        trelloFetch(`/lists/${listId}/cards?fields=id,name,shortUrl,labels,isTemplate,desc`, token)
-            .then(data => {
-                let cardsToDisplay = data;
-                if (ignoreTemplateCards) {
-                    cardsToDisplay = cardsToDisplay.filter(card => !card.isTemplate);
-                }
-                // Conditionally filter the first card based on setting
-                const filteredCards = shouldIgnoreFirst ? cardsToDisplay.slice(1) : cardsToDisplay;
-                setCards(filteredCards);
-            })
-            .catch(e => {
-                console.error("Card fetch error:", e);
-                setError(`Failed to load cards for this list: ${e.message}`);
-            })
-            .finally(() => setLoading(false));
-    }, [listId, token, shouldIgnoreFirst, ignoreTemplateCards]);
+        const row = rows[activeIndex] && rowRefs.current.get(rows[activeIndex].key);
+        if (row) row.scrollIntoView({ block: 'nearest' });
+    }, [activeIndex]);
+
+    const openInTrello = (card) => window.open(card.shortUrl, '_blank', 'noopener,noreferrer');
+
+    // Click opens the details drawer; Ctrl/Cmd/Shift+click still opens the card in Trello
+    const handleCardClick = (e, card, index) => {
+        if (e.ctrlKey || e.metaKey || e.shiftKey) return;
+        e.preventDefault();
+        setActiveIndex(index);
+        setOpenCard(card);
+    };
+
+    const handleKeyDown = (e) => {
+        if (openCard) return; // The drawer handles its own keys
+        const inSearch = e.target === searchRef.current;
+        const move = (index) => {
+            e.preventDefault();
+            if (rows.length > 0) setActiveIndex(Math.max(0, Math.min(rows.length - 1, index)));
+        };
+        switch (e.key) {
+            case 'ArrowDown': return move(activeIndex + 1);
+            case 'ArrowUp': return move(activeIndex - 1);
+            case 'PageDown': return move(activeIndex + KEYBOARD_PAGE);
+            case 'PageUp': return move(activeIndex - KEYBOARD_PAGE);
+            case 'Home': return inSearch ? undefined : move(0);
+            case 'End': return inSearch ? undefined : move(rows.length - 1);
+            case 'j': return inSearch ? undefined : move(activeIndex + 1);
+            case 'k': return inSearch ? undefined : move(activeIndex - 1);
+            case '/':
+                if (inSearch) return;
+                e.preventDefault();
+                searchRef.current.focus();
+                return;
+            case 'Enter': {
+                const row = rows[activeIndex];
+                if (!row) return;
+                e.preventDefault();
+                if (e.ctrlKey || e.metaKey) openInTrello(row.card);
+                else setOpenCard(row.card);
+                return;
+            }
+            case 'Escape':
+                e.preventDefault();
+                if (query) setQuery('');
+                else if (inSearch) containerRef.current.focus();
+                else onClose();
+                return;
+        }
+    };
+
+    const renderCard = ({ key: rowKey, card, index }) => {
+        const reason = reasons.get(card.id);
+        const itemStyle = reason ? { color: 'lightgrey', fontStyle: 'italic' } : {};
+        const ageMs = getCardAgeMs(card, ageBasis, now);
+        const ageColor = getAgeBucketColor(getAgeBucketIndex(ageMs, ageBuckets), ageBuckets.length + 1);
+
+        return (
+            <div
+                key={rowKey}
+                ref={el => { if (el) rowRefs.current.set(rowKey, el); else rowRefs.current.delete(rowKey); }}
+                className={`card-list-item card-aged${index === activeIndex ? ' card-list-item-active' : ''}`}
+                style={{ ...itemStyle, borderLeftColor: ageColor }}
+            >
+                <span className="card-age" style={{ color: ageColor }}>{formatAge(ageMs)}</span>
+                {/* Display Trello Labels */}
+                {card.labels?.map(label => (
+                    <span
+                        key={label.id}
+                        className="card-label"
+                        style={{
+                            backgroundColor: label.color || '#999',
+                            color: getLabelTextColor(theme),
+                            opacity: reason ? 0.6 : 1
+                        }}
+                    >
+                        {label.name || label.color}
+                    </span>
+                ))}
+
+                <a
+                    href={card.shortUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    title={card.name}
+                    tabIndex={-1}
+                    onClick={e => handleCardClick(e, card, index)}
+                    style={itemStyle}
+                >
+                    {card.name}
+                </a>
+                {card.due && sortOrder === CARD_SORTS.DUE && <span className="card-list-badge">Due {new Date(card.due).toLocaleDateString()}</span>}
+                {reason && <span className="card-list-badge">{EXCLUSION_REASON_LABELS[reason]}</span>}
+            </div>
+        );
+    };
 
     return (
         <div className="modal-overlay" onClick={onClose}>
-            <div className="modal-content" onClick={e => e.stopPropagation()}>
+            <div className="modal-content" ref={containerRef} tabIndex={-1} onKeyDown={handleKeyDown} onClick={e => e.stopPropagation()}>
                 <span className="modal-close" onClick={onClose} style={{ float: 'right', fontSize: '1.5em', cursor: 'pointer' }}>&times;</span>
-                <h3 style={{ color: color, borderColor: color }}>Cards in: {listName} ({cards.length})</h3>
+                <h3 style={{ color: color, borderColor: color }}>Cards in: {listName} ({included.length})</h3>
+                {boardName && <p style={{ marginTop: '-10px', fontSize: '0.9em', opacity: 0.7 }}>Board: {boardName}</p>}
+
+                {!tileCards && <p>Loading cards...</p>}
 
-                {loading && <p>Loading cards...</p>}
-                {error && <p className="error">{error}</p>}
+                {tileCards && included.length === 0 && <p>No cards match the dashboard filters in this list.</p>}
+
+                {tileCards && (included.length > 0 || excluded.length > 0) && (
+                    <>
+                        <input
+                            ref={searchRef}
+                            type="search"
+                            className="card-search"
+                            placeholder="Search name, description or label ( / )"
+                            value={query}
+                            onChange={e => setQuery(e.target.value)}
+                        />
+                        <div className="card-sort-control">
+                            <label>
+                                Sort:{' '}
+                                <select value={sortOrder} onChange={e => setSortOrder(e.target.value)}>
+                                    {Object.entries(CARD_SORT_LABELS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                                </select>
+                            </label>
+                            <label>
+                                <input type="checkbox" checked={groupByLabel} onChange={e => setGroupByLabel(e.target.checked)} />
+                                {' '}Group by label
+                            </label>
+                            {excluded.length > 0 && (
+                                <label>
+                                    <input type="checkbox" checked={showExcluded} onChange={e => setShowExcluded(e.target.checked)} />
+                                    {' '}Show excluded ({excluded.length})
+                                </label>
+                            )}
+                        </div>
+                        <div className="card-sort-control">
+                            <span>Age since: {AGE_BASIS_LABELS[ageBasis].toLowerCase()}</span>
+                            <span title="Arrow keys / j k to move, Enter for details, Ctrl+Enter to open in Trello, / to search, Esc to clear or close">
+                                ↑↓ Enter · Ctrl+Enter Trello · / search
+                            </span>
+                        </div>
+                    </>
+                )}
 
-                {!loading && cards.length === 0 && <p>No cards found in this list.</p>}
+                {query && rows.length === 0 && <p>No cards match "{query}".</p>}
 
-                {!loading && cards.length > 0 && (
+                {rows.length > 0 && (
                     <div>
-                        {cards.map(card => {
-                            const isIgnored = ignoreNoDescCards && (!card.desc || !card.desc.trim());
-                            const itemStyle = isIgnored ? { color: 'lightgrey', fontStyle: 'italic' } : {};
-
-                            return (
-                                <div key={card.id} className="card-list-item" style={itemStyle}>
-                                    {/* Display Trello Labels */}
-                                    {card.labels?.map(label => (
-                                        <span
-                                            key={label.id}
-                                            className="card-label"
-                                            style={{
-                                                backgroundColor: label.color || '#999',
-                                                color: getLabelTextColor(theme),
-                                                opacity: isIgnored ? 0.6 : 1
-                                            }}
-                                        >
-                                            {label.name || label.color}
-                                        </span>
-                                    ))}
-
-                                    <a
-                                        href={card.shortUrl}
-                                        target="_blank"
-                                        rel="noopener noreferrer"
-                                        title={card.name}
-                                        style={itemStyle}
-                                    >
-                                        {card.name} {isIgnored && <span style={{ fontSize: '0.8em' }}> (no description)</span>}
-                                    </a>
-                                </div>
-                            );
-                        })}
+                        {groupedRows.map(group => (
+                            <React.Fragment key={group.label || 'all'}>
+                                {group.label !== null && <h4 className="card-group-heading">{group.label} ({group.rows.length})</h4>}
+                                {group.rows.map(row => renderCard(row))}
+                            </React.Fragment>
+                        ))}
                     </div>
                 )}
             </div>
+            {openCard && <CardDetailDrawer card={openCard} token={token} onClose={() => setOpenCard(null)} />}
         </div>
     );
 };
@@ -0,0 +1,129 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { useDarkMode } from '../../context/DarkModeContext';
+import { getLabelTextColor } from '../../utils/helpers';
+import { searchBoardCards, getCardCoordinates } from '../../utils/cardSearch';
+import CardDetailDrawer from './CardDetailDrawer';
+
+// Command palette (Ctrl+K) searching the dashboard's cards. Enter opens the card details,
+// Ctrl+Enter opens the card in Trello and Alt+Enter shows it on the map.
+const CardSearchPalette = ({ cards, lists, sectionsLayout, geocodingCache, token, onShowTile, onShowOnMap, onClose }) => {
+    const [query, setQuery] = useState('');
+    const [activeIndex, setActiveIndex] = useState(0);
+    const [openCard, setOpenCard] = useState(null);
+    const { theme } = useDarkMode();
+    const rowRefs = useRef([]);
+
+    const results = useMemo(
+        () => searchBoardCards(cards, query, { lists, sectionsLayout }),
+        [cards, query, lists, sectionsLayout]
+    );
+
+    useEffect(() => {
+        setActiveIndex(0);
+    }, [query]);
+
+    useEffect(() => {
+        const row = rowRefs.current[activeIndex];
+        if (row) row.scrollIntoView({ block: 'nearest' });
+    }, [activeIndex]);
+
+    const openInTrello = (card) => window.open(card.shortUrl, '_blank', 'noopener,noreferrer');
+    const hasCoordinates = (card) => !!onShowOnMap && !!getCardCoordinates(card, geocodingCache);
+
+    const handleKeyDown = (e) => {
+        if (openCard) return; // The drawer handles its own keys
+        const result = results[activeIndex];
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                setActiveIndex(i => Math.min(results.length - 1, i + 1));
+                return;
+            case 'ArrowUp':
+                e.preventDefault();
+                setActiveIndex(i => Math.max(0, i - 1));
+                return;
+            case 'Enter':
+                if (!result) return;
+                e.preventDefault();
+                if (e.altKey) { if (hasCoordinates(result.card)) onShowOnMap(result.card); }
+                else if (e.ctrlKey || e.metaKey) openInTrello(result.card);
+                else setOpenCard(result.card);
+                return;
+            case 'Escape':
+                e.preventDefault();
+                if (query) setQuery('');
+                else onClose();
+                return;
+        }
+    };
+
+    return (
+        <div className="modal-overlay card-search-overlay" onClick={onClose}>
+            <div className="modal-content card-search-palette" onKeyDown={handleKeyDown} onClick={e => e.stopPropagation()}>
+                <input
+                    type="search"
+                    className="card-search"
+                    placeholder="Search cards by name, description, label or list..."
+                    value={query}
+                    onChange={e => setQuery(e.target.value)}
+                    autoFocus
+                />
+
+                {query.trim() && results.length === 0 && <p>No cards found.</p>}
+                {!query.trim() && (
+                    <p className="card-search-hint">
+                        ↑↓ to move · Enter for details · Ctrl+Enter to open in Trello · Alt+Enter to show on the map · Esc to close
+                    </p>
+                )}
+
+                <div className="card-search-results">
+                    {results.map(({ card, list, section }, index) => (
+                        <div
+                            key={card.id}
+                            ref={el => { rowRefs.current[index] = el; }}
+                            className={`card-list-item${index === activeIndex ? ' card-list-item-active' : ''}`}
+                            onMouseEnter={() => setActiveIndex(index)}
+                        >
+                            <div className="card-search-result">
+                                <a
+                                    href={card.shortUrl}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    onClick={e => {
+                                        if (e.ctrlKey || e.metaKey || e.shiftKey) return;
+                                        e.preventDefault();
+                                        setOpenCard(card);
+                                    }}
+                                >
+                                    {card.name}
+                                </a>
+                                <div className="card-search-location">
+                                    {section && list ? (
+                                        <button className="card-search-tile" onClick={() => onShowTile(list.id)} title="Show the tile's cards">
+                                            {section.name} › {list.name}
+                                        </button>
+                                    ) : (
+                                        <span>{list ? `${list.name} (not on the dashboard)` : 'Unknown list'}</span>
+                                    )}
+                                    {card.labels?.map(label => (
+                                        <span key={label.id} className="card-label" style={{ backgroundColor: label.color || '#999', color: getLabelTextColor(theme) }}>
+                                            {label.name || label.color}
+                                        </span>
+                                    ))}
+                                </div>
+                            </div>
+                            {hasCoordinates(card) && (
+                                <button className="button-secondary card-search-map" onClick={() => onShowOnMap(card)} title="Show on the map">
+                                    Map
+                                </button>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            </div>
+            {openCard && <CardDetailDrawer card={openCard} token={token} onClose={() => setOpenCard(null)} />}
+        </div>
+    );
+};
+
+export default CardSearchPalette;
@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from 'react';
+import { getTimeFilterKeys, getTimeFilterLabel } from '../../utils/timeFilters';
+import { CUSTOM_RANGE, isValidCustomRange, getCustomRangeDates, getDefaultCustomRange } from '../../utils/dateRange';
+
+const RANGE_MODES = { DATES: 'dates', RELATIVE: 'relative' };
+
+// Time filter: the TIME_FILTERS presets plus a custom range of dates or a relative expression
+// ("last 10 business days"). `value` / `onChange` use selections ({ filter, custom }, see utils/dateRange).
+// `timeOptions` are the board's time settings (see utils/timeFilters); `exclude` lists presets not to offer.
+// `vertical` stacks the custom range inputs, for the mobile menus.
+const DateRangePicker = ({ value, onChange, timeOptions, exclude = [], vertical = false, style }) => {
+    const filterKeys = getTimeFilterKeys(timeOptions).filter(key => !exclude.includes(key));
+    // Keep showing a preset that is no longer offered (business hours turned off since)
+    if (value.filter !== CUSTOM_RANGE && !filterKeys.includes(value.filter)) filterKeys.push(value.filter);
+    const custom = value.filter === CUSTOM_RANGE ? value.custom || {} : null;
+    const mode = custom && custom.expression !== undefined ? RANGE_MODES.RELATIVE : RANGE_MODES.DATES;
+
+    // The expression is applied once it parses, so half-typed text doesn't reset the views
+    const appliedExpression = mode === RANGE_MODES.RELATIVE ? custom.expression : null;
+    const [expression, setExpression] = useState(appliedExpression || '');
+    useEffect(() => {
+        if (appliedExpression !== null) setExpression(appliedExpression);
+    }, [appliedExpression]);
+    const expressionValid = isValidCustomRange({ expression });
+
+    const handleFilterChange = (filter) => {
+        if (filter === CUSTOM_RANGE) onChange({ filter, custom: getDefaultCustomRange() });
+        else onChange({ filter, custom: null });
+    };
+
+    const handleModeChange = (nextMode) => {
+        if (nextMode === RANGE_MODES.RELATIVE) {
+            setExpression('last 10 business days');
+            onChange({ filter: CUSTOM_RANGE, custom: { expression: 'last 10 business days' } });
+        } else {
+            onChange({ filter: CUSTOM_RANGE, custom: getDefaultCustomRange() });
+        }
+    };
+
+    const applyExpression = () => {
+        if (expressionValid && expression !== custom.expression) onChange({ filter: CUSTOM_RANGE, custom: { expression: expression.trim() } });
+    };
+
+    const resolved = custom ? getCustomRangeDates(custom, timeOptions) : null;
+    const resolvedTitle = resolved ? `${resolved.start.toLocaleString()} - ${resolved.end.toLocaleString()}` : '';
+
+    return (
+        <>
+            <select className="time-filter-select" value={value.filter} onChange={e => handleFilterChange(e.target.value)} style={style}>
+                {filterKeys.map(key => (
+                    <option key={key} value={key}>{getTimeFilterLabel(key, timeOptions)}</option>
+                ))}
+                <option value={CUSTOM_RANGE}>Custom Range</option>
+            </select>
+
+            {custom && (
+                <div className="date-range-custom" style={vertical ? { flexDirection: 'column', width: '85%', margin: 0 } : undefined} title={resolvedTitle}>
+                    <select value={mode} onChange={e => handleModeChange(e.target.value)}>
+                        <option value={RANGE_MODES.DATES}>Dates</option>
+                        <option value={RANGE_MODES.RELATIVE}>Relative</option>
+                    </select>
+                    {mode === RANGE_MODES.DATES ? (
+                        <>
+                            <input
+                                type="date"
+                                value={custom.start || ''}
+                                max={custom.end || undefined}
+                                onChange={e => onChange({ filter: CUSTOM_RANGE, custom: { ...custom, start: e.target.value } })}
+                            />
+                            <span>to</span>
+                            <input
+                                type="date"
+                                value={custom.end || ''}
+                                min={custom.start || undefined}
+                                onChange={e => onChange({ filter: CUSTOM_RANGE, custom: { ...custom, end: e.target.value } })}
+                                title="Leave empty to include up to now"
+                            />
+                        </>
+                    ) : (
+                        <input
+                            type="text"
+                            value={expression}
+                            placeholder="last 10 business days"
+                            onChange={e => setExpression(e.target.value)}
+                            onBlur={applyExpression}
+                            onKeyDown={e => { if (e.key === 'Enter') applyExpression(); }}
+                            className={expressionValid ? '' : 'date-range-invalid'}
+                            title={expressionValid ? resolvedTitle : 'Try "today", "yesterday", "last 36 hours", "last 10 business days", "last 2 weeks" or "last 3 months"'}
+                        />
+                    )}
+                </div>
+            )}
+        </>
+    );
+};
+
+export default DateRangePicker;
@@ -1,9 +1,9 @@
 import React, { useState, useEffect } from 'react';
-import { STORAGE_KEYS } from '../../utils/constants';
+import { getBoardStore, BOARD_NAMESPACES } from '../../utils/storage';
 
 const DigitalClock = ({ boardId, compact = false }) => {
     const [time, setTime] = useState('');
-    const [showClock, setShowClock] = useState(() => localStorage.getItem(STORAGE_KEYS.CLOCK_SETTING + boardId) !== 'false');
+    const [showClock, setShowClock] = useState(() => getBoardStore(boardId, BOARD_NAMESPACES.DISPLAY).showClock);
 
     useEffect(() => {
         const timer = setInterval(() => {
@@ -14,9 +14,8 @@ const DigitalClock = ({ boardId, compact = false }) => {
     }, []);
 
     useEffect(() => {
-        const savedSetting = localStorage.getItem(STORAGE_KEYS.CLOCK_SETTING + boardId);
-        // Default to true if not set
-        setShowClock(savedSetting !== 'false');
+        // Defaults to true if not set
+        setShowClock(getBoardStore(boardId, BOARD_NAMESPACES.DISPLAY).showClock);
     }, [boardId]);
 
     if (!showClock) return null;
@@ -0,0 +1,50 @@
+import React from 'react';
+
+const SAVE = '__save';
+const TOGGLE_DEFAULT = '__default';
+const DELETE = '__delete';
+
+// Header select of the board's filter presets (see utils/filterPresets), with the actions on the
+// current filters: save them as a preset, make the selected preset the default, delete it.
+const FilterPresetPicker = ({ presets, activePresetId, defaultPresetId, onApply, onSave, onSetDefault, onDelete, style }) => {
+    const activePreset = presets.find(p => p.id === activePresetId);
+
+    const handleChange = (e) => {
+        const value = e.target.value;
+        if (value === SAVE) {
+            const name = window.prompt("Name of the filter preset (e.g. Priority only, last 24h):");
+            if (name && name.trim()) onSave(name.trim());
+        } else if (value === TOGGLE_DEFAULT) {
+            onSetDefault(activePresetId === defaultPresetId ? null : activePresetId);
+        } else if (value === DELETE) {
+            if (window.confirm(`Delete the filter preset "${activePreset.name}"?`)) onDelete(activePresetId);
+        } else if (value) {
+            onApply(presets.find(p => p.id === value));
+        }
+    };
+
+    return (
+        <select
+            className="time-filter-select"
+            value={activePreset ? activePreset.id : ''}
+            onChange={handleChange}
+            title="Filter presets"
+            style={style}
+        >
+            <option value="">{presets.length > 0 ? 'Presets' : 'No presets'}</option>
+            {presets.map(preset => (
+                <option key={preset.id} value={preset.id}>
+                    {preset.name}{preset.id === defaultPresetId ? ' (default)' : ''}
+                </option>
+            ))}
+            <option disabled>──────────</option>
+            <option value={SAVE}>Save current filters...</option>
+            {activePreset && (
+                <option value={TOGGLE_DEFAULT}>{activePreset.id === defaultPresetId ? 'Remove as default' : 'Set as default'}</option>
+            )}
+            {activePreset && <option value={DELETE}>Delete "{activePreset.name}"</option>}
+        </select>
+    );
+};
+
+export default FilterPresetPicker;
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+
+const rowStyle = { display: 'grid', gridTemplateColumns: '1fr 20px 1fr', alignItems: 'center', gap: '8px', padding: '4px 0', borderBottom: '1px solid #eee' };
+const selectStyle = { padding: '4px', borderRadius: '4px', width: '100%' };
+
+const toMap = (items) => Object.fromEntries(items.map(i => [i.sourceId, i.targetId]));
+
+// Review step when a configuration from another board is imported: shows how each list and label
+// was matched by name and lets the user fix or skip the ones that didn't match.
+const LayoutRemapModal = ({ plan, targetLists, targetLabels, sourceBoardName, targetBoardName, onApply, onSwitchBoard, onClose }) => {
+    const [listMap, setListMap] = useState(() => toMap(plan.lists));
+    const [labelMap, setLabelMap] = useState(() => toMap(plan.labels));
+
+    const unmatchedCount = Object.values(listMap).filter(v => !v).length + Object.values(labelMap).filter(v => !v).length;
+
+    const sourceLabelText = (label) => label.known ? (label.name || `(${label.color || 'no colour'} label)`) : `Unknown label (${label.sourceId})`;
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content" style={{ maxWidth: '700px', maxHeight: '85vh', overflowY: 'auto' }} onClick={e => e.stopPropagation()}>
+                <span className="modal-close" onClick={onClose} style={{ float: 'right', fontSize: '1.5em', cursor: 'pointer' }}>&times;</span>
+                <h3>Apply layout to {targetBoardName || 'this board'}</h3>
+                <p style={{ fontSize: '0.9em' }}>
+                    This configuration was exported from <strong>{sourceBoardName || 'another board'}</strong>. Lists and labels were matched by name; check the matches below.
+                    Anything left on "Skip" is dropped from the imported layout.
+                </p>
+
+                {plan.lists.length > 0 && (
+                    <div style={{ marginBottom: '15px' }}>
+                        <h4 style={{ margin: '10px 0 5px' }}>Lists</h4>
+                        {plan.lists.map(list => (
+                            <div key={list.sourceId} style={rowStyle}>
+                                <span style={{ color: list.known ? 'inherit' : '#888' }}>{list.known ? list.name : `Unknown list (${list.sourceId})`}</span>
+                                <span>&rarr;</span>
+                                <select
+                                    value={listMap[list.sourceId] || ''}
+                                    onChange={e => setListMap({ ...listMap, [list.sourceId]: e.target.value || null })}
+                                    style={{ ...selectStyle, borderColor: listMap[list.sourceId] ? '#ccc' : '#e65100' }}
+                                >
+                                    <option value="">Skip</option>
+                                    {targetLists.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+                                </select>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {plan.labels.length > 0 && (
+                    <div style={{ marginBottom: '15px' }}>
+                        <h4 style={{ margin: '10px 0 5px' }}>Labels (map marker rules)</h4>
+                        {plan.labels.map(label => (
+                            <div key={label.sourceId} style={rowStyle}>
+                                <span style={{ color: label.known ? 'inherit' : '#888' }}>{sourceLabelText(label)}</span>
+                                <span>&rarr;</span>
+                                <select
+                                    value={labelMap[label.sourceId] || ''}
+                                    onChange={e => setLabelMap({ ...labelMap, [label.sourceId]: e.target.value || null })}
+                                    style={{ ...selectStyle, borderColor: labelMap[label.sourceId] ? '#ccc' : '#e65100' }}
+                                >
+                                    <option value="">Skip</option>
+                                    {targetLabels.map(l => <option key={l.id} value={l.id}>{l.name || l.color}</option>)}
+                                </select>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {unmatchedCount > 0 && (
+                    <div style={{ padding: '8px', background: '#fff3cd', border: '1px solid #ffeeba', borderRadius: '4px', color: '#856404', fontSize: '0.9em' }}>
+                        {unmatchedCount} item(s) will be skipped.
+                    </div>
+                )}
+
+                <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '10px', marginTop: '20px', flexWrap: 'wrap' }}>
+                    {onSwitchBoard && (
+                        <button className="button-secondary" onClick={onSwitchBoard}>Open {sourceBoardName || 'original board'} instead</button>
+                    )}
+                    <button className="button-secondary" onClick={onClose}>Cancel</button>
+                    <button className="settings-button" onClick={() => onApply(listMap, labelMap)}>Apply to {targetBoardName || 'this board'}</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default LayoutRemapModal;
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { getTimeFilterKeys, getTimeFilterLabel } from '../../utils/timeFilters';
+import { REPORT_SECTIONS, WEEKDAYS } from '../../utils/boardReport';
+
+const fieldStyle = { display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '10px' };
+const inputStyle = { padding: '4px', borderRadius: '4px', border: '1px solid #ccc' };
+
+// Edits the board's report template and generates the PDF. Saving keeps the template (and its schedule)
+// for the next reports; generating uses the form as it is.
+const ReportBuilderModal = ({ template, boardName, timeOptions, onSave, onGenerate, onClose }) => {
+    const [draft, setDraft] = useState(template);
+    const [generating, setGenerating] = useState(false);
+
+    const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+    const updateSchedule = (changes) => setDraft(prev => ({ ...prev, schedule: { ...prev.schedule, ...changes } }));
+    const hasSection = Object.values(draft.sections).some(Boolean);
+
+    const handleGenerate = async () => {
+        setGenerating(true);
+        try {
+            await onGenerate(draft);
+        } finally {
+            setGenerating(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal-content" style={{ maxWidth: '520px', maxHeight: '85vh', overflowY: 'auto' }} onClick={e => e.stopPropagation()}>
+                <span className="modal-close" onClick={onClose} style={{ float: 'right', fontSize: '1.5em', cursor: 'pointer' }}>&times;</span>
+                <h3>PDF report</h3>
+
+                <div style={fieldStyle}>
+                    <label style={{ minWidth: '70px' }}>Title</label>
+                    <input
+                        type="text"
+                        value={draft.title}
+                        placeholder={`${boardName} report`}
+                        onChange={e => update({ title: e.target.value })}
+                        style={{ ...inputStyle, flex: 1 }}
+                    />
+                </div>
+
+                <div style={fieldStyle}>
+                    <label style={{ minWidth: '70px' }}>Period</label>
+                    <select value={draft.period} onChange={e => update({ period: e.target.value })} style={inputStyle}>
+                        {getTimeFilterKeys(timeOptions).map(key => <option key={key} value={key}>{getTimeFilterLabel(key, timeOptions)}</option>)}
+                    </select>
+                </div>
+
+                <h4 style={{ margin: '15px 0 5px' }}>Sections</h4>
+                {Object.entries(REPORT_SECTIONS).map(([key, label]) => (
+                    <label key={key} style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '4px' }}>
+                        <input
+                            type="checkbox"
+                            checked={!!draft.sections[key]}
+                            onChange={e => update({ sections: { ...draft.sections, [key]: e.target.checked } })}
+                        />
+                        {label}
+                        {key === 'agedCards' && draft.sections.agedCards && (
+                            <>
+                                : top
+                                <input
+                                    type="number"
+                                    min="1"
+                                    max="100"
+                                    value={draft.agedCardCount}
+                                    onChange={e => update({ agedCardCount: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                                    style={{ ...inputStyle, width: '60px' }}
+                                />
+                            </>
+                        )}
+                    </label>
+                ))}
+
+                <h4 style={{ margin: '15px 0 5px' }}>Schedule</h4>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '8px' }}>
+                    <input type="checkbox" checked={draft.schedule.enabled} onChange={e => updateSchedule({ enabled: e.target.checked })} />
+                    Generate every week
+                </label>
+                {draft.schedule.enabled && (
+                    <>
+                        <div style={fieldStyle}>
+                            <select value={draft.schedule.weekday} onChange={e => updateSchedule({ weekday: parseInt(e.target.value, 10) })} style={inputStyle}>
+                                {WEEKDAYS.map((day, i) => <option key={day} value={i}>{day}</option>)}
+                            </select>
+                            <span>at</span>
+                            <input type="time" value={draft.schedule.time} onChange={e => e.target.value && updateSchedule({ time: e.target.value })} style={inputStyle} />
+                        </div>
+                        <p style={{ fontSize: '0.85em', color: '#666', margin: 0 }}>
+                            The report downloads from this dashboard when it is open at that time, or at the next refresh within a day.
+                            {template.lastRunAt && <> Last generated {new Date(template.lastRunAt).toLocaleString()}.</>}
+                        </p>
+                    </>
+                )}
+
+                <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '10px', marginTop: '20px', flexWrap: 'wrap' }}>
+                    <button className="button-secondary" onClick={onClose}>Close</button>
+                    <button className="button-secondary" onClick={() => onSave(draft)}>Save template</button>
+                    <button className="settings-button" onClick={handleGenerate} disabled={!hasSection || generating}>
+                        {generating ? 'Generating...' : 'Generate PDF'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ReportBuilderModal;
@@ -0,0 +1,31 @@
+import React, { useState, useEffect } from 'react';
+import useRequestQueue from '../../hooks/useRequestQueue';
+
+// Small footer badge showing pending Trello requests and any rate-limit pause
+const RequestQueueIndicator = ({ style }) => {
+    const { queued, pausedUntil } = useRequestQueue();
+    const [now, setNow] = useState(Date.now());
+
+    useEffect(() => {
+        if (!pausedUntil) return;
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [pausedUntil]);
+
+    const pausedSeconds = pausedUntil ? Math.ceil((pausedUntil - now) / 1000) : 0;
+    if (queued === 0 && pausedSeconds <= 0) return null;
+
+    return (
+        <span
+            className="request-queue-indicator"
+            title="Requests waiting for the shared Trello API budget"
+            style={{ fontSize: '0.85em', color: pausedSeconds > 0 ? '#d9822b' : 'var(--text-secondary)', ...style }}
+        >
+            {pausedSeconds > 0
+                ? `Trello rate limit - resuming in ${pausedSeconds}s`
+                : `Trello queue: ${queued}`}
+        </span>
+    );
+};
+
+export default RequestQueueIndicator;
@@ -0,0 +1,29 @@
+import React from 'react';
+
+// Step line of [[timestamp, value], ...] points, scaled to fill the box. The last value is held until `now`.
+const Sparkline = ({ points, width = 120, height = 24, color = 'currentColor', now = Date.now() }) => {
+    if (!points || points.length === 0) return null;
+
+    const start = points[0][0];
+    const end = Math.max(now, points[points.length - 1][0]);
+    const values = points.map(([, value]) => value);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+
+    const x = (t) => end === start ? width : ((t - start) / (end - start)) * width;
+    // Flat series sit in the middle; 2px padding keeps the stroke inside the box
+    const y = (value) => max === min ? height / 2 : height - 2 - ((value - min) / (max - min)) * (height - 4);
+
+    const path = points.reduce((acc, [t, value], i) => {
+        if (i === 0) return `M0,${y(value)}`;
+        return `${acc} H${x(t)} V${y(value)}`;
+    }, '') + ` H${width}`;
+
+    return (
+        <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} className="tile-sparkline" aria-hidden="true">
+            <path d={path} fill="none" stroke={color} strokeWidth="1.5" strokeLinejoin="round" />
+        </svg>
+    );
+};
+
+export default Sparkline;
@@ -0,0 +1,55 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { TIME_FILTERS } from '../utils/timeFilters';
+import { getBoardStore, updateBoardStore, BOARD_NAMESPACES } from '../utils/storage';
+import { CUSTOM_RANGE, RANGE_URL_PARAM, decodeRangeParam, encodeRangeParam, isValidCustomRange } from '../utils/dateRange';
+
+const getStoredSelection = (boardId, view) => {
+    const stored = (getBoardStore(boardId, BOARD_NAMESPACES.DISPLAY).timeFilters || {})[view];
+    if (!stored) return null;
+    if (stored.filter === CUSTOM_RANGE) return isValidCustomRange(stored.custom) ? stored : null;
+    return TIME_FILTERS[stored.filter] ? stored : null;
+};
+
+const getUrlSelection = () => decodeRangeParam(new URLSearchParams(window.location.search).get(RANGE_URL_PARAM));
+
+const ALL_FILTER_KEYS = Object.keys(TIME_FILTERS);
+
+// Time filter selection of a view ({ filter, custom }, see utils/dateRange): the `range` URL parameter wins,
+// then the last selection of that view on the board. Changes are saved per board and, with `syncUrl`,
+// written to the URL so the filtered view can be bookmarked or shared.
+// `filterKeys` are the presets the view's picker offers; a URL or saved preset outside them is ignored.
+const useDateRange = (boardId, view, defaultFilter, { syncUrl = true, filterKeys = ALL_FILTER_KEYS } = {}) => {
+    const allowed = (selection) => selection && (selection.filter === CUSTOM_RANGE || filterKeys.includes(selection.filter)) ? selection : null;
+    const getInitial = (useUrl) => (useUrl && allowed(getUrlSelection())) || allowed(getStoredSelection(boardId, view)) || { filter: defaultFilter, custom: null };
+    const [selection, setSelection] = useState(() => getInitial(syncUrl));
+
+    // Another board: its own saved selection
+    const boardIdRef = useRef(boardId);
+    useEffect(() => {
+        if (boardIdRef.current === boardId) return;
+        boardIdRef.current = boardId;
+        setSelection(getInitial(false));
+    }, [boardId]);
+
+    useEffect(() => {
+        if (!syncUrl) return;
+        const encoded = encodeRangeParam(selection);
+        if (!encoded) return; // Custom range still being edited
+        const url = new URL(window.location.href);
+        if (url.searchParams.get(RANGE_URL_PARAM) === encoded) return;
+        url.searchParams.set(RANGE_URL_PARAM, encoded);
+        window.history.replaceState(window.history.state, '', url);
+    }, [selection, syncUrl]);
+
+    const changeSelection = useCallback((next) => {
+        setSelection(next);
+        updateBoardStore(boardId, BOARD_NAMESPACES.DISPLAY, display => ({
+            ...display,
+            timeFilters: { ...display.timeFilters, [view]: next }
+        }));
+    }, [boardId, view]);
+
+    return [selection, changeSelection];
+};
+
+export default useDateRange;
@@ -0,0 +1,21 @@
+import { useState, useEffect } from 'react';
+import { subscribeToRequestQueue, getRequestQueueStats } from '../api/requestQueue';
+
+const useRequestQueue = () => {
+    const [stats, setStats] = useState(getRequestQueueStats);
+
+    useEffect(() => {
+        return subscribeToRequestQueue(next => {
+            // The queue notifies on every pump; only re-render when something visible changed
+            setStats(prev => (
+                prev.queued === next.queued && prev.inFlight === next.inFlight && prev.pausedUntil === next.pausedUntil
+                    ? prev
+                    : next
+            ));
+        });
+    }, []);
+
+    return stats;
+};
+
+export default useRequestQueue;
@@ -0,0 +1,293 @@
+import { getTimeFilterRange, getTimeFilterLabel, getTimeContext, getZonedParts, getZonedTime } from './timeFilters';
+import { getCardAgeMs, getCardCreationDate, formatAge, AGE_BASES } from './cardAge';
+
+// PDF summary of a board: tile counts, created/completed chart, label breakdown and the oldest cards
+// for a period, composed in the browser.
+//
+// Each board has a report template (BOARD_NAMESPACES.REPORT_TEMPLATE):
+//   { title, period, sections: { tiles, timeline, labels, agedCards }, agedCardCount,
+//     schedule: { enabled, weekday (0 = Sunday), time: 'HH:MM' }, lastRunAt }
+// A scheduled report is generated by an open dashboard at the first refresh after its time, once per week.
+//
+// Relies on jsPDF (window.jspdf) and Chart.js (window.Chart), loaded from the CDN in index.html.
+
+export const REPORT_SECTIONS = {
+    tiles: 'Tile counts',
+    timeline: 'Created / completed per day',
+    labels: 'Labels breakdown',
+    agedCards: 'Oldest cards'
+};
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCHEDULE_GRACE_MS = DAY_MS; // A dashboard opened more than a day late skips that week's report
+
+// Dates of a time filter preset (see utils/timeFilters); `start` is null for "All Time"
+export const getReportRange = (periodKey, timeOptions = {}, now = Date.now()) => {
+    const options = { ...timeOptions, now };
+    const range = getTimeFilterRange(periodKey, options);
+    return { start: range ? range.start : null, end: range ? range.end : new Date(now), label: getTimeFilterLabel(periodKey, options) };
+};
+
+const isInRange = (date, range) => (!range.start || date >= range.start) && date <= range.end;
+
+// Last scheduled time at or before now
+const getLastOccurrence = (schedule, now) => {
+    const [hours, minutes] = schedule.time.split(':').map(Number);
+    const occurrence = new Date(now);
+    occurrence.setHours(hours, minutes, 0, 0);
+    occurrence.setDate(occurrence.getDate() - ((occurrence.getDay() - schedule.weekday + 7) % 7));
+    if (occurrence.getTime() > now) occurrence.setDate(occurrence.getDate() - 7);
+    return occurrence.getTime();
+};
+
+export const isReportDue = (template, now = Date.now()) => {
+    if (!template.schedule || !template.schedule.enabled) return false;
+    const occurrence = getLastOccurrence(template.schedule, now);
+    return (template.lastRunAt || 0) < occurrence && now - occurrence < SCHEDULE_GRACE_MS;
+};
+
+// Midnight of the date's day in `timeZone` (the browser's when empty)
+const dayKey = (date, timeZone) => {
+    const { year, month, day } = getZonedParts(new Date(date).getTime(), timeZone);
+    return getZonedTime(year, month, day, 0, 0, timeZone);
+};
+
+/**
+ * Report content from the dashboard data.
+ * - `sections`: dashboard layout blocks; `lists`: Map of listId -> list
+ * - `countableCardsByList`: the cards each tile counts (see Dashboard)
+ * - `cards`: every card of the dashboard boards; `completedDates`: when cards were completed
+ * - `timeOptions`: the board's time settings (time zone, week start...)
+ */
+export const buildReportContent = ({ template, boardName, sections, lists, countableCardsByList, cards, completedDates, timeOptions, now = Date.now() }) => {
+    const range = getReportRange(template.period, timeOptions, now);
+    const included = template.sections;
+    const content = {
+        title: template.title || `${boardName} report`,
+        boardName,
+        periodLabel: range.label,
+        range,
+        generatedAt: new Date(now)
+    };
+
+    if (included.tiles) {
+        content.tiles = sections.map(section => ({
+            section: section.name,
+            rows: section.listIds.filter(listId => lists.has(listId)).map(listId => {
+                const listCards = countableCardsByList.get(listId) || [];
+                return {
+                    name: lists.get(listId).name,
+                    count: listCards.length,
+                    createdInPeriod: listCards.filter(c => isInRange(getCardCreationDate(c), range)).length
+                };
+            })
+        })).filter(section => section.rows.length > 0);
+    }
+
+    if (included.timeline) {
+        const created = cards.map(c => getCardCreationDate(c)).filter(date => isInRange(date, range));
+        const completed = completedDates.filter(date => isInRange(date, range));
+        const { timeZone } = getTimeContext(timeOptions);
+        const first = getZonedParts(range.start ? range.start.getTime() : created.reduce((earliest, date) => Math.min(earliest, date.getTime()), now), timeZone);
+        const lastDay = dayKey(range.end, timeZone);
+        // Calendar steps: a day is 23 or 25 hours long across a DST change
+        const days = [];
+        for (let i = 0; ; i++) {
+            const t = getZonedTime(first.year, first.month, first.day + i, 0, 0, timeZone);
+            if (t > lastDay) break;
+            days.push(t);
+        }
+        const countByDay = (dates) => {
+            const counts = new Map(days.map(t => [t, 0]));
+            dates.forEach(date => {
+                const key = dayKey(date, timeZone);
+                if (counts.has(key)) counts.set(key, counts.get(key) + 1);
+            });
+            return days.map(t => counts.get(t));
+        };
+        content.timeline = {
+            labels: days.map(t => new Date(t).toLocaleDateString(undefined, timeZone ? { timeZone } : undefined)),
+            created: countByDay(created),
+            completed: countByDay(completed)
+        };
+    }
+
+    if (included.labels) {
+        const combinations = {};
+        cards.filter(c => isInRange(getCardCreationDate(c), range)).forEach(c => {
+            const key = c.labels && c.labels.length > 0 ? c.labels.map(l => l.name || l.color).sort().join(' + ') : 'No Label';
+            combinations[key] = (combinations[key] || 0) + 1;
+        });
+        content.labels = Object.entries(combinations).sort((a, b) => b[1] - a[1]);
+    }
+
+    if (included.agedCards) {
+        const aged = sections.flatMap(section => section.listIds.flatMap(listId =>
+            (countableCardsByList.get(listId) || []).map(card => ({
+                name: card.name,
+                list: lists.has(listId) ? lists.get(listId).name : '',
+                ageMs: getCardAgeMs(card, section.ageBasis || AGE_BASES.CREATED, now),
+                labels: (card.labels || []).map(l => l.name || l.color).join(', ')
+            }))
+        ));
+        content.agedCards = aged.sort((a, b) => b.ageMs - a.ageMs).slice(0, template.agedCardCount);
+    }
+
+    return content;
+};
+
+// --- PDF rendering ---
+
+const PAGE_MARGIN = 15; // mm
+const LINE_HEIGHT = 6;
+
+// Chart.js drawn on a detached canvas, returned as an image
+const renderChartImage = (config) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1000;
+    canvas.height = 450;
+    const chart = new window.Chart(canvas.getContext('2d'), {
+        ...config,
+        options: { ...config.options, animation: false, responsive: false, devicePixelRatio: 1 }
+    });
+    const image = chart.toBase64Image('image/png', 1);
+    chart.destroy();
+    return image;
+};
+
+/**
+ * Writes the report to a PDF and downloads it. Returns false when the libraries aren't loaded.
+ */
+export const downloadReportPdf = (content, filename) => {
+    if (!window.jspdf || !window.Chart) { alert("Export library not loaded."); return false; }
+
+    const doc = new window.jspdf.jsPDF({ unit: 'mm', format: 'a4' });
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const contentWidth = pageWidth - 2 * PAGE_MARGIN;
+    let y = PAGE_MARGIN;
+
+    const ensureSpace = (height) => {
+        if (y + height > pageHeight - PAGE_MARGIN) {
+            doc.addPage();
+            y = PAGE_MARGIN;
+            return true;
+        }
+        return false;
+    };
+
+    const heading = (text) => {
+        ensureSpace(LINE_HEIGHT * 3);
+        y += LINE_HEIGHT / 2;
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(13);
+        doc.text(text, PAGE_MARGIN, y);
+        y += LINE_HEIGHT + 1;
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(10);
+    };
+
+    // Columns: [{ title, width (fraction of the page), align }]; the header row is repeated on new pages
+    const table = (columns, rows) => {
+        const xs = [];
+        columns.reduce((x, col) => { xs.push(x); return x + col.width * contentWidth; }, PAGE_MARGIN);
+        const drawRow = (cells, bold) => {
+            doc.setFont('helvetica', bold ? 'bold' : 'normal');
+            cells.forEach((cell, i) => {
+                const col = columns[i];
+                const maxWidth = col.width * contentWidth - 2;
+                const text = doc.splitTextToSize(String(cell), maxWidth)[0] || '';
+                if (col.align === 'right') doc.text(text, xs[i] + col.width * contentWidth - 2, y, { align: 'right' });
+                else doc.text(text, xs[i], y);
+            });
+            y += LINE_HEIGHT;
+        };
+        drawRow(columns.map(c => c.title), true);
+        rows.forEach(row => {
+            if (ensureSpace(LINE_HEIGHT)) drawRow(columns.map(c => c.title), true);
+            drawRow(row, false);
+        });
+        doc.setFont('helvetica', 'normal');
+    };
+
+    const image = (dataUrl) => {
+        const height = contentWidth * 0.45;
+        ensureSpace(height);
+        doc.addImage(dataUrl, 'PNG', PAGE_MARGIN, y, contentWidth, height);
+        y += height + LINE_HEIGHT;
+    };
+
+    // Title
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(18);
+    doc.text(content.title, PAGE_MARGIN, y + 4);
+    y += 12;
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    const period = content.range.start
+        ? `${content.periodLabel}: ${content.range.start.toLocaleDateString()} - ${content.range.end.toLocaleDateString()}`
+        : content.periodLabel;
+    doc.text(`${content.boardName} · ${period} · Generated ${content.generatedAt.toLocaleString()}`, PAGE_MARGIN, y);
+    y += LINE_HEIGHT;
+
+    if (content.tiles) {
+        heading(REPORT_SECTIONS.tiles);
+        content.tiles.forEach(section => {
+            ensureSpace(LINE_HEIGHT * 3);
+            doc.setFont('helvetica', 'bold');
+            doc.text(section.section, PAGE_MARGIN, y);
+            y += LINE_HEIGHT;
+            table(
+                [{ title: 'List', width: 0.6 }, { title: 'Cards now', width: 0.2, align: 'right' }, { title: 'Created in period', width: 0.2, align: 'right' }],
+                section.rows.map(r => [r.name, r.count, r.createdInPeriod])
+            );
+            y += LINE_HEIGHT / 2;
+        });
+    }
+
+    if (content.timeline) {
+        heading(REPORT_SECTIONS.timeline);
+        image(renderChartImage({
+            type: 'bar',
+            data: {
+                labels: content.timeline.labels,
+                datasets: [
+                    { label: `Created (${content.timeline.created.reduce((a, b) => a + b, 0)})`, data: content.timeline.created, backgroundColor: '#0079bf' },
+                    { label: `Completed (${content.timeline.completed.reduce((a, b) => a + b, 0)})`, data: content.timeline.completed, backgroundColor: '#61bd4f' }
+                ]
+            },
+            options: { plugins: { datalabels: { display: false } }, scales: { y: { beginAtZero: true, ticks: { precision: 0 } } } }
+        }));
+    }
+
+    if (content.labels) {
+        heading(REPORT_SECTIONS.labels);
+        if (content.labels.length === 0) {
+            doc.text('No cards created in this period.', PAGE_MARGIN, y);
+            y += LINE_HEIGHT;
+        } else {
+            table([{ title: 'Labels', width: 0.8 }, { title: 'Cards', width: 0.2, align: 'right' }], content.labels);
+        }
+    }
+
+    if (content.agedCards) {
+        heading(REPORT_SECTIONS.agedCards);
+        table(
+            [{ title: 'Card', width: 0.45 }, { title: 'List', width: 0.25 }, { title: 'Age', width: 0.1, align: 'right' }, { title: 'Labels', width: 0.2 }],
+            content.agedCards.map(c => [c.name, c.list, formatAge(c.ageMs), c.labels])
+        );
+    }
+
+    // Page numbers
+    const pageCount = doc.getNumberOfPages();
+    for (let page = 1; page <= pageCount; page++) {
+        doc.setPage(page);
+        doc.setFontSize(8);
+        doc.text(`Page ${page} of ${pageCount}`, pageWidth - PAGE_MARGIN, pageHeight - PAGE_MARGIN / 2, { align: 'right' });
+    }
+
+    doc.save(`${filename}.pdf`);
+    return true;
+};
@@ -0,0 +1,99 @@
+// Card age: how long a card has been waiting, bucketed against a section's SLA limits.
+//
+// Sections (layout blocks) opt in with:
+//   showCardAge  show the oldest card and the age breakdown on the section's tiles
+//   ageBasis     'created' (decoded from the card id), 'lastActivity' (Trello's dateLastActivity) or
+//                'enteredList' (when the card entered its list, see utils/listEntryTimes.js)
+//   ageBuckets   ascending limits in hours, e.g. [24, 72, 168] -> < 1d, 1-3d, 3-7d, > 7d
+
+export const AGE_BASES = {
+    CREATED: 'created',
+    LAST_ACTIVITY: 'lastActivity',
+    ENTERED_LIST: 'enteredList'
+};
+
+export const AGE_BASIS_LABELS = {
+    [AGE_BASES.CREATED]: 'Card creation',
+    [AGE_BASES.LAST_ACTIVITY]: 'Last activity',
+    [AGE_BASES.ENTERED_LIST]: 'Entered its list'
+};
+
+export const DEFAULT_AGE_BUCKETS = [24, 72, 168];
+
+// Green to red, stretched over however many buckets the section uses
+const BUCKET_COLORS = ['#2e7d32', '#9e9d24', '#f9a825', '#ef6c00', '#c62828'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Trello ids start with the creation time in seconds (hex)
+export const getCardCreationDate = (cardOrId) => {
+    const id = typeof cardOrId === 'string' ? cardOrId : cardOrId.id;
+    return new Date(1000 * parseInt(id.substring(0, 8), 16));
+};
+
+// Reference date of a card for a basis. `enteredListAt` is only set on cards that went through
+// withListEntryTimes; without it (or without the activity date) the creation date is used.
+export const getCardDate = (card, basis = AGE_BASES.CREATED) => {
+    if (basis === AGE_BASES.LAST_ACTIVITY && card.dateLastActivity) return new Date(card.dateLastActivity);
+    if (basis === AGE_BASES.ENTERED_LIST && card.enteredListAt) return new Date(card.enteredListAt);
+    return getCardCreationDate(card);
+};
+
+export const getCardAgeMs = (card, basis = AGE_BASES.CREATED, now = Date.now()) =>
+    Math.max(0, now - getCardDate(card, basis).getTime());
+
+export const getAgeBucketIndex = (ageMs, buckets = DEFAULT_AGE_BUCKETS) => {
+    const index = buckets.findIndex(limit => ageMs < limit * HOUR_MS);
+    return index === -1 ? buckets.length : index;
+};
+
+export const getAgeBucketColor = (index, bucketCount) => {
+    if (bucketCount <= 1) return BUCKET_COLORS[0];
+    const position = Math.round((index / (bucketCount - 1)) * (BUCKET_COLORS.length - 1));
+    return BUCKET_COLORS[position];
+};
+
+// "45m", "5h", "3d"
+export const formatAge = (ms) => {
+    const hours = ms / HOUR_MS;
+    if (hours < 1) return `${Math.floor(ms / 60000)}m`;
+    if (hours < 48) return `${Math.floor(hours)}h`;
+    return `${Math.floor(hours / 24)}d`;
+};
+
+const formatLimit = (hours) => hours % 24 === 0 ? `${hours / 24}d` : `${hours}h`;
+
+// Labels for each bucket: ['< 1d', '1d-3d', '3d-7d', '> 7d']
+export const getAgeBucketLabels = (buckets = DEFAULT_AGE_BUCKETS) => [
+    `< ${formatLimit(buckets[0])}`,
+    ...buckets.slice(1).map((limit, i) => `${formatLimit(buckets[i])}-${formatLimit(limit)}`),
+    `> ${formatLimit(buckets[buckets.length - 1])}`
+];
+
+// "1d, 3d, 36h" -> [24, 36, 72]; returns null when a value can't be read
+export const parseAgeBuckets = (text) => {
+    const parts = text.split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+    const hours = parts.map(part => {
+        const match = part.match(/^(\d+(?:\.\d+)?)\s*([hd]?)$/);
+        if (!match) return null;
+        return Number(match[1]) * (match[2] === 'd' ? 24 : 1);
+    });
+    if (hours.length === 0 || hours.some(h => h === null || h <= 0)) return null;
+    return Array.from(new Set(hours)).sort((a, b) => a - b);
+};
+
+export const formatAgeBuckets = (buckets = DEFAULT_AGE_BUCKETS) => buckets.map(formatLimit).join(', ');
+
+/**
+ * Age summary for a tile: { oldestMs, bucketCounts } where bucketCounts[i] is the number of cards in bucket i.
+ */
+export const summarizeCardAges = (cards, { basis, buckets = DEFAULT_AGE_BUCKETS, now = Date.now() } = {}) => {
+    const bucketCounts = new Array(buckets.length + 1).fill(0);
+    let oldestMs = null;
+    cards.forEach(card => {
+        const age = getCardAgeMs(card, basis, now);
+        bucketCounts[getAgeBucketIndex(age, buckets)]++;
+        if (oldestMs === null || age > oldestMs) oldestMs = age;
+    });
+    return { oldestMs, bucketCounts };
+};
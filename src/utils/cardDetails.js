@@ -0,0 +1,84 @@
+import { Marked } from 'marked';
+
+// Helpers for the card details drawer (components/common/CardDetailDrawer.jsx): due date status,
+// checklist progress, avatars and the Markdown of descriptions and comments.
+//
+// Card text comes from anyone on the board, so raw HTML in the Markdown is shown as text and links
+// only keep http(s) and mailto targets.
+
+export const DUE_STATUSES = {
+    COMPLETE: 'complete',
+    OVERDUE: 'overdue',
+    DUE_SOON: 'dueSoon',
+    UPCOMING: 'upcoming'
+};
+
+export const DUE_STATUS_LABELS = {
+    [DUE_STATUSES.COMPLETE]: 'Complete',
+    [DUE_STATUSES.OVERDUE]: 'Overdue',
+    [DUE_STATUSES.DUE_SOON]: 'Due soon',
+    [DUE_STATUSES.UPCOMING]: 'Upcoming'
+};
+
+// Trello's own due date badge colors
+export const DUE_STATUS_COLORS = {
+    [DUE_STATUSES.COMPLETE]: '#61bd4f',
+    [DUE_STATUSES.OVERDUE]: '#eb5a46',
+    [DUE_STATUSES.DUE_SOON]: '#f2d600',
+    [DUE_STATUSES.UPCOMING]: '#b3bac5'
+};
+
+const DUE_SOON_MS = 24 * 60 * 60 * 1000;
+
+// Status of the card's due date, or null without one
+export const getDueStatus = (card, now = Date.now()) => {
+    if (!card.due) return null;
+    if (card.dueComplete) return DUE_STATUSES.COMPLETE;
+    const remaining = new Date(card.due).getTime() - now;
+    if (remaining < 0) return DUE_STATUSES.OVERDUE;
+    return remaining < DUE_SOON_MS ? DUE_STATUSES.DUE_SOON : DUE_STATUSES.UPCOMING;
+};
+
+export const getChecklistProgress = (checklist) => {
+    const items = checklist.checkItems || [];
+    const done = items.filter(item => item.state === 'complete').length;
+    return { done, total: items.length, percent: items.length > 0 ? Math.round((done / items.length) * 100) : 0 };
+};
+
+export const sortByPos = (items) => [...(items || [])].sort((a, b) => a.pos - b.pos);
+
+// Trello avatar URLs are a folder of sizes
+export const getAvatarUrl = (member, size = 50) => member && member.avatarUrl ? `${member.avatarUrl}/${size}.png` : null;
+
+export const formatFileSize = (bytes) => {
+    if (!bytes) return '';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// --- Markdown ---
+
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const cardMarkdown = new Marked({
+    gfm: true,
+    breaks: true,
+    renderer: {
+        html: ({ text }) => escapeHtml(text)
+    },
+    walkTokens: (token) => {
+        if ((token.type === 'link' || token.type === 'image') && !SAFE_URL.test(token.href)) token.href = '#';
+    }
+});
+
+// HTML of a card description or comment; links open in a new tab
+export const renderCardMarkdown = (text) => text
+    ? cardMarkdown.parse(text).replace(/<a href=/g, '<a target="_blank" rel="noopener noreferrer" href=')
+    : '';
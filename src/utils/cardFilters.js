@@ -0,0 +1,72 @@
+import { isInTimeRange } from './timeFilters';
+import { getCardDate, AGE_BASES } from './cardAge';
+
+// The cards a dashboard tile counts, shared by the tile counts and the card list of a tile so both
+// always agree. Every card left out gets the first reason that excluded it.
+//
+// Filters:
+//   ignoreFirstCard       the section uses the list's first card as its title
+//   ignoreTemplateCards, ignoreCompletedCards, ignoreNoDescCards   board display settings
+//   timeRange             { start, end } of the time filter, null for all time (see utils/dateRange)
+//   timeFilterBasis       card date the time filter applies to (AGE_BASES)
+//   selectedLabelIds      Set of label ids, null for all labels (an empty Set shows nothing)
+//   labelLogic            'AND' or 'OR'
+//   labelAliases          Map of linked boards' label ids -> the label shown in the filter (see utils/multiBoard)
+
+export const EXCLUSION_REASONS = {
+    FIRST_CARD: 'firstCard',
+    TEMPLATE: 'template',
+    COMPLETED: 'completed',
+    NO_DESCRIPTION: 'noDescription',
+    TIME: 'time',
+    LABELS: 'labels'
+};
+
+export const EXCLUSION_REASON_LABELS = {
+    [EXCLUSION_REASONS.FIRST_CARD]: 'Section title card',
+    [EXCLUSION_REASONS.TEMPLATE]: 'Template card',
+    [EXCLUSION_REASONS.COMPLETED]: 'Completed',
+    [EXCLUSION_REASONS.NO_DESCRIPTION]: 'No description',
+    [EXCLUSION_REASONS.TIME]: 'Outside the time filter',
+    [EXCLUSION_REASONS.LABELS]: 'Doesn\'t match the label filter'
+};
+
+const matchesLabels = (card, { selectedLabelIds, labelLogic, labelAliases }) => {
+    if (selectedLabelIds === null || selectedLabelIds === undefined) return true; // All
+    if (selectedLabelIds.size === 0) return false; // "Select None"
+    if (!card.labels || card.labels.length === 0) return false;
+
+    // Same-named labels of linked boards count as the label shown in the filter
+    const cardLabelIds = new Set(card.labels.map(l => (labelAliases && labelAliases.get(l.id)) || l.id));
+    const selected = [...selectedLabelIds];
+    return labelLogic === 'AND' ? selected.every(id => cardLabelIds.has(id)) : selected.some(id => cardLabelIds.has(id));
+};
+
+// Why a (non title) card isn't counted, or null when it is
+export const getCardExclusion = (card, filters) => {
+    if (filters.ignoreTemplateCards && card.isTemplate) return EXCLUSION_REASONS.TEMPLATE;
+    if (filters.ignoreCompletedCards && card.dueComplete) return EXCLUSION_REASONS.COMPLETED;
+    if (filters.ignoreNoDescCards && (!card.desc || !card.desc.trim())) return EXCLUSION_REASONS.NO_DESCRIPTION;
+    if (filters.timeRange && !isInTimeRange(getCardDate(card, filters.timeFilterBasis || AGE_BASES.CREATED), filters.timeRange)) {
+        return EXCLUSION_REASONS.TIME;
+    }
+    if (!matchesLabels(card, filters)) return EXCLUSION_REASONS.LABELS;
+    return null;
+};
+
+/**
+ * Splits a list's cards as its tile counts them.
+ * Returns { titleCard, included, excluded: [{ card, reason }] }, cards in Trello order.
+ */
+export const filterTileCards = (listCards, filters) => {
+    const sorted = [...listCards].sort((a, b) => a.pos - b.pos);
+    const titleCard = filters.ignoreFirstCard && sorted.length > 0 ? sorted[0] : null;
+    const included = [];
+    const excluded = titleCard ? [{ card: titleCard, reason: EXCLUSION_REASONS.FIRST_CARD }] : [];
+    (titleCard ? sorted.slice(1) : sorted).forEach(card => {
+        const reason = getCardExclusion(card, filters);
+        if (reason) excluded.push({ card, reason });
+        else included.push(card);
+    });
+    return { titleCard, included, excluded };
+};
@@ -0,0 +1,82 @@
+import { getCardAgeMs, getCardDate, AGE_BASES } from './cardAge';
+
+// Search, sort and grouping of the cards in a tile's card list (CardDetailsModal).
+
+export const CARD_SORTS = {
+    POSITION: 'trello',
+    OLDEST: 'oldest',
+    NEWEST: 'newest',
+    DUE: 'due',
+    LAST_ACTIVITY: 'activity',
+    LABEL: 'label'
+};
+
+export const CARD_SORT_LABELS = {
+    [CARD_SORTS.POSITION]: 'Trello order',
+    [CARD_SORTS.OLDEST]: 'Oldest first',
+    [CARD_SORTS.NEWEST]: 'Newest first',
+    [CARD_SORTS.DUE]: 'Due date',
+    [CARD_SORTS.LAST_ACTIVITY]: 'Last activity',
+    [CARD_SORTS.LABEL]: 'Label'
+};
+
+export const NO_LABEL = 'No Label';
+
+const getLabelName = (label) => label.name || label.color || NO_LABEL;
+
+// Every word of the query in the name, description or a label
+export const searchCards = (cards, query) => {
+    const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return cards;
+    return cards.filter(card => {
+        const text = [card.name, card.desc, ...(card.labels || []).map(getLabelName)].join('\n').toLowerCase();
+        return words.every(word => text.includes(word));
+    });
+};
+
+const compareText = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' });
+const firstLabel = (card) => card.labels && card.labels.length > 0 ? getLabelName(card.labels[0]) : null;
+
+// Cards without the sorted value (no due date, no label) go last; ties keep the Trello order
+export const sortCards = (cards, sort, { ageBasis = AGE_BASES.CREATED, now = Date.now() } = {}) => {
+    const byPos = [...cards].sort((a, b) => a.pos - b.pos);
+    const last = (value, compare) => (a, b) => {
+        const va = value(a);
+        const vb = value(b);
+        if (va === null || vb === null) return (va === null) - (vb === null);
+        return compare(va, vb);
+    };
+    switch (sort) {
+        case CARD_SORTS.OLDEST:
+            return byPos.sort((a, b) => getCardAgeMs(b, ageBasis, now) - getCardAgeMs(a, ageBasis, now));
+        case CARD_SORTS.NEWEST:
+            return byPos.sort((a, b) => getCardAgeMs(a, ageBasis, now) - getCardAgeMs(b, ageBasis, now));
+        case CARD_SORTS.DUE:
+            return byPos.sort(last(c => c.due ? new Date(c.due).getTime() : null, (a, b) => a - b));
+        case CARD_SORTS.LAST_ACTIVITY:
+            return byPos.sort((a, b) => getCardDate(b, AGE_BASES.LAST_ACTIVITY) - getCardDate(a, AGE_BASES.LAST_ACTIVITY));
+        case CARD_SORTS.LABEL:
+            return byPos.sort(last(firstLabel, compareText));
+        default:
+            return byPos;
+    }
+};
+
+/**
+ * Groups (already sorted) cards by label: [{ label, cards }], alphabetical, "No Label" last.
+ * A card with several labels is listed under each of them.
+ */
+export const groupCardsByLabel = (cards) => {
+    const groups = new Map();
+    const add = (name, card) => {
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(card);
+    };
+    cards.forEach(card => {
+        if (!card.labels || card.labels.length === 0) add(NO_LABEL, card);
+        else new Set(card.labels.map(getLabelName)).forEach(name => add(name, card));
+    });
+    return [...groups.entries()]
+        .sort(([a], [b]) => (a === NO_LABEL) - (b === NO_LABEL) || compareText(a, b))
+        .map(([label, groupCards]) => ({ label, cards: groupCards }));
+};
@@ -0,0 +1,66 @@
+// Card search across the dashboard's boards (the Ctrl+K palette, components/common/CardSearchPalette.jsx),
+// run on the card data the dashboard already has: nothing is fetched while typing.
+//
+// Every word of the query must appear in the card name, description, a label or the list name.
+// Matches in the name rank first, then labels and list, then the description.
+
+export const SEARCH_RESULTS_LIMIT = 50;
+
+// URL parameter of the map view to open on a card (/map?card=<id>)
+export const MAP_CARD_PARAM = 'card';
+
+// Coordinates of a card: Trello's field ('lat,lng' or an object), else the map's geocoding cache
+export const getCardCoordinates = (card, geocodingCache = {}) => {
+    const value = card.coordinates;
+    let coords = null;
+    if (typeof value === 'string' && value.includes(',')) {
+        const [lat, lng] = value.split(',').map(parseFloat);
+        coords = { lat, lng };
+    } else if (value && typeof value === 'object') {
+        const lat = value.lat || value.latitude;
+        const lng = value.lng || value.long || value.longitude;
+        if (lat && lng) coords = { lat: parseFloat(lat), lng: parseFloat(lng) };
+    }
+    if (coords && !isNaN(coords.lat) && !isNaN(coords.lng)) return coords;
+    return geocodingCache[card.id] || null;
+};
+
+const scoreWord = (word, fields) => {
+    if (fields.name.startsWith(word)) return 4;
+    if (fields.name.includes(word)) return 3;
+    if (fields.labels.includes(word) || fields.list.includes(word)) return 2;
+    if (fields.desc.includes(word)) return 1;
+    return 0;
+};
+
+/**
+ * Cards matching the query, best first: [{ card, list, section }].
+ * - `lists`: Map of listId -> list; `sectionsLayout`: the dashboard sections (a card's tile is its list)
+ */
+export const searchBoardCards = (cards, query, { lists, sectionsLayout, limit = SEARCH_RESULTS_LIMIT }) => {
+    const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return [];
+
+    const results = [];
+    cards.forEach(card => {
+        const list = lists.get(card.idList) || null;
+        const fields = {
+            name: (card.name || '').toLowerCase(),
+            desc: (card.desc || '').toLowerCase(),
+            labels: (card.labels || []).map(l => l.name || l.color || '').join('\n').toLowerCase(),
+            list: list ? list.name.toLowerCase() : ''
+        };
+        let score = 0;
+        for (const word of words) {
+            const wordScore = scoreWord(word, fields);
+            if (wordScore === 0) return;
+            score += wordScore;
+        }
+        results.push({ card, list, section: sectionsLayout.find(s => s.listIds.includes(card.idList)) || null, score });
+    });
+
+    return results
+        .sort((a, b) => b.score - a.score || a.card.name.localeCompare(b.card.name))
+        .slice(0, limit)
+        .map(({ card, list, section }) => ({ card, list, section }));
+};
@@ -0,0 +1,294 @@
+// Schema for exported / shared board configurations.
+//
+// Every export carries `version`. Imports are migrated step by step up to CONFIG_VERSION,
+// then validated field by field: invalid fields are reported (with their path) and left out,
+// so one bad value doesn't silently break or block the rest of the configuration.
+//
+// Version history:
+//   0  Legacy single-file app (index_old.html): { theme, clockSetting, refreshInterval (JSON string), layout, colors, boardName }
+//   1  React exports: { boardId, boardName, blocks, listColors, markerRules, refreshValue, refreshUnit, ... }
+//      (optional statistics, sourceLists and sourceLabels were added later without a version bump)
+// When changing the shape, bump CONFIG_VERSION and add a migration from the previous version.
+
+export const CONFIG_VERSION = 1;
+
+const REFRESH_UNITS = ['seconds', 'minutes', 'hours'];
+const MARKER_OVERRIDE_TYPES = ['color', 'icon'];
+const TIME_BASES = ['created', 'lastActivity', 'enteredList'];
+
+// --- Field validators: return an array of { field, message } (empty when valid) ---
+
+const error = (field, message) => [{ field, message }];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const string = (field, value) => typeof value === 'string' ? [] : error(field, 'must be a string');
+
+const boolean = (field, value) => typeof value === 'boolean' ? [] : error(field, 'must be true or false');
+
+const positiveNumber = (field, value) => {
+    const number = typeof value === 'string' ? Number(value) : value;
+    return typeof number === 'number' && Number.isFinite(number) && number > 0 ? [] : error(field, 'must be a positive number');
+};
+
+const nonNegativeNumber = (field, value) => {
+    const number = typeof value === 'string' ? Number(value) : value;
+    return typeof number === 'number' && Number.isFinite(number) && number >= 0 ? [] : error(field, 'must be zero or more');
+};
+
+const oneOf = (options) => (field, value) => options.includes(value) ? [] : error(field, `must be one of: ${options.join(', ')}`);
+
+const stringArray = (field, value) => {
+    if (!Array.isArray(value)) return error(field, 'must be an array');
+    return value.flatMap((item, i) => string(`${field}[${i}]`, item));
+};
+
+const nullable = (validator) => (field, value) => value === null ? [] : validator(field, value);
+
+const objectOf = (valueValidator) => (field, value) => {
+    if (!isPlainObject(value)) return error(field, 'must be an object');
+    return Object.entries(value).flatMap(([key, item]) => valueValidator(`${field}.${key}`, item));
+};
+
+const shape = (fields, required = []) => (field, value) => {
+    if (!isPlainObject(value)) return error(field, 'must be an object');
+    const missing = required.filter(key => value[key] === undefined).flatMap(key => error(`${field}.${key}`, 'is required'));
+    const invalid = Object.entries(fields).flatMap(([key, validator]) =>
+        value[key] === undefined ? [] : validator(`${field}.${key}`, value[key])
+    );
+    return [...missing, ...invalid];
+};
+
+const arrayOf = (itemValidator) => (field, value) => {
+    if (!Array.isArray(value)) return error(field, 'must be an array');
+    return value.flatMap((item, i) => itemValidator(`${field}[${i}]`, item));
+};
+
+const block = shape({
+    id: string,
+    name: string,
+    listIds: stringArray,
+    ignoreFirstCard: boolean,
+    displayFirstCardDescription: boolean,
+    isCollapsed: boolean,
+    includeOnMap: boolean,
+    mapIcon: string,
+    showCardAge: boolean,
+    ageBasis: oneOf(TIME_BASES),
+    ageBuckets: arrayOf(positiveNumber)
+}, ['id', 'name', 'listIds']);
+
+const markerRule = shape({
+    id: string,
+    labelId: string,
+    overrideType: oneOf(MARKER_OVERRIDE_TYPES),
+    overrideValue: string
+}, ['labelId', 'overrideType', 'overrideValue']);
+
+const refreshInterval = shape({
+    value: positiveNumber,
+    unit: oneOf(REFRESH_UNITS)
+}, ['value', 'unit']);
+
+const tileThreshold = shape({
+    warning: nullable(nonNegativeNumber),
+    critical: nullable(nonNegativeNumber),
+    direction: oneOf(['above', 'below']),
+    flash: boolean
+});
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+const timeOfDay = (field, value) => typeof value === 'string' && TIME_OF_DAY.test(value) ? [] : error(field, 'must be a time (HH:MM)');
+
+const notifications = shape({
+    enabled: boolean,
+    quietHours: shape({
+        enabled: boolean,
+        start: timeOfDay,
+        end: timeOfDay
+    })
+});
+
+const businessHours = shape({
+    enabled: boolean,
+    days: arrayOf(oneOf([0, 1, 2, 3, 4, 5, 6])),
+    start: timeOfDay,
+    end: timeOfDay
+});
+
+const tileNotification = shape({
+    onIncrease: boolean,
+    onNewCard: boolean,
+    onThreshold: boolean,
+    sound: boolean
+});
+
+const tileTrend = shape({
+    sparkline: boolean,
+    hours: positiveNumber,
+    delta: oneOf(['none', 'startOfDay', 'startOfShift', 'lastRefresh'])
+});
+
+const filterPreset = shape({
+    id: string,
+    name: string,
+    labelIds: nullable(stringArray),
+    labelLogic: oneOf(['AND', 'OR']),
+    range: shape({
+        filter: string,
+        custom: nullable(shape({ start: string, end: string, expression: string }))
+    }, ['filter'])
+}, ['id', 'name']);
+
+const linkedBoard = shape({
+    id: string,
+    name: string
+}, ['id']);
+
+const statistics = shape({
+    enabled: boolean,
+    showArchived: boolean,
+    includedLists: stringArray,
+    flowStartLists: stringArray,
+    flowDoneLists: stringArray
+});
+
+const sourceLabel = shape({
+    name: string,
+    color: nullable(string)
+}, ['name']);
+
+const FIELDS = {
+    version: positiveNumber,
+    boardId: string,
+    boardName: string,
+    blocks: arrayOf(block),
+    linkedBoards: arrayOf(linkedBoard),
+    listColors: objectOf(string),
+    tileThresholds: objectOf(tileThreshold),
+    notifications,
+    tileNotifications: objectOf(tileNotification),
+    tileTrends: objectOf(tileTrend),
+    shiftStarts: arrayOf(timeOfDay),
+    markerRules: arrayOf(markerRule),
+    refreshValue: positiveNumber,
+    refreshUnit: oneOf(REFRESH_UNITS),
+    showClock: boolean,
+    ignoreTemplateCards: boolean,
+    ignoreCompletedCards: boolean,
+    ignoreNoDescCards: boolean,
+    timeFilterBasis: oneOf(TIME_BASES),
+    timeZone: string,
+    weekStart: oneOf([0, 1]),
+    businessHours,
+    filterPresets: arrayOf(filterPreset),
+    defaultFilterPreset: nullable(string),
+    enableMapView: boolean,
+    mapGeocodeMode: string,
+    updateTrelloCoordinates: boolean,
+    enableCardMove: boolean,
+    enableStreetView: boolean,
+    enableTaskView: boolean,
+    taskViewWorkspaces: nullable(stringArray),
+    taskViewRefreshInterval: refreshInterval,
+    statistics,
+    // Names of the exporting board's lists and labels, used to apply the layout to another board
+    sourceLists: objectOf(string),
+    sourceLabels: objectOf(sourceLabel)
+};
+
+// --- Migrations: MIGRATIONS[n] turns a version n config into version n + 1 ---
+
+const MIGRATIONS = {
+    0: (legacy) => {
+        const notes = [];
+        const config = { boardName: legacy.boardName };
+
+        if (legacy.layout !== undefined) config.blocks = legacy.layout;
+        if (legacy.colors !== undefined && legacy.colors !== null) config.listColors = legacy.colors;
+        // Stored as the raw localStorage string: 'true', 'false' or null (never set = shown)
+        if (legacy.clockSetting !== undefined) config.showClock = legacy.clockSetting !== 'false';
+
+        if (legacy.refreshInterval) {
+            try {
+                const { value, unit } = typeof legacy.refreshInterval === 'string' ? JSON.parse(legacy.refreshInterval) : legacy.refreshInterval;
+                config.refreshValue = value;
+                config.refreshUnit = unit;
+            } catch (e) {
+                notes.push('refreshInterval could not be read and was skipped');
+            }
+        }
+        if (legacy.theme) notes.push('theme is no longer part of board configurations and was skipped');
+
+        return { config, notes };
+    }
+};
+
+const LEGACY_FIELDS = ['layout', 'colors', 'clockSetting', 'refreshInterval', 'theme'];
+
+export const detectConfigVersion = (config) => {
+    if (config.version !== undefined) return Number(config.version);
+    if (LEGACY_FIELDS.some(key => config[key] !== undefined)) return 0;
+    return 1;
+};
+
+/**
+ * Migrates and validates an imported configuration.
+ * Returns { config, errors, notes, fromVersion }:
+ * - config: current-version config containing only the valid, known fields
+ * - errors: [{ field, message }] for every field that was rejected
+ * - notes: informational messages (fields dropped by migrations, unknown fields)
+ * A config that can't be used at all (not an object, newer version) has config = null.
+ */
+export const parseConfig = (raw) => {
+    if (!isPlainObject(raw)) {
+        return { config: null, errors: error('(root)', 'configuration must be a JSON object'), notes: [], fromVersion: null };
+    }
+
+    const fromVersion = detectConfigVersion(raw);
+    if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+        return { config: null, errors: error('version', 'must be a whole number'), notes: [], fromVersion };
+    }
+    if (fromVersion > CONFIG_VERSION) {
+        return {
+            config: null,
+            errors: error('version', `this configuration was exported by a newer Trellops (version ${fromVersion}, this app reads up to ${CONFIG_VERSION})`),
+            notes: [],
+            fromVersion
+        };
+    }
+
+    const notes = [];
+    let migrated = { ...raw };
+    for (let version = fromVersion; version < CONFIG_VERSION; version++) {
+        const result = MIGRATIONS[version](migrated);
+        migrated = result.config;
+        notes.push(...result.notes);
+    }
+
+    const config = { version: CONFIG_VERSION };
+    const errors = [];
+    Object.entries(migrated).forEach(([key, value]) => {
+        if (key === 'version' || value === undefined) return;
+        const validator = FIELDS[key];
+        if (!validator) {
+            notes.push(`${key} is not a known setting and was ignored`);
+            return;
+        }
+        const fieldErrors = validator(key, value);
+        if (fieldErrors.length > 0) errors.push(...fieldErrors);
+        else config[key] = value;
+    });
+
+    if (config.refreshValue !== undefined) config.refreshValue = Number(config.refreshValue);
+
+    return { config, errors, notes, fromVersion };
+};
+
+// Adds the version stamp to a config about to be exported or shared
+export const versionConfig = (config) => ({ version: CONFIG_VERSION, ...config });
+
+export const formatConfigIssues = ({ errors, notes }) => [
+    ...errors.map(e => `- ${e.field}: ${e.message}`),
+    ...notes.map(n => `- ${n}`)
+].join('\n');
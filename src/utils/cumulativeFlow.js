@@ -0,0 +1,66 @@
+import { getCardCreationDate } from './cardAge';
+
+// Cumulative flow: how many cards sat in each list over time, replayed from the card moves in the board
+// history (see utils/listEntryTimes.js).
+//
+// Before its first recorded move a card's list is unknown, so it isn't counted; cards without any recorded
+// move are counted in their current list from their creation. The diagram is therefore only complete from
+// the start of the recorded history.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_SAMPLES = 120;
+
+// Hourly samples up to 3 days, daily after that, spread out so there are at most MAX_SAMPLES
+export const getFlowSampleTimes = (start, end) => {
+    const span = end - start;
+    if (span <= 0) return [end];
+    const unit = span <= 3 * DAY_MS ? HOUR_MS : DAY_MS;
+    const step = unit * Math.max(1, Math.ceil(span / unit / MAX_SAMPLES));
+    const times = [];
+    for (let t = start; t < end; t += step) times.push(t);
+    times.push(end);
+    return times;
+};
+
+// List the card was in at `timestamp` (null if off the board or unknown)
+const getListAt = (timeline, timestamp) => {
+    let listId = null;
+    for (const [moveListId, t] of timeline) {
+        if (t > timestamp) break;
+        listId = moveListId;
+    }
+    return listId;
+};
+
+/**
+ * Card counts per list at each sample time: { [listId]: [count, ...] }, in the order of `times`.
+ * `cards` are the cards currently on the board, used for those without recorded moves.
+ */
+export const buildCumulativeFlow = (cards, moves, listIds, times) => {
+    const series = Object.fromEntries(listIds.map(listId => [listId, times.map(() => 0)]));
+    const timelines = new Map(Object.entries(moves || {}));
+    cards.forEach(card => {
+        if (!timelines.has(card.id)) timelines.set(card.id, [[card.idList, getCardCreationDate(card).getTime()]]);
+    });
+
+    timelines.forEach(timeline => {
+        times.forEach((t, i) => {
+            const listId = getListAt(timeline, t);
+            if (listId && series[listId]) series[listId][i]++;
+        });
+    });
+    return series;
+};
+
+// Earliest recorded move, for an unbounded time filter
+export const getFlowHistoryStart = (cards, moves) => {
+    let earliest = Date.now();
+    Object.values(moves || {}).forEach(timeline => {
+        if (timeline.length > 0 && timeline[0][1] < earliest) earliest = timeline[0][1];
+    });
+    cards.forEach(card => {
+        if (!moves || !moves[card.id]) earliest = Math.min(earliest, getCardCreationDate(card).getTime());
+    });
+    return earliest;
+};
@@ -0,0 +1,58 @@
+// Tabular downloads (CSV and XLSX) for report data.
+//
+// An export is a list of tables ({ name, rows }, rows being arrays of cells) and a header: [label, value]
+// pairs describing what was exported (board, active filters, date), written at the top of the file so a
+// report can be traced back to the view it came from.
+// CSV puts every table in one file, one after the other under its name; XLSX gives each table its own sheet.
+// XLSX relies on SheetJS, loaded from the CDN in index.html (window.XLSX).
+//
+// Card names and label names come from Trello users: text a spreadsheet would run as a formula
+// (=, +, -, @, tab, CR first) is prefixed with ' in CSV and written as a plain string cell in XLSX.
+
+export const EXPORT_FORMATS = {
+    CSV: 'csv',
+    XLSX: 'xlsx'
+};
+
+const isFormulaLike = (value) => typeof value === 'string' && /^[=+\-@\t\r]/.test(value);
+
+const escapeCsvCell = (value) => {
+    const text = value === null || value === undefined ? '' : isFormulaLike(value) ? `'${value}` : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toXlsxCell = (value) => isFormulaLike(value) ? { t: 's', v: value } : value;
+
+export const toCsv = (rows) => rows.map(row => row.map(escapeCsvCell).join(',')).join('\r\n');
+
+export const downloadBlob = (blob, filename) => {
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = URL.createObjectURL(blob);
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+};
+
+// Sheet names: at most 31 characters, none of : \ / ? * [ ]
+const toSheetName = (name) => name.replace(/[:\\/?*[\]]/g, ' ').slice(0, 31);
+
+export const exportTables = (tables, { format, filename, header = [] }) => {
+    if (format === EXPORT_FORMATS.XLSX) {
+        if (!window.XLSX) { alert("Export library not loaded."); return; }
+        const workbook = window.XLSX.utils.book_new();
+        tables.forEach(table => {
+            const rows = [...header, [], ...table.rows].map(row => row.map(toXlsxCell));
+            const sheet = window.XLSX.utils.aoa_to_sheet(rows);
+            window.XLSX.utils.book_append_sheet(workbook, sheet, toSheetName(table.name));
+        });
+        window.XLSX.writeFile(workbook, `${filename}.xlsx`);
+        return;
+    }
+
+    const rows = [...header];
+    tables.forEach(table => {
+        rows.push([], [table.name], ...table.rows);
+    });
+    // The BOM makes Excel read the file as UTF-8
+    downloadBlob(new Blob(['\uFEFF' + toCsv(rows)], { type: 'text/csv;charset=utf-8' }), `${filename}.csv`);
+};
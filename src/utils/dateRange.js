@@ -0,0 +1,142 @@
+import {
+    TIME_FILTERS, getTimeContext, getDayStart, getZonedTime, getBusinessDaysStart, getBusinessHoursStart,
+    getTimeFilterRange, getTimeFilterLabel
+} from './timeFilters';
+import { toDateInputValue } from './helpers';
+
+// Custom date ranges for the time filters, next to the TIME_FILTERS presets.
+//
+// A time filter selection is { filter, custom }: `filter` is a TIME_FILTERS key or CUSTOM_RANGE, and
+// `custom` (for CUSTOM_RANGE) is either
+//   { start: 'YYYY-MM-DD', end: 'YYYY-MM-DD' | '' }   absolute dates, both days included, no end = until now
+//   { expression: 'last 10 business days' }           re-evaluated whenever the filter is applied
+//
+// Relative expressions: "today", "yesterday", or "last N <unit>" with hours, business hours, days, business days
+// (today included), weeks or months. "past" works as well as "last".
+//
+// Dates follow the board's time zone and business hours: functions take the evaluation options of
+// utils/timeFilters (`now`, `timeZone`, `businessHours`...).
+//
+// In URLs a selection is the `range` parameter: the preset key, `start..end` or the expression.
+
+export const CUSTOM_RANGE = 'custom';
+export const RANGE_URL_PARAM = 'range';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const RELATIVE_PATTERN = /^(?:(?:last|past)\s+)?(\d+)\s+(business\s+|working\s+)?(hour|day|week|month)s?$/;
+
+// Midnight of a 'YYYY-MM-DD' day in the time zone, `dayOffset` days later
+const parseDateInput = (value, ctx, dayOffset = 0) => {
+    const match = (value || '').match(DATE_PATTERN);
+    if (!match) return null;
+    const time = getZonedTime(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + dayOffset, 0, 0, ctx.timeZone);
+    return isNaN(time) ? null : new Date(time);
+};
+
+// { keyword } or { amount, business, unit } of a relative expression, or null when it isn't understood
+const readExpression = (expression) => {
+    const text = (expression || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    if (text === 'today' || text === 'yesterday') return { keyword: text };
+    const match = text.match(RELATIVE_PATTERN);
+    if (!match) return null;
+    const amount = parseInt(match[1], 10);
+    const business = !!match[2];
+    const unit = match[3];
+    if (amount < 1 || (business && unit !== 'day' && unit !== 'hour')) return null;
+    return { amount, business, unit };
+};
+
+/**
+ * Dates of a relative expression: { start, end }, or null when it isn't understood.
+ */
+export const parseRelativeRange = (expression, options) => {
+    const parsed = readExpression(expression);
+    if (!parsed) return null;
+    const ctx = getTimeContext(options);
+    const end = new Date(ctx.now);
+    if (parsed.keyword === 'today') return { start: new Date(getDayStart(ctx)), end };
+    if (parsed.keyword === 'yesterday') return { start: new Date(getDayStart(ctx, -1)), end: new Date(getDayStart(ctx) - 1) };
+
+    const { amount, business, unit } = parsed;
+    if (business) {
+        const start = unit === 'day' ? getBusinessDaysStart(amount, ctx) : getBusinessHoursStart(amount, ctx);
+        return start === null ? null : { start: new Date(start), end };
+    }
+    if (unit === 'month') {
+        const { year, month, day, hours, minutes } = ctx.today;
+        return { start: new Date(getZonedTime(year, month - amount, day, hours, minutes, ctx.timeZone)), end };
+    }
+    const unitMs = { hour: HOUR_MS, day: DAY_MS, week: 7 * DAY_MS }[unit];
+    return { start: new Date(ctx.now - amount * unitMs), end };
+};
+
+export const isValidCustomRange = (custom) => {
+    if (!custom) return false;
+    if (custom.expression !== undefined) return readExpression(custom.expression) !== null;
+    const ctx = getTimeContext();
+    const start = parseDateInput(custom.start, ctx);
+    const end = custom.end ? parseDateInput(custom.end, ctx) : null;
+    return !!start && (!custom.end || (!!end && end >= start));
+};
+
+/**
+ * Dates of a custom range: { start, end }, or null when it is incomplete or invalid (no filtering).
+ */
+export const getCustomRangeDates = (custom, options) => {
+    if (!isValidCustomRange(custom)) return null;
+    if (custom.expression !== undefined) return parseRelativeRange(custom.expression, options);
+    const ctx = getTimeContext(options);
+    return {
+        start: parseDateInput(custom.start, ctx),
+        end: custom.end ? new Date(parseDateInput(custom.end, ctx, 1) - 1) : new Date(ctx.now)
+    };
+};
+
+// Day as written, not converted to the browser's time zone
+const formatDateInput = (value) => new Date(`${value}T00:00`).toLocaleDateString();
+
+export const formatCustomRange = (custom) => {
+    if (!isValidCustomRange(custom)) return 'Custom Range';
+    if (custom.expression !== undefined) {
+        const text = custom.expression.trim();
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+    return `${formatDateInput(custom.start)} - ${custom.end ? formatDateInput(custom.end) : 'Now'}`;
+};
+
+// --- Selections ---
+
+// { start, end } of a selection, evaluated now; null means no limit
+export const getSelectionRange = (selection, options) => selection.filter === CUSTOM_RANGE
+    ? getCustomRangeDates(selection.custom, options)
+    : getTimeFilterRange(selection.filter, options);
+
+export const getSelectionLabel = (selection, options) => selection.filter === CUSTOM_RANGE
+    ? formatCustomRange(selection.custom)
+    : getTimeFilterLabel(selection.filter, options);
+
+export const encodeRangeParam = (selection) => {
+    if (selection.filter !== CUSTOM_RANGE) return selection.filter;
+    if (!isValidCustomRange(selection.custom)) return null;
+    if (selection.custom.expression !== undefined) return selection.custom.expression.trim();
+    return `${selection.custom.start}..${selection.custom.end || ''}`;
+};
+
+/**
+ * Selection from a `range` URL parameter, or null when it isn't a valid range.
+ */
+export const decodeRangeParam = (value) => {
+    if (!value) return null;
+    if (TIME_FILTERS[value]) return { filter: value, custom: null };
+    const dates = value.match(/^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})?$/);
+    const custom = dates ? { start: dates[1], end: dates[2] || '' } : { expression: value };
+    return isValidCustomRange(custom) ? { filter: CUSTOM_RANGE, custom } : null;
+};
+
+// Default absolute range when switching to custom dates: the last 7 days
+export const getDefaultCustomRange = (now = Date.now()) => ({
+    start: toDateInputValue(new Date(now - 6 * DAY_MS)),
+    end: toDateInputValue(new Date(now))
+});
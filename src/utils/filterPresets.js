@@ -0,0 +1,93 @@
+import { TIME_FILTERS } from './timeFilters';
+import { CUSTOM_RANGE, RANGE_URL_PARAM, isValidCustomRange } from './dateRange';
+
+// Named dashboard filter presets per board ("Priority only, last 24h"), stored with the board's display
+// settings and exported with the configuration:
+//   filterPresets        [{ id, name, labelIds, labelLogic, range }]
+//                          labelIds: label ids, or null for all labels; labelLogic: 'AND' | 'OR'
+//                          range: a time filter selection ({ filter, custom }, see utils/dateRange)
+//   defaultFilterPreset  id of the preset applied when the dashboard opens, or null
+//
+// The label filter is also written to the URL (`labels`, `labelLogic`) next to the time filter's `range`,
+// so a filtered dashboard can be bookmarked or shared even where the preset isn't saved.
+
+export const LABELS_URL_PARAM = 'labels';
+export const LABEL_LOGIC_URL_PARAM = 'labelLogic';
+
+const NO_LABELS = 'none';
+const LABEL_LOGICS = ['AND', 'OR'];
+
+const createPresetId = () => `preset_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Preset from the dashboard's current filters.
+ * - `selectedLabelIds`: Set of label ids or null (all); `timeRange`: the time filter selection
+ */
+export const createFilterPreset = (name, { selectedLabelIds, labelLogic, timeRange }) => ({
+    id: createPresetId(),
+    name: name.trim(),
+    labelIds: selectedLabelIds === null ? null : [...selectedLabelIds],
+    labelLogic,
+    range: { filter: timeRange.filter, custom: timeRange.filter === CUSTOM_RANGE ? timeRange.custom : null }
+});
+
+// Dashboard filter state of a preset; a time range that can't be used anymore falls back to all time
+export const getPresetFilters = (preset) => {
+    const range = preset.range || {};
+    const validRange = range.filter === CUSTOM_RANGE ? isValidCustomRange(range.custom) : !!TIME_FILTERS[range.filter];
+    return {
+        selectedLabelIds: preset.labelIds ? new Set(preset.labelIds) : null,
+        labelLogic: LABEL_LOGICS.includes(preset.labelLogic) ? preset.labelLogic : 'OR',
+        timeRange: validRange ? { filter: range.filter, custom: range.filter === CUSTOM_RANGE ? range.custom : null } : { filter: 'all', custom: null }
+    };
+};
+
+const sameLabels = (a, b) => {
+    if (a === null || b === null) return a === b;
+    return a.size === b.size && [...a].every(id => b.has(id));
+};
+
+// Whether the dashboard's filters are the preset's (the label logic only matters with selected labels)
+export const isPresetActive = (preset, { selectedLabelIds, labelLogic, timeRange }) => {
+    const filters = getPresetFilters(preset);
+    const labelsMatch = sameLabels(filters.selectedLabelIds, selectedLabelIds)
+        && (selectedLabelIds === null || selectedLabelIds.size < 2 || filters.labelLogic === labelLogic);
+    return labelsMatch && JSON.stringify(filters.timeRange) === JSON.stringify({
+        filter: timeRange.filter,
+        custom: timeRange.filter === CUSTOM_RANGE ? timeRange.custom : null
+    });
+};
+
+// --- URL ---
+
+// Whether the URL sets any dashboard filter (labels or time range)
+export const hasFilterUrlParams = (search = window.location.search) => {
+    const params = new URLSearchParams(search);
+    return params.has(LABELS_URL_PARAM) || params.has(RANGE_URL_PARAM);
+};
+
+/**
+ * Label filter from the URL: { selectedLabelIds, labelLogic }, or null when the URL has none.
+ */
+export const readLabelFilterParams = (search = window.location.search) => {
+    const params = new URLSearchParams(search);
+    const labels = params.get(LABELS_URL_PARAM);
+    if (labels === null) return null;
+    const logic = (params.get(LABEL_LOGIC_URL_PARAM) || '').toUpperCase();
+    return {
+        selectedLabelIds: labels === NO_LABELS ? new Set() : new Set(labels.split(',').filter(Boolean)),
+        labelLogic: LABEL_LOGICS.includes(logic) ? logic : 'OR'
+    };
+};
+
+// Writes the label filter to `url` (a URL object); all labels leaves the URL without it
+export const writeLabelFilterParams = (url, { selectedLabelIds, labelLogic }) => {
+    if (selectedLabelIds === null) {
+        url.searchParams.delete(LABELS_URL_PARAM);
+        url.searchParams.delete(LABEL_LOGIC_URL_PARAM);
+        return;
+    }
+    url.searchParams.set(LABELS_URL_PARAM, selectedLabelIds.size === 0 ? NO_LABELS : [...selectedLabelIds].join(','));
+    if (labelLogic === 'AND') url.searchParams.set(LABEL_LOGIC_URL_PARAM, 'and');
+    else url.searchParams.delete(LABEL_LOGIC_URL_PARAM);
+};
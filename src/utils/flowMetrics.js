@@ -0,0 +1,86 @@
+import { getCardCreationDate } from './cardAge';
+
+// Cycle time and lead time, from the card moves in the board history (see utils/listEntryTimes.js).
+//
+// The statistics settings name the lists where work starts (`flowStartLists`) and where it is done
+// (`flowDoneLists`). For a card currently in a done list:
+//   done      when it entered the done lists for the last time (moves between done lists don't count)
+//   cycle     done - first time it entered a start list before that
+//   lead      done - card creation
+// Cards that never went through a start list only get a lead time. Cards whose move into the done lists
+// is older than the recorded history are left out.
+
+export const FLOW_METRICS = {
+    CYCLE: 'cycle',
+    LEAD: 'lead'
+};
+
+export const FLOW_PERCENTILES = [50, 85, 95];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_HISTOGRAM_BINS = 30;
+
+/**
+ * One item per finished card: { card, doneAt, startedAt, cycleMs, leadMs } (dates in ms, cycle may be null).
+ */
+export const computeFlowTimes = (cards, moves, { startListIds = [], doneListIds = [] } = {}) => {
+    const startSet = new Set(startListIds);
+    const doneSet = new Set(doneListIds);
+    if (doneSet.size === 0) return [];
+
+    const items = [];
+    cards.forEach(card => {
+        if (!doneSet.has(card.idList)) return;
+        // Archiving a finished card doesn't change when it was done
+        const cardMoves = ((moves && moves[card.id]) || []).filter(([listId]) => listId !== null);
+
+        // Start of the last run of moves inside the done lists
+        let doneIndex = -1;
+        for (let i = cardMoves.length - 1; i >= 0 && doneSet.has(cardMoves[i][0]); i--) doneIndex = i;
+        if (doneIndex === -1) return;
+        const doneAt = cardMoves[doneIndex][1];
+
+        const startMove = cardMoves.slice(0, doneIndex).find(([listId]) => startSet.has(listId));
+        const startedAt = startMove ? startMove[1] : null;
+        const createdAt = getCardCreationDate(card).getTime();
+
+        items.push({
+            card,
+            doneAt,
+            startedAt,
+            cycleMs: startedAt !== null ? doneAt - startedAt : null,
+            leadMs: Math.max(0, doneAt - createdAt)
+        });
+    });
+    return items.sort((a, b) => a.doneAt - b.doneAt);
+};
+
+export const getFlowDuration = (item, metric) => metric === FLOW_METRICS.CYCLE ? item.cycleMs : item.leadMs;
+
+// Nearest-rank percentile: p% of the values are at or below the result
+export const getPercentile = (values, p) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.max(1, Math.ceil((p / 100) * sorted.length));
+    return sorted[rank - 1];
+};
+
+export const msToDays = (ms) => Math.round((ms / DAY_MS) * 10) / 10;
+
+/**
+ * Histogram of durations in whole-day bins, widened so there are at most MAX_HISTOGRAM_BINS:
+ * [{ fromDays, toDays, count }], `toDays` exclusive.
+ */
+export const buildDurationHistogram = (durationsMs) => {
+    if (durationsMs.length === 0) return [];
+    const maxDays = Math.floor(Math.max(...durationsMs) / DAY_MS);
+    const binDays = Math.max(1, Math.ceil((maxDays + 1) / MAX_HISTOGRAM_BINS));
+    const bins = [];
+    for (let from = 0; from <= maxDays; from += binDays) {
+        bins.push({ fromDays: from, toDays: from + binDays, count: 0 });
+    }
+    durationsMs.forEach(ms => {
+        bins[Math.floor(ms / DAY_MS / binDays)].count++;
+    });
+    return bins;
+};
@@ -0,0 +1,94 @@
+// Throughput forecasting with Monte Carlo simulation.
+//
+// The past daily completion counts are the only model: each simulated day draws one of those days at random.
+// Repeating that a few thousand times gives a distribution of outcomes, read at a confidence level:
+//   "how many by date X"  at 85%: in 85% of the runs at least that many items were done
+//   "when will N be done" at 85%: in 85% of the runs they were done by that day
+
+export const CONFIDENCE_LEVELS = [50, 85, 95];
+export const DEFAULT_SAMPLE_DAYS = 30;
+
+const DEFAULT_RUNS = 2000;
+const MAX_FORECAST_DAYS = 730; // Runs still short of the target after two years count as "not done"
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d.getTime();
+};
+
+// Midnight `days` calendar days from the date's day: days around a DST change aren't DAY_MS long
+const addCalendarDays = (date, days) => {
+    const d = new Date(startOfDay(date));
+    d.setDate(d.getDate() + days);
+    return d.getTime();
+};
+
+// Whole days between two midnights (rounded, as a DST day is an hour short or long)
+const daysBetween = (fromDay, toDay) => Math.round((toDay - fromDay) / DAY_MS);
+
+/**
+ * Completions per day over the `sampleDays` full days before today (today is still in progress),
+ * days without completions included as 0.
+ */
+export const getDailyThroughput = (completedDates, sampleDays = DEFAULT_SAMPLE_DAYS, now = Date.now()) => {
+    const end = startOfDay(now);
+    const start = addCalendarDays(end, -sampleDays);
+    const counts = new Array(sampleDays).fill(0);
+    completedDates.forEach(date => {
+        const t = new Date(date).getTime();
+        if (t < start || t >= end) return;
+        counts[daysBetween(start, startOfDay(t))]++;
+    });
+    return counts;
+};
+
+// Simulated days start tomorrow: the days after today up to and including `date`
+export const getDaysUntil = (date, now = Date.now()) => Math.max(0, daysBetween(startOfDay(now), startOfDay(date)));
+
+const pick = (values, random) => values[Math.floor(random() * values.length)];
+
+// Value at `p` percent of the sorted outcomes (nearest rank)
+const percentileOf = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+
+/**
+ * Items done within `days` days: { [confidence]: items }. Higher confidence means fewer items.
+ */
+export const forecastItemsByDays = (throughput, days, { runs = DEFAULT_RUNS, random = Math.random } = {}) => {
+    if (throughput.length === 0) return null;
+    const totals = [];
+    for (let run = 0; run < runs; run++) {
+        let total = 0;
+        for (let day = 0; day < days; day++) total += pick(throughput, random);
+        totals.push(total);
+    }
+    totals.sort((a, b) => a - b);
+    return Object.fromEntries(CONFIDENCE_LEVELS.map(c => [c, percentileOf(totals, 100 - c)]));
+};
+
+/**
+ * Days needed to finish `items`: { [confidence]: days }, null for a level the simulation couldn't reach
+ * within MAX_FORECAST_DAYS. Returns null when there is no throughput to sample from.
+ */
+export const forecastDaysForItems = (throughput, items, { runs = DEFAULT_RUNS, random = Math.random } = {}) => {
+    if (throughput.length === 0 || throughput.every(count => count === 0)) return null;
+    const durations = [];
+    for (let run = 0; run < runs; run++) {
+        let done = 0;
+        let day = 0;
+        while (done < items && day < MAX_FORECAST_DAYS) {
+            done += pick(throughput, random);
+            day++;
+        }
+        durations.push(done >= items ? day : Infinity);
+    }
+    durations.sort((a, b) => a - b);
+    return Object.fromEntries(CONFIDENCE_LEVELS.map(c => {
+        const days = percentileOf(durations, c);
+        return [c, Number.isFinite(days) ? days : null];
+    }));
+};
+
+// Date reached after `days` simulated days
+export const addDays = (days, now = Date.now()) => new Date(addCalendarDays(now, days));
@@ -1,27 +1,13 @@
-import { TIME_FILTERS, STORAGE_KEYS } from './constants';
+import { getTimeFilterRange } from './timeFilters';
+import { getAppValue, setAppValue } from './storage';
 
-export const calculateDateFilter = (filterKey) => {
-    const filter = TIME_FILTERS[filterKey];
-    if (!filter) return ''; // Safely handle invalid keys
-
-    let params = '';
-
-    if (filter.type === 'relative' && filterKey !== 'all') {
-        const now = new Date();
-        now.setMinutes(now.getMinutes() - filter.minutes);
-        params = `&since=${now.toISOString()}`;
-    } else if (filter.type === 'calendar') {
-        const { start, end } = filter;
-
-        if (start) {
-            params += `&since=${start.toISOString()}`;
-        }
-        if (end && filterKey !== 'this_month' && filterKey !== 'this_week') {
-            params += `&before=${end.toISOString()}`;
-        }
-    }
-
-    return params;
+// Trello `since` / `before` query parameters of a time filter preset
+export const calculateDateFilter = (filterKey, options = {}) => {
+    const now = options.now !== undefined ? options.now : Date.now();
+    const range = getTimeFilterRange(filterKey, { ...options, now });
+    if (!range) return '';
+    // Periods running until now don't need an end
+    return `&since=${range.start.toISOString()}` + (range.end.getTime() < now ? `&before=${range.end.toISOString()}` : '');
 };
 
 export const convertIntervalToSeconds = (value, unit) => {
@@ -37,10 +23,8 @@ export const convertIntervalToMilliseconds = (value, unit) => {
 };
 
 export const getOrGenerateRandomColor = (listId, existingColors) => {
-    // Note: In React, we shouldn't read directly from localStorage if we can avoid it, 
-    // but this function was designed to be state-agnostic in the original.
-    // We can keep it or refactor to use a hook later.
-    let cache = JSON.parse(localStorage.getItem(STORAGE_KEYS.RANDOM_COLORS_CACHE)) || {};
+    // Generated colours are remembered per list so tiles keep the same colour across refreshes
+    let cache = { ...getAppValue('randomColors', {}) };
     let color = cache[listId];
 
     const DEFAULT_FALLBACK_COLOR = '#dcdcdc';
@@ -58,7 +42,7 @@ export const getOrGenerateRandomColor = (listId, existingColors) => {
         } while (existingColors instanceof Set && existingColors.has(color));
 
         cache[listId] = color;
-        localStorage.setItem(STORAGE_KEYS.RANDOM_COLORS_CACHE, JSON.stringify(cache));
+        setAppValue('randomColors', cache);
     }
     return color || DEFAULT_FALLBACK_COLOR;
 };
@@ -77,3 +61,9 @@ export const formatDynamicCountdown = (seconds) => {
     if (seconds < 3600) return `${Math.ceil(seconds / 60)}m`;
     return `${Math.round(seconds / 3600)}h`;
 };
+
+// Local "YYYY-MM-DD" for <input type="date"> (toISOString would give the UTC day)
+export const toDateInputValue = (date) => {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
@@ -0,0 +1,94 @@
+// Minimal promise wrapper around IndexedDB.
+// Every call degrades to a no-op (reads resolve undefined, writes resolve false) when IndexedDB is
+// unavailable (private mode, old browsers) or the transaction fails, so callers can treat it as a
+// best-effort store and check the result where a lost write matters.
+
+const DB_NAME = 'trellops';
+const DB_VERSION = 2;
+export const IDB_STORES = {
+    BOARD_CACHE: 'boardCache',
+    STORAGE: 'storage'
+};
+
+let dbPromise = null;
+
+const openDb = () => {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+        try {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.values(IDB_STORES).forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('[IDB] Failed to open database', request.error);
+                resolve(null);
+            };
+        } catch (e) {
+            console.warn('[IDB] IndexedDB not available', e);
+            resolve(null);
+        }
+    });
+    return dbPromise;
+};
+
+// Resolves { ok, result }: ok is false when the database is unavailable or the transaction failed
+const runRequest = async (storeName, mode, makeRequest) => {
+    const db = await openDb();
+    if (!db) return { ok: false };
+    return new Promise((resolve) => {
+        const fail = (error) => {
+            console.warn(`[IDB] ${mode} on ${storeName} failed`, error);
+            resolve({ ok: false });
+        };
+        try {
+            const tx = db.transaction(storeName, mode);
+            const request = makeRequest(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve({ ok: true, result: request.result });
+            tx.onerror = () => fail(tx.error);
+            // A full disk aborts the transaction on commit without an error event
+            tx.onabort = () => fail(tx.error);
+        } catch (e) {
+            fail(e);
+        }
+    });
+};
+
+export const idbGet = async (storeName, key) => (await runRequest(storeName, 'readonly', store => store.get(key))).result;
+
+// Writes resolve to whether they were stored
+export const idbSet = async (storeName, key, value) => (await runRequest(storeName, 'readwrite', store => store.put(value, key))).ok;
+
+export const idbDelete = async (storeName, key) => (await runRequest(storeName, 'readwrite', store => store.delete(key))).ok;
+
+export const idbClear = async (storeName) => (await runRequest(storeName, 'readwrite', store => store.clear())).ok;
+
+// All [key, value] pairs of a store, read in one transaction
+export const idbEntries = async (storeName) => {
+    const db = await openDb();
+    if (!db) return undefined;
+    return new Promise((resolve) => {
+        try {
+            const tx = db.transaction(storeName, 'readonly');
+            const store = tx.objectStore(storeName);
+            const keysRequest = store.getAllKeys();
+            const valuesRequest = store.getAll();
+            tx.oncomplete = () => resolve(keysRequest.result.map((key, i) => [key, valuesRequest.result[i]]));
+            tx.onerror = () => {
+                console.warn(`[IDB] Reading ${storeName} failed`, tx.error);
+                resolve(undefined);
+            };
+        } catch (e) {
+            console.warn(`[IDB] Reading ${storeName} failed`, e);
+            resolve(undefined);
+        }
+    });
+};
@@ -0,0 +1,126 @@
+// Moves a configuration exported from one board onto another board.
+// Trello ids are unique per board, so lists and labels are matched by name (case and spacing
+// insensitive). Exports carry `sourceLists` / `sourceLabels` (see describeBoard) for this; the caller
+// may also pass the source board's description when an older export doesn't have them.
+
+export const normalizeName = (name) => (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Labels without a name are identified by their colour
+const labelKey = (label) => label.name ? `name:${normalizeName(label.name)}` : `color:${label.color || ''}`;
+
+// Ids the config refers to, in a stable order (first reference wins)
+const collectListIds = (config) => {
+    const ids = [
+        ...(config.blocks || []).flatMap(b => b.listIds),
+        ...Object.keys(config.listColors || {}),
+        ...Object.keys(config.tileThresholds || {}),
+        ...Object.keys(config.tileNotifications || {}),
+        ...Object.keys(config.tileTrends || {}),
+        ...((config.statistics && config.statistics.includedLists) || []),
+        ...((config.statistics && config.statistics.flowStartLists) || []),
+        ...((config.statistics && config.statistics.flowDoneLists) || [])
+    ];
+    return Array.from(new Set(ids));
+};
+
+const collectLabelIds = (config) => Array.from(new Set([
+    ...(config.markerRules || []).map(r => r.labelId),
+    ...(config.filterPresets || []).flatMap(p => p.labelIds || [])
+]));
+
+// Pairs each source item with the first unused target sharing its key; duplicates match in order
+const matchByKey = (sourceItems, targetItems, keyOf) => {
+    const used = new Set();
+    return sourceItems.map(source => {
+        const key = source.known ? keyOf(source) : null;
+        const target = key ? targetItems.find(t => !used.has(t.id) && keyOf(t) === key) : null;
+        if (target) used.add(target.id);
+        return { ...source, targetId: target ? target.id : null };
+    });
+};
+
+/**
+ * Proposes a mapping for every list and label the config uses.
+ * Returns { lists: [{ sourceId, name, known, targetId }], labels: [{ sourceId, name, color, known, targetId }] }
+ * where `known` is false when the source name isn't available, and targetId is null when nothing matched.
+ */
+export const buildRemapPlan = (config, targetLists, targetLabels, sourceBoard = {}) => {
+    const sourceLists = { ...(sourceBoard.sourceLists || {}), ...(config.sourceLists || {}) };
+    const sourceLabels = { ...(sourceBoard.sourceLabels || {}), ...(config.sourceLabels || {}) };
+
+    const lists = collectListIds(config).map(id => ({
+        sourceId: id,
+        name: sourceLists[id] || null,
+        known: sourceLists[id] !== undefined
+    }));
+    const labels = collectLabelIds(config).map(id => ({
+        sourceId: id,
+        name: sourceLabels[id] ? sourceLabels[id].name : null,
+        color: sourceLabels[id] ? sourceLabels[id].color : null,
+        known: sourceLabels[id] !== undefined
+    }));
+
+    return {
+        lists: matchByKey(lists, targetLists, l => normalizeName(l.name)),
+        labels: matchByKey(labels, targetLabels, labelKey)
+    };
+};
+
+// Id -> name maps for the current board, added to exports so they can be remapped later
+export const describeBoard = (lists, labels) => ({
+    sourceLists: Object.fromEntries(lists.map(l => [l.id, l.name])),
+    sourceLabels: Object.fromEntries(labels.map(l => [l.id, { name: l.name || '', color: l.color || null }]))
+});
+
+/**
+ * Rewrites every list and label id in the config using the given maps (sourceId -> targetId).
+ * Anything mapped to null (skipped in the review) is dropped, and so are linked boards: they belong
+ * to the source dashboard, their lists are matched like any other.
+ */
+export const remapConfig = (config, listMap, labelMap) => {
+    const mapList = (id) => listMap[id] || null;
+    const remapped = { ...config };
+
+    if (config.blocks) {
+        remapped.blocks = config.blocks.map(block => ({
+            ...block,
+            listIds: Array.from(new Set(block.listIds.map(mapList).filter(Boolean)))
+        }));
+    }
+    const rekey = (byListId) => Object.fromEntries(
+        Object.entries(byListId)
+            .filter(([id]) => mapList(id))
+            .map(([id, value]) => [mapList(id), value])
+    );
+    if (config.listColors) remapped.listColors = rekey(config.listColors);
+    if (config.tileThresholds) remapped.tileThresholds = rekey(config.tileThresholds);
+    if (config.tileNotifications) remapped.tileNotifications = rekey(config.tileNotifications);
+    if (config.tileTrends) remapped.tileTrends = rekey(config.tileTrends);
+    if (config.markerRules) {
+        remapped.markerRules = config.markerRules
+            .filter(rule => labelMap[rule.labelId])
+            .map(rule => ({ ...rule, labelId: labelMap[rule.labelId] }));
+    }
+    if (config.filterPresets) {
+        // A preset missing any of its labels would filter differently (or show nothing): it is dropped
+        remapped.filterPresets = config.filterPresets
+            .filter(preset => !preset.labelIds || preset.labelIds.every(id => labelMap[id]))
+            .map(preset => preset.labelIds ? { ...preset, labelIds: preset.labelIds.map(id => labelMap[id]) } : preset);
+        if (config.defaultFilterPreset && !remapped.filterPresets.some(preset => preset.id === config.defaultFilterPreset)) {
+            remapped.defaultFilterPreset = null;
+        }
+    }
+    if (config.statistics) {
+        const remapLists = (listIds) => listIds && Array.from(new Set(listIds.map(mapList).filter(Boolean)));
+        remapped.statistics = {
+            ...config.statistics,
+            includedLists: remapLists(config.statistics.includedLists),
+            flowStartLists: remapLists(config.statistics.flowStartLists),
+            flowDoneLists: remapLists(config.statistics.flowDoneLists)
+        };
+    }
+    delete remapped.linkedBoards;
+    delete remapped.sourceLists;
+    delete remapped.sourceLabels;
+    return remapped;
+};
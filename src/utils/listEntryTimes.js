@@ -0,0 +1,70 @@
+import { getCardCreationDate } from './cardAge';
+
+// When each card entered each list, rebuilt from the board's Trello actions (see api/listHistory.js).
+//
+// Moves are stored per card in date order: { [cardId]: [[listId, timestamp], ...] }. A card gets a move when
+// it is created, copied, converted from a checklist item or moved onto the board, each time its list
+// changes (`updateCard:idList`) and when it is restored from the archive. Leaving the board (archived,
+// deleted or moved to another board) is a move with a null listId.
+//
+// Trello only returns a limited number of actions, so cards older than the recorded history have no move
+// into their current list: their entry time falls back to their creation date.
+
+// Action types that put a card in a list or take it off the board
+export const LIST_ENTRY_ACTIONS = [
+    'createCard', 'copyCard', 'convertToCardFromCheckItem', 'moveCardToBoard', 'updateCard:idList',
+    'updateCard:closed', 'deleteCard', 'moveCardFromBoard'
+];
+
+const LEAVING_ACTIONS = ['deleteCard', 'moveCardFromBoard'];
+
+// List the action put the card in: an id, null when it left the board, undefined when not a move
+const getEnteredListId = (action) => {
+    const data = action.data || {};
+    if (LEAVING_ACTIONS.includes(action.type)) return null;
+    if (action.type === 'updateCard') {
+        if (data.listAfter) return data.listAfter.id;
+        if (data.old && data.old.closed !== undefined) return data.card.closed ? null : (data.list ? data.list.id : undefined);
+        return undefined;
+    }
+    return data.list ? data.list.id : undefined;
+};
+
+/**
+ * Adds actions (any order, as returned by Trello) to the moves. Actions already recorded are skipped,
+ * so overlapping pages can be applied safely.
+ */
+export const applyMoveActions = (moves, actions) => {
+    const next = { ...moves };
+    const sorted = actions
+        .filter(a => a.data && a.data.card && getEnteredListId(a) !== undefined)
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    sorted.forEach(action => {
+        const cardId = action.data.card.id;
+        const move = [getEnteredListId(action), new Date(action.date).getTime()];
+        const cardMoves = next[cardId] || [];
+        if (cardMoves.some(([listId, t]) => listId === move[0] && t === move[1])) return;
+        next[cardId] = [...cardMoves, move].sort((a, b) => a[1] - b[1]);
+    });
+    return next;
+};
+
+// Date the card entered its current list (a trip to the archive and back doesn't count as leaving it)
+export const getListEntryDate = (card, moves) => {
+    const cardMoves = (moves && moves[card.id]) || [];
+    let entered = null;
+    for (let i = cardMoves.length - 1; i >= 0; i--) {
+        const [listId, timestamp] = cardMoves[i];
+        if (listId === card.idList) entered = timestamp;
+        else if (listId !== null) break;
+    }
+    return entered !== null ? new Date(entered) : getCardCreationDate(card);
+};
+
+// Cards with `enteredListAt` (ISO date) set, for code that reads dates off the card (filters, card age)
+export const withListEntryTimes = (cards, moves) => cards.map(card => ({
+    ...card,
+    enteredListAt: getListEntryDate(card, moves).toISOString()
+}));
+
@@ -0,0 +1,43 @@
+// Helpers for dashboards that combine lists from several boards.
+// The first board is the one the dashboard is configured on; the others are its linked boards
+// (stored in the board's display settings). Trello list and card ids are unique across boards,
+// so tiles only need the lists and cards of every board merged together.
+
+const labelKey = (label) => `${(label.name || '').trim().toLowerCase()}|${label.color || ''}`;
+
+/**
+ * Merges board data ({ lists, labels, cards } per board id) into one view.
+ * Lists are tagged with their boardId. Labels with the same name and colour on different boards are
+ * shown once: `labelAliases` maps every label id to the id of the label kept in `labels`.
+ */
+export const mergeBoardData = (boardIds, dataByBoard) => {
+    const lists = new Map();
+    const labels = [];
+    const labelAliases = new Map();
+    const canonicalByKey = new Map();
+    const cards = [];
+
+    boardIds.forEach(boardId => {
+        const data = dataByBoard.get(boardId);
+        if (!data) return;
+
+        data.lists.forEach(list => lists.set(list.id, { ...list, boardId }));
+        data.labels.forEach(label => {
+            const key = labelKey(label);
+            if (!canonicalByKey.has(key)) {
+                canonicalByKey.set(key, label.id);
+                labels.push(label);
+            }
+            labelAliases.set(label.id, canonicalByKey.get(key));
+        });
+        cards.push(...data.cards);
+    });
+
+    return { lists, labels, labelAliases, cards };
+};
+
+// Linked boards of a dashboard, without the dashboard's own board or duplicates
+export const getDashboardBoardIds = (boardId, linkedBoards = []) => {
+    if (!boardId) return [];
+    return Array.from(new Set([boardId, ...linkedBoards.map(b => b.id)]));
+};
@@ -0,0 +1,133 @@
+import { getThresholdLevel, THRESHOLD_LEVELS } from './thresholds';
+
+// Tile alerts: desktop notifications and sound cues raised after each dashboard refresh.
+//
+// Board-wide settings live in the display settings as `notifications`:
+//   { enabled, quietHours: { enabled, start: 'HH:MM', end: 'HH:MM' } }
+// Per-tile rules as `tileNotifications`: { [listId]: { onIncrease, onNewCard, onThreshold, sound } }
+//
+// Each refresh is compared with the previous snapshot of the watched lists ({ [listId]: { count, cardIds, level } },
+// persisted per board), so a change is announced once, even across page reloads. A list seen for the first
+// time only records its baseline.
+
+const LEVEL_RANK = {
+    [THRESHOLD_LEVELS.OK]: 0,
+    [THRESHOLD_LEVELS.WARNING]: 1,
+    [THRESHOLD_LEVELS.CRITICAL]: 2
+};
+
+export const isNotificationSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+export const requestNotificationPermission = async () => {
+    if (!isNotificationSupported()) return 'unsupported';
+    if (Notification.permission !== 'default') return Notification.permission;
+    return Notification.requestPermission();
+};
+
+export const hasNotificationRule = (rule) => !!rule && (rule.onIncrease || rule.onNewCard || rule.onThreshold);
+
+const toMinutes = (time) => {
+    const [hours, minutes] = (time || '00:00').split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// Quiet hours may wrap past midnight (e.g. 22:00 - 07:00)
+export const isInQuietHours = (quietHours, now = new Date()) => {
+    if (!quietHours || !quietHours.enabled) return false;
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    const current = now.getHours() * 60 + now.getMinutes();
+    if (start === end) return false;
+    return start < end ? current >= start && current < end : current >= start || current < end;
+};
+
+/**
+ * Compares the previous snapshot with the current one and returns one alert per list:
+ * [{ listId, messages: [], sound, level }]. `current` is { [listId]: { count, cardIds, cardNames, level } }.
+ */
+export const detectTileAlerts = (previous, current, rules) => {
+    const alerts = [];
+    Object.entries(current).forEach(([listId, now]) => {
+        const rule = rules[listId];
+        const before = previous[listId];
+        if (!hasNotificationRule(rule) || !before) return;
+
+        const messages = [];
+        const knownIds = new Set(before.cardIds);
+        const newCards = now.cardIds.filter(id => !knownIds.has(id));
+
+        if (rule.onNewCard && newCards.length > 0) {
+            const names = newCards.slice(0, 3).map(id => now.cardNames[id]).filter(Boolean);
+            const more = newCards.length > names.length ? ` (+${newCards.length - names.length} more)` : '';
+            messages.push(`New: ${names.join(', ')}${more}`);
+        }
+        if (rule.onIncrease && now.count > before.count && !(rule.onNewCard && newCards.length > 0)) {
+            messages.push(`Count rose from ${before.count} to ${now.count}`);
+        }
+        if (rule.onThreshold && LEVEL_RANK[now.level] > LEVEL_RANK[before.level || THRESHOLD_LEVELS.OK]) {
+            messages.push(`${now.level === THRESHOLD_LEVELS.CRITICAL ? 'Critical' : 'Warning'} threshold reached (${now.count})`);
+        }
+
+        if (messages.length > 0) alerts.push({ listId, messages, sound: !!rule.sound, level: now.level });
+    });
+    return alerts;
+};
+
+/**
+ * Snapshot of the watched lists. `countableCardsByList` holds the cards each tile counts
+ * (display filters applied, instruction card skipped).
+ */
+export const buildListSnapshot = (countableCardsByList, listIds, thresholds) => {
+    const snapshot = {};
+    listIds.forEach(listId => {
+        const listCards = countableCardsByList.get(listId) || [];
+        snapshot[listId] = {
+            count: listCards.length,
+            cardIds: listCards.map(c => c.id),
+            cardNames: Object.fromEntries(listCards.map(c => [c.id, c.name])),
+            level: getThresholdLevel(listCards.length, thresholds[listId])
+        };
+    });
+    return snapshot;
+};
+
+// Card names are only needed to word alerts, they aren't kept between refreshes
+export const compactSnapshot = (snapshot) => Object.fromEntries(
+    Object.entries(snapshot).map(([listId, { count, cardIds, level }]) => [listId, { count, cardIds, level }])
+);
+
+let audioContext = null;
+
+// Short beep (two for critical), generated so no audio file has to be shipped
+export const playAlertSound = (level) => {
+    try {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+        if (!audioContext) audioContext = new AudioContextClass();
+        const beeps = level === THRESHOLD_LEVELS.CRITICAL ? 2 : 1;
+        for (let i = 0; i < beeps; i++) {
+            const start = audioContext.currentTime + i * 0.3;
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            oscillator.frequency.value = level === THRESHOLD_LEVELS.CRITICAL ? 880 : 660;
+            gain.gain.setValueAtTime(0.2, start);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + 0.25);
+            oscillator.connect(gain).connect(audioContext.destination);
+            oscillator.start(start);
+            oscillator.stop(start + 0.25);
+        }
+    } catch (e) {
+        console.warn('[Notifications] Could not play sound', e);
+    }
+};
+
+// `tag` makes the browser replace a previous notification for the same tile instead of stacking them
+export const showDesktopNotification = (title, body, tag) => {
+    if (!isNotificationSupported() || Notification.permission !== 'granted') return;
+    try {
+        const notification = new Notification(title, { body, tag });
+        notification.onclick = () => { window.focus(); notification.close(); };
+    } catch (e) {
+        console.warn('[Notifications] Could not show notification', e);
+    }
+};
@@ -1,4 +1,5 @@
 import { STORAGE_KEYS, DEFAULT_LAYOUT } from './constants';
+import { getUserRecord, updateUserRecord } from './storage';
 
 // --- User-Specific Storage Helpers ---
 export const getCurrentUser = () => {
@@ -15,19 +16,12 @@ export const setCurrentUser = (userId) => {
 
 export const getUserData = (userId, key) => {
     if (!userId) return null;
-    const allUserData = JSON.parse(localStorage.getItem(STORAGE_KEYS.USER_DATA)) || {};
-    const userData = allUserData[userId] || {};
-    return userData[key];
+    return getUserRecord(userId)[key];
 };
 
 export const setUserData = (userId, key, value) => {
     if (!userId) return;
-    const allUserData = JSON.parse(localStorage.getItem(STORAGE_KEYS.USER_DATA)) || {};
-    if (!allUserData[userId]) {
-        allUserData[userId] = {};
-    }
-    allUserData[userId][key] = value;
-    localStorage.setItem(STORAGE_KEYS.USER_DATA, JSON.stringify(allUserData));
+    updateUserRecord(userId, userData => ({ ...userData, [key]: value }));
 };
 
 // --- Persistent Storage Management ---
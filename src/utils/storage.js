@@ -0,0 +1,359 @@
+import { STORAGE_KEYS } from './constants';
+import { idbEntries, idbSet, idbDelete, IDB_STORES } from './idb';
+
+// Persistent app storage.
+// Records live in IndexedDB (no 5 MB localStorage quota) and are mirrored in memory, so components
+// keep reading settings synchronously during render. Writes update the mirror immediately and are
+// persisted in the background; IndexedDB runs them in order, so the last write always wins.
+//
+// Record keys:
+//   user:<userId>             token, settings, layouts, colors... (was one `trelloUserData` blob)
+//   board:<boardId>:<ns>      one record per board namespace (see BOARD_NAMESPACES)
+//   app:<name>                values shared by all users (e.g. random tile colours)
+//
+// Tiny values needed before storage is ready (current user, theme, pending share link)
+// intentionally stay in localStorage.
+//
+// Without IndexedDB (private mode, old browsers) records fall back to `trellops:<key>` localStorage entries.
+//
+// Every tab has its own mirror, so writes are announced to the other tabs, which update theirs: an
+// update there then starts from this tab's value instead of overwriting it with a stale copy.
+
+export const BOARD_NAMESPACES = {
+    DISPLAY: 'display',
+    MAP: 'map',
+    GEOCODING_CACHE: 'geocodingCache',
+    IGNORED_CARDS: 'ignoredCards',
+    TILE_BREACHES: 'tileBreaches',
+    NOTIFICATION_STATE: 'notificationState',
+    TILE_HISTORY: 'tileHistory',
+    REPORT_TEMPLATE: 'reportTemplate'
+};
+
+const BOARD_DEFAULTS = {
+    [BOARD_NAMESPACES.DISPLAY]: {
+        refreshInterval: { value: 1, unit: 'minutes' },
+        showClock: true,
+        ignoreTemplateCards: true,
+        ignoreCompletedCards: false,
+        ignoreNoDescCards: false,
+        timeFilterBasis: 'lastActivity', // Card date the dashboard time filter uses (see AGE_BASES in utils/cardAge)
+        timeFilters: {}, // view ('dashboard' | 'statistics') -> last time filter selection (see utils/dateRange)
+        timeZone: '', // Time zone of the calendar time filters ('' = the browser's, see utils/timeFilters)
+        weekStart: 1, // 1 = Monday, 0 = Sunday
+        businessHours: { enabled: false, days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' },
+        linkedBoards: [], // [{ id, name }] other boards whose lists can be shown on this board's dashboard
+        tileThresholds: {}, // listId -> { warning, critical, direction, flash } (see utils/thresholds)
+        notifications: { enabled: false, quietHours: { enabled: false, start: '22:00', end: '07:00' } },
+        tileNotifications: {}, // listId -> { onIncrease, onNewCard, onThreshold, sound } (see utils/notifications)
+        tileTrends: {}, // listId -> { sparkline, hours, delta } (see utils/tileHistory)
+        shiftStarts: [], // ['07:00', '19:00'] reference points for "this shift" deltas
+        filterPresets: [], // Named label / time filter combinations (see utils/filterPresets)
+        defaultFilterPreset: null, // Id of the preset the dashboard opens with
+        enableMapView: null, // Legacy per-board flag, superseded by user settings
+        legacyLayout: null // Layout saved before layouts were stored per user
+    },
+    [BOARD_NAMESPACES.MAP]: {
+        markerRules: [],
+        enableHomeLocation: false,
+        homeAddress: '',
+        homeCoordinates: null,
+        homeIcon: 'home',
+        updateTrelloCoordinates: false,
+        enableCardMove: false,
+        enableStreetView: false
+    },
+    [BOARD_NAMESPACES.GEOCODING_CACHE]: {}, // cardId -> { lat, lng, display_name }
+    [BOARD_NAMESPACES.IGNORED_CARDS]: [], // cardIds skipped by the map
+    [BOARD_NAMESPACES.TILE_BREACHES]: {}, // listId -> { level, since } for tiles currently over a threshold
+    [BOARD_NAMESPACES.NOTIFICATION_STATE]: {}, // listId -> { count, cardIds, level } at the last refresh, to announce changes once
+    [BOARD_NAMESPACES.TILE_HISTORY]: {}, // listId -> [[timestamp, count], ...] recorded at each refresh
+    [BOARD_NAMESPACES.REPORT_TEMPLATE]: { // PDF report settings (see utils/boardReport)
+        title: '',
+        period: 'last_week',
+        sections: { tiles: true, timeline: true, labels: true, agedCards: true },
+        agedCardCount: 10,
+        schedule: { enabled: false, weekday: 1, time: '08:00' },
+        lastRunAt: null
+    }
+};
+
+const LOCAL_STORAGE_PREFIX = 'trellops:';
+const MIGRATION_KEY = 'app:migratedFromLocalStorage';
+
+const memory = new Map();
+let backend = null; // 'idb' | 'localStorage'
+let initPromise = null;
+
+const userKey = (userId) => `user:${userId}`;
+const boardKey = (boardId, namespace) => `board:${boardId}:${namespace}`;
+const appKey = (name) => `app:${name}`;
+
+const pendingWrites = new Set();
+
+const CHANNEL_NAME = 'trellops:storage';
+let channel = null;
+
+// value undefined = deleted
+const announce = (key, value) => {
+    if (channel) channel.postMessage({ key, value });
+};
+
+const applyRemoteChange = (key, value) => {
+    if (value === undefined) memory.delete(key);
+    else memory.set(key, value);
+};
+
+const listenToOtherTabs = () => {
+    if (typeof BroadcastChannel !== 'undefined') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.onmessage = (e) => applyRemoteChange(e.data.key, e.data.value);
+    } else if (backend === 'localStorage' && typeof window !== 'undefined') {
+        // Storage events only fire in the other tabs, and only for the localStorage backend
+        window.addEventListener('storage', (e) => {
+            if (!e.key || !e.key.startsWith(LOCAL_STORAGE_PREFIX)) return;
+            try {
+                applyRemoteChange(e.key.substring(LOCAL_STORAGE_PREFIX.length), e.newValue === null ? undefined : JSON.parse(e.newValue));
+            } catch (err) {
+                console.warn(`[Storage] Skipped unreadable key ${e.key}`, err);
+            }
+        });
+    }
+};
+
+const track = (promise) => {
+    pendingWrites.add(promise);
+    promise.finally(() => pendingWrites.delete(promise));
+};
+
+// Resolves to whether the value was stored (false on a full quota or a failed transaction)
+const persist = (key, value) => {
+    if (backend === 'idb') {
+        const write = idbSet(IDB_STORES.STORAGE, key, value);
+        track(write);
+        return write;
+    }
+    if (backend === 'localStorage') {
+        try {
+            localStorage.setItem(LOCAL_STORAGE_PREFIX + key, JSON.stringify(value));
+            return Promise.resolve(true);
+        } catch (e) {
+            console.error(`[Storage] Failed to save ${key}`, e);
+        }
+    }
+    return Promise.resolve(false);
+};
+
+const unpersist = (key) => {
+    if (backend === 'idb') {
+        track(idbDelete(IDB_STORES.STORAGE, key));
+    } else if (backend === 'localStorage') {
+        localStorage.removeItem(LOCAL_STORAGE_PREFIX + key);
+    }
+};
+
+const readRecord = (key) => memory.get(key);
+
+const writeRecord = (key, value) => {
+    memory.set(key, value);
+    announce(key, value);
+    return persist(key, value);
+};
+
+const deleteRecord = (key) => {
+    memory.delete(key);
+    announce(key, undefined);
+    unpersist(key);
+};
+
+// --- One-time migration from the old localStorage layout ---
+
+const parseJson = (value) => JSON.parse(value);
+const parseTrue = (value) => value === 'true';
+const parseNotFalse = (value) => value !== 'false';
+const parseString = (value) => value;
+
+// Old per-board keys: `<prefix><boardId>`
+const LEGACY_BOARD_KEYS = [
+    { prefix: STORAGE_KEYS.REFRESH_INTERVAL, namespace: BOARD_NAMESPACES.DISPLAY, field: 'refreshInterval', parse: parseJson },
+    { prefix: STORAGE_KEYS.CLOCK_SETTING, namespace: BOARD_NAMESPACES.DISPLAY, field: 'showClock', parse: parseNotFalse },
+    { prefix: STORAGE_KEYS.IGNORE_TEMPLATE_CARDS, namespace: BOARD_NAMESPACES.DISPLAY, field: 'ignoreTemplateCards', parse: parseNotFalse },
+    { prefix: STORAGE_KEYS.IGNORE_COMPLETED_CARDS, namespace: BOARD_NAMESPACES.DISPLAY, field: 'ignoreCompletedCards', parse: parseTrue },
+    { prefix: STORAGE_KEYS.IGNORE_NO_DESC_CARDS, namespace: BOARD_NAMESPACES.DISPLAY, field: 'ignoreNoDescCards', parse: parseTrue },
+    { prefix: 'ENABLE_MAP_VIEW_', namespace: BOARD_NAMESPACES.DISPLAY, field: 'enableMapView', parse: parseTrue },
+    { prefix: 'TRELLO_DASHBOARD_LAYOUT_', namespace: BOARD_NAMESPACES.DISPLAY, field: 'legacyLayout', parse: parseJson },
+    { prefix: 'TRELLO_MARKER_RULES_', namespace: BOARD_NAMESPACES.MAP, field: 'markerRules', parse: parseJson },
+    { prefix: 'enableHomeLocation_', namespace: BOARD_NAMESPACES.MAP, field: 'enableHomeLocation', parse: parseTrue },
+    { prefix: 'homeAddress_', namespace: BOARD_NAMESPACES.MAP, field: 'homeAddress', parse: parseString },
+    { prefix: 'homeCoordinates_', namespace: BOARD_NAMESPACES.MAP, field: 'homeCoordinates', parse: parseJson },
+    { prefix: 'homeIcon_', namespace: BOARD_NAMESPACES.MAP, field: 'homeIcon', parse: parseString },
+    { prefix: 'updateTrelloCoordinates_', namespace: BOARD_NAMESPACES.MAP, field: 'updateTrelloCoordinates', parse: parseTrue },
+    { prefix: 'enableCardMove_', namespace: BOARD_NAMESPACES.MAP, field: 'enableCardMove', parse: parseTrue },
+    { prefix: 'enableStreetView_', namespace: BOARD_NAMESPACES.MAP, field: 'enableStreetView', parse: parseTrue },
+    { prefix: 'MAP_GEOCODING_CACHE_', namespace: BOARD_NAMESPACES.GEOCODING_CACHE, parse: parseJson },
+    { prefix: STORAGE_KEYS.IGNORE_CARDS, namespace: BOARD_NAMESPACES.IGNORED_CARDS, parse: parseJson }
+];
+
+// The old keys are only removed once every new record is stored. If a write fails they stay in place
+// and the migration runs again at the next start, skipping the records that did make it (and may
+// have been changed since).
+const migrateFromLocalStorage = async () => {
+    const migratedKeys = [];
+    const boardRecords = new Map(); // record key -> value
+    const writes = [];
+    const migrateRecord = (key, value) => {
+        if (!memory.has(key)) writes.push(writeRecord(key, value));
+    };
+
+    try {
+        const allUserData = JSON.parse(localStorage.getItem(STORAGE_KEYS.USER_DATA)) || {};
+        Object.entries(allUserData).forEach(([userId, data]) => {
+            if (data) migrateRecord(userKey(userId), data);
+        });
+        if (localStorage.getItem(STORAGE_KEYS.USER_DATA) !== null) migratedKeys.push(STORAGE_KEYS.USER_DATA);
+    } catch (e) {
+        console.error('[Storage] Could not migrate user data', e);
+    }
+
+    try {
+        const randomColors = JSON.parse(localStorage.getItem(STORAGE_KEYS.RANDOM_COLORS_CACHE));
+        if (randomColors) {
+            migrateRecord(appKey('randomColors'), randomColors);
+            migratedKeys.push(STORAGE_KEYS.RANDOM_COLORS_CACHE);
+        }
+    } catch (e) {
+        console.error('[Storage] Could not migrate random colours', e);
+    }
+
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        const legacy = key && LEGACY_BOARD_KEYS.find(l => key.startsWith(l.prefix));
+        if (!legacy) continue;
+        const boardId = key.substring(legacy.prefix.length);
+        if (!boardId) continue;
+
+        try {
+            const value = legacy.parse(localStorage.getItem(key));
+            const recordKey = boardKey(boardId, legacy.namespace);
+            if (legacy.field) {
+                boardRecords.set(recordKey, { ...(boardRecords.get(recordKey) || {}), [legacy.field]: value });
+            } else {
+                boardRecords.set(recordKey, value);
+            }
+            migratedKeys.push(key);
+        } catch (e) {
+            // Leave unreadable values in place rather than losing them
+            console.warn(`[Storage] Skipped unreadable key ${key}`, e);
+        }
+    }
+
+    boardRecords.forEach((value, key) => migrateRecord(key, value));
+
+    const stored = await Promise.all(writes);
+    if (stored.includes(false)) {
+        console.error(`[Storage] ${stored.filter(ok => !ok).length} records could not be saved, keeping the old localStorage keys`);
+        return;
+    }
+    if (!await writeRecord(MIGRATION_KEY, { date: new Date().toISOString(), keys: migratedKeys.length })) return;
+
+    // Free the quota: everything now lives in the new records
+    migratedKeys.forEach(key => localStorage.removeItem(key));
+    console.log(`[Storage] Migrated ${migratedKeys.length} localStorage keys to ${backend}`);
+};
+
+/**
+ * Loads every record into memory (and migrates old localStorage data on first run).
+ * Must be awaited once at startup before anything reads settings.
+ */
+export const initStorage = () => {
+    if (initPromise) return initPromise;
+    initPromise = (async () => {
+        const entries = await idbEntries(IDB_STORES.STORAGE);
+        if (entries) {
+            backend = 'idb';
+            entries.forEach(([key, value]) => memory.set(key, value));
+        } else {
+            backend = 'localStorage';
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (!key || !key.startsWith(LOCAL_STORAGE_PREFIX)) continue;
+                try {
+                    memory.set(key.substring(LOCAL_STORAGE_PREFIX.length), JSON.parse(localStorage.getItem(key)));
+                } catch (e) {
+                    console.warn(`[Storage] Skipped unreadable key ${key}`, e);
+                }
+            }
+        }
+        listenToOtherTabs();
+        if (!memory.has(MIGRATION_KEY)) await migrateFromLocalStorage();
+    })();
+    return initPromise;
+};
+
+// Resolves once every write so far has reached IndexedDB (e.g. before reloading the page)
+export const flushStorage = () => Promise.all(Array.from(pendingWrites));
+
+// --- Users ---
+
+export const getUserRecord = (userId) => readRecord(userKey(userId)) || {};
+
+// Read-modify-write in one synchronous step, so concurrent callers can't overwrite each other
+export const updateUserRecord = (userId, updater) => {
+    const next = updater(getUserRecord(userId));
+    writeRecord(userKey(userId), next);
+    return next;
+};
+
+export const deleteUserRecord = (userId) => deleteRecord(userKey(userId));
+
+// --- Boards ---
+
+export const getBoardStore = (boardId, namespace) => {
+    const defaults = BOARD_DEFAULTS[namespace];
+    const stored = boardId ? readRecord(boardKey(boardId, namespace)) : undefined;
+    if (Array.isArray(defaults)) return Array.isArray(stored) ? stored : defaults;
+    return { ...defaults, ...(stored || {}) };
+};
+
+export const setBoardStore = (boardId, namespace, value) => {
+    if (!boardId) return;
+    writeRecord(boardKey(boardId, namespace), value);
+};
+
+export const updateBoardStore = (boardId, namespace, updater) => {
+    if (!boardId) return getBoardStore(boardId, namespace);
+    const next = updater(getBoardStore(boardId, namespace));
+    writeRecord(boardKey(boardId, namespace), next);
+    return next;
+};
+
+export const clearBoardStore = (boardId, namespace) => {
+    if (!boardId) return;
+    deleteRecord(boardKey(boardId, namespace));
+};
+
+// Board ids with anything stored, for the reset screen
+export const getStoredBoardIds = () => {
+    const ids = new Set();
+    memory.forEach((value, key) => {
+        if (key.startsWith('board:')) ids.add(key.split(':')[1]);
+    });
+    return Array.from(ids);
+};
+
+// Removes every board record (all users share them) and the given user's record
+export const clearAllStorage = (userId) => {
+    Array.from(memory.keys()).forEach(key => {
+        if (key.startsWith('board:')) deleteRecord(key);
+    });
+    if (userId) deleteUserRecord(userId);
+};
+
+// --- Shared ---
+
+export const getAppValue = (name, fallback = null) => {
+    const value = readRecord(appKey(name));
+    return value === undefined ? fallback : value;
+};
+
+export const setAppValue = (name, value) => writeRecord(appKey(name), value);
@@ -0,0 +1,52 @@
+// Per-tile thresholds: a tile turns "warning" or "critical" when its count crosses a limit.
+// Stored per board in the display settings: { [listId]: { warning, critical, direction, flash } }
+//   direction 'above': breach when count >= limit (too many cards, the default)
+//   direction 'below': breach when count <= limit (too few cards)
+// Either limit may be null to only use the other one.
+
+export const THRESHOLD_LEVELS = {
+    OK: 'ok',
+    WARNING: 'warning',
+    CRITICAL: 'critical'
+};
+
+export const THRESHOLD_DIRECTIONS = ['above', 'below'];
+
+const hasLimit = (value) => value !== null && value !== undefined && value !== '' && !isNaN(Number(value));
+
+const crosses = (count, limit, direction) => direction === 'below' ? count <= Number(limit) : count >= Number(limit);
+
+export const getThresholdLevel = (count, threshold) => {
+    if (!threshold || typeof count !== 'number') return THRESHOLD_LEVELS.OK;
+    const direction = threshold.direction || 'above';
+    if (hasLimit(threshold.critical) && crosses(count, threshold.critical, direction)) return THRESHOLD_LEVELS.CRITICAL;
+    if (hasLimit(threshold.warning) && crosses(count, threshold.warning, direction)) return THRESHOLD_LEVELS.WARNING;
+    return THRESHOLD_LEVELS.OK;
+};
+
+export const isThresholdSet = (threshold) => !!threshold && (hasLimit(threshold.warning) || hasLimit(threshold.critical));
+
+/**
+ * Tracks when each tile started breaching. `previous` and the result are { [listId]: { level, since } }.
+ * A tile moving between warning and critical keeps its start time: the duration is how long it has been
+ * out of the OK state.
+ */
+export const updateBreaches = (previous, levels, now = Date.now()) => {
+    const next = {};
+    Object.entries(levels).forEach(([listId, level]) => {
+        if (level === THRESHOLD_LEVELS.OK) return;
+        next[listId] = { level, since: previous[listId] ? previous[listId].since : now };
+    });
+    return next;
+};
+
+// "45s", "12m", "3h 5m", "2d 4h"
+export const formatBreachDuration = (ms) => {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return `${Math.max(0, Math.floor(ms / 1000))}s`;
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+    const days = Math.floor(hours / 24);
+    return hours % 24 ? `${days}d ${hours % 24}h` : `${days}d`;
+};
@@ -0,0 +1,111 @@
+// Locally recorded time series of tile counts, for sparklines and "delta since" badges.
+//
+// Stored per board as { [listId]: [[timestamp, count], ...] }, one point per refresh. Runs of the same
+// count are compacted to their first and last point, so a quiet list costs two points however often the
+// dashboard refreshes, while the series still gives the exact count at any past refresh.
+//
+// Per-tile options live in the display settings as `tileTrends`: { [listId]: { sparkline, hours, delta } }
+// and the board's shift start times as `shiftStarts` (['07:00', '19:00']).
+
+export const HISTORY_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+export const MAX_POINTS_PER_LIST = 2000;
+export const DEFAULT_SPARKLINE_HOURS = 24;
+
+export const DELTA_REFERENCES = {
+    NONE: 'none',
+    START_OF_DAY: 'startOfDay',
+    START_OF_SHIFT: 'startOfShift',
+    LAST_REFRESH: 'lastRefresh'
+};
+
+export const DELTA_REFERENCE_LABELS = {
+    [DELTA_REFERENCES.START_OF_DAY]: 'since midnight',
+    [DELTA_REFERENCES.START_OF_SHIFT]: 'this shift',
+    [DELTA_REFERENCES.LAST_REFRESH]: 'since last refresh'
+};
+
+const appendPoint = (points, timestamp, count) => {
+    const next = points.slice();
+    const last = next[next.length - 1];
+    const beforeLast = next[next.length - 2];
+    if (last && beforeLast && last[1] === count && beforeLast[1] === count) {
+        next[next.length - 1] = [timestamp, count]; // Extend the run
+    } else {
+        next.push([timestamp, count]);
+    }
+    return next;
+};
+
+// Drops points past retention, keeping the newest of them so older references still resolve
+const prune = (points, now) => {
+    const cutoff = now - HISTORY_RETENTION_MS;
+    const firstKept = points.findIndex(([t]) => t >= cutoff);
+    const pruned = firstKept === -1 ? points.slice(-1) : points.slice(Math.max(0, firstKept - 1));
+    return pruned.slice(-MAX_POINTS_PER_LIST);
+};
+
+/**
+ * Adds this refresh's counts ({ [listId]: count }) to the history. Lists no longer on the dashboard are
+ * dropped, so the history only grows with the layout.
+ */
+export const recordTileCounts = (history, counts, now = Date.now()) => {
+    const next = {};
+    Object.entries(counts).forEach(([listId, count]) => {
+        next[listId] = prune(appendPoint(history[listId] || [], now, count), now);
+    });
+    return next;
+};
+
+// Count at a given time: the last point at or before it (or the first point, if history starts later)
+export const getCountAt = (points, timestamp) => {
+    if (!points || points.length === 0) return null;
+    let value = points[0][1];
+    for (const [t, count] of points) {
+        if (t > timestamp) break;
+        value = count;
+    }
+    return value;
+};
+
+const startOfDay = (now) => {
+    const date = new Date(now);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+};
+
+// Most recent shift start at or before now (yesterday's last shift if today's first hasn't started)
+export const getShiftStart = (shiftStarts, now = Date.now()) => {
+    if (!shiftStarts || shiftStarts.length === 0) return startOfDay(now);
+    const candidates = shiftStarts.flatMap(time => {
+        const [hours, minutes] = time.split(':').map(Number);
+        const today = new Date(now);
+        today.setHours(hours, minutes, 0, 0);
+        return [today.getTime(), today.getTime() - 24 * 60 * 60 * 1000];
+    });
+    return Math.max(...candidates.filter(t => t <= now));
+};
+
+/**
+ * Difference between the latest count and the reference point, or null when there is no history for it.
+ */
+export const getTileDelta = (points, reference, { shiftStarts, now = Date.now() } = {}) => {
+    if (!points || points.length === 0 || !reference || reference === DELTA_REFERENCES.NONE) return null;
+    const current = points[points.length - 1][1];
+
+    if (reference === DELTA_REFERENCES.LAST_REFRESH) {
+        // The point before the latest one is the previous refresh whenever the count changed
+        return points.length > 1 ? current - points[points.length - 2][1] : null;
+    }
+    const since = reference === DELTA_REFERENCES.START_OF_SHIFT ? getShiftStart(shiftStarts, now) : startOfDay(now);
+    if (points[0][0] > since) return null; // Recording started after the reference point
+    return current - getCountAt(points, since);
+};
+
+// Points covering the last `hours`, starting with the count at the window start so the line spans it
+export const getSparklinePoints = (points, hours = DEFAULT_SPARKLINE_HOURS, now = Date.now()) => {
+    if (!points || points.length === 0) return [];
+    const since = now - hours * 60 * 60 * 1000;
+    const inWindow = points.filter(([t]) => t >= since);
+    const startValue = getCountAt(points, since);
+    return points[0][0] < since ? [[since, startValue], ...inWindow] : inWindow;
+};
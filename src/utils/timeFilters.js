@@ -0,0 +1,206 @@
+import { MONTH_NAMES } from './constants';
+
+// Time filter presets ("Last 24h", "This week", "Last month"...).
+//
+// Presets are evaluated whenever a filter is applied, never cached: a wall screen left running past midnight
+// or the end of a month moves on to the new period at its next refresh.
+//
+// Evaluation options (the board's display settings, see getTimeOptions):
+//   now            timestamp to evaluate at (default: Date.now())
+//   timeZone       IANA time zone the calendar periods follow ('' = the browser's)
+//   weekStart      first day of the week, WEEK_STARTS.MONDAY or WEEK_STARTS.SUNDAY
+//   businessHours  { enabled, days: [1, 2, 3, 4, 5] (0 = Sunday), start: 'HH:MM', end: 'HH:MM' }
+//                  working days also count "business days" in custom ranges (see utils/dateRange);
+//                  `enabled` offers the business hours presets
+
+export const WEEK_STARTS = {
+    SUNDAY: 0,
+    MONDAY: 1
+};
+
+export const DEFAULT_BUSINESS_HOURS = { enabled: false, days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' };
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_LOOKBACK_DAYS = 3660;
+
+// --- Time zones ---
+
+const formatters = new Map();
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+export const isValidTimeZone = (timeZone) => {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+// Calendar fields of a timestamp in `timeZone` (the browser's when empty). `month` is 0-based, like Date.
+export const getZonedParts = (timestamp, timeZone) => {
+    if (!timeZone) {
+        const d = new Date(timestamp);
+        return { year: d.getFullYear(), month: d.getMonth(), day: d.getDate(), hours: d.getHours(), minutes: d.getMinutes(), weekday: d.getDay() };
+    }
+    const parts = Object.fromEntries(getFormatter(timeZone).formatToParts(new Date(timestamp)).map(p => [p.type, p.value]));
+    const year = Number(parts.year);
+    const month = Number(parts.month) - 1;
+    const day = Number(parts.day);
+    return { year, month, day, hours: Number(parts.hour) % 24, minutes: Number(parts.minute), weekday: new Date(Date.UTC(year, month, day)).getUTCDay() };
+};
+
+// Timestamp of a wall-clock time in `timeZone`. Out of range fields roll over as in the Date constructor.
+export const getZonedTime = (year, month, day, hours = 0, minutes = 0, timeZone = '') => {
+    if (!timeZone) return new Date(year, month, day, hours, minutes).getTime();
+    const wall = Date.UTC(year, month, day, hours, minutes);
+    const offsetAt = (t) => {
+        const p = getZonedParts(t, timeZone);
+        return Date.UTC(p.year, p.month, p.day, p.hours, p.minutes) - Math.floor(t / 60000) * 60000;
+    };
+    // Second pass for times close to a DST change, where the offset differs from the first guess
+    return wall - offsetAt(wall - offsetAt(wall));
+};
+
+// --- Evaluation context ---
+
+export const getTimeContext = ({ now = Date.now(), timeZone = '', weekStart = WEEK_STARTS.MONDAY, businessHours } = {}) => {
+    const zone = timeZone && isValidTimeZone(timeZone) ? timeZone : '';
+    return {
+        now,
+        timeZone: zone,
+        weekStart,
+        businessHours: { ...DEFAULT_BUSINESS_HOURS, ...businessHours },
+        today: getZonedParts(now, zone)
+    };
+};
+
+// Midnight, `dayOffset` days from today
+export const getDayStart = (ctx, dayOffset = 0) => getZonedTime(ctx.today.year, ctx.today.month, ctx.today.day + dayOffset, 0, 0, ctx.timeZone);
+
+const getWeekday = (ctx, dayOffset) => (((ctx.today.weekday + dayOffset) % 7) + 7) % 7;
+
+const parseTimeOfDay = (value) => value.split(':').map(Number);
+
+// Business hours of the day `dayOffset` days from today: [start, end], or null on a day off
+const getBusinessWindow = (ctx, dayOffset) => {
+    const { days, start, end } = ctx.businessHours;
+    if (!days.includes(getWeekday(ctx, dayOffset))) return null;
+    const [startHours, startMinutes] = parseTimeOfDay(start);
+    const [endHours, endMinutes] = parseTimeOfDay(end);
+    const { year, month, day } = ctx.today;
+    const window = [
+        getZonedTime(year, month, day + dayOffset, startHours, startMinutes, ctx.timeZone),
+        getZonedTime(year, month, day + dayOffset, endHours, endMinutes, ctx.timeZone)
+    ];
+    return window[1] > window[0] ? window : null;
+};
+
+/**
+ * Start of the `days` most recent business days (today included when it is one), or null without working days.
+ */
+export const getBusinessDaysStart = (days, options) => {
+    const ctx = getTimeContext(options);
+    let counted = 0;
+    for (let offset = 0; offset > -MAX_LOOKBACK_DAYS; offset--) {
+        if (ctx.businessHours.days.includes(getWeekday(ctx, offset)) && ++counted === days) return getDayStart(ctx, offset);
+    }
+    return null;
+};
+
+/**
+ * Start of the last `hours` business hours before now, or null without business hours.
+ */
+export const getBusinessHoursStart = (hours, options) => {
+    const ctx = getTimeContext(options);
+    let remaining = hours * HOUR_MS;
+    for (let offset = 0; offset > -MAX_LOOKBACK_DAYS; offset--) {
+        const window = getBusinessWindow(ctx, offset);
+        if (!window) continue;
+        const end = Math.min(window[1], ctx.now);
+        if (end <= window[0]) continue;
+        if (end - window[0] >= remaining) return end - remaining;
+        remaining -= end - window[0];
+    }
+    return null;
+};
+
+// --- Presets ---
+
+const toRange = (start, end) => ({ start: new Date(start), end: new Date(end) });
+const lastHours = (hours) => (ctx) => toRange(ctx.now - hours * HOUR_MS, ctx.now);
+const weekLabel = (ctx) => ctx.weekStart === WEEK_STARTS.SUNDAY ? 'Sun-Sat' : 'Mon-Sun';
+const getWeekStart = (ctx, weekOffset = 0) => getDayStart(ctx, -((ctx.today.weekday - ctx.weekStart + 7) % 7) + weekOffset * 7);
+const getMonthStart = (ctx, monthOffset = 0) => getZonedTime(ctx.today.year, ctx.today.month + monthOffset, 1, 0, 0, ctx.timeZone);
+const monthName = (ctx, monthOffset = 0) => {
+    const date = new Date(Date.UTC(ctx.today.year, ctx.today.month + monthOffset, 1));
+    return `${MONTH_NAMES[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+};
+
+// The current business day's hours so far, or the last ones outside business hours
+const getBusinessDayRange = (ctx) => {
+    for (let offset = 0; offset > -MAX_LOOKBACK_DAYS; offset--) {
+        const window = getBusinessWindow(ctx, offset);
+        if (window && window[0] <= ctx.now) return toRange(window[0], Math.min(window[1], ctx.now));
+    }
+    return null;
+};
+
+// `label` and `titleSuffix` may depend on the evaluation context; `getRange` returns { start, end } or null (no limit)
+export const TIME_FILTERS = {
+    'all': { label: 'All Time', titleSuffix: 'All Time', getRange: () => null },
+    '24h': { label: 'Last 24h', titleSuffix: 'Last 24h', getRange: lastHours(24) },
+    '48h': { label: 'Last 48h', titleSuffix: 'Last 48h', getRange: lastHours(48) },
+    '72h': { label: 'Last 72h', titleSuffix: 'Last 72h', getRange: lastHours(72) },
+    '7d': { label: 'Last 7 days', titleSuffix: 'Last 7 Days', getRange: lastHours(24 * 7) },
+
+    'today': { label: 'Today', titleSuffix: 'Today', getRange: ctx => toRange(getDayStart(ctx), ctx.now) },
+    'business_day': { label: 'Business hours (today)', titleSuffix: 'Business Hours', businessHours: true, getRange: getBusinessDayRange },
+
+    'this_week': { label: ctx => `This week (${weekLabel(ctx)})`, titleSuffix: 'This Week', getRange: ctx => toRange(getWeekStart(ctx), ctx.now) },
+    'last_week': { label: ctx => `Last week (${weekLabel(ctx)})`, titleSuffix: 'Last Week', getRange: ctx => toRange(getWeekStart(ctx, -1), getWeekStart(ctx) - 1) },
+
+    'last_30d': { label: 'Last 30 days', titleSuffix: 'Last 30 Days', getRange: lastHours(24 * 30) },
+    'this_month': { label: ctx => `This month (${monthName(ctx)})`, titleSuffix: ctx => monthName(ctx), getRange: ctx => toRange(getMonthStart(ctx), ctx.now) },
+    'last_month': { label: ctx => `Last month (${monthName(ctx, -1)})`, titleSuffix: ctx => monthName(ctx, -1), getRange: ctx => toRange(getMonthStart(ctx, -1), getMonthStart(ctx) - 1) },
+    'last_3m': {
+        label: 'Last 3 Months',
+        titleSuffix: 'Last 3 Months',
+        getRange: ctx => toRange(getZonedTime(ctx.today.year, ctx.today.month - 3, ctx.today.day, 0, 0, ctx.timeZone), ctx.now)
+    },
+    'ytd': { label: 'Year to Date', titleSuffix: 'YTD', getRange: ctx => toRange(getZonedTime(ctx.today.year, 0, 1, 0, 0, ctx.timeZone), ctx.now) },
+    'last_year': {
+        label: 'Last Year',
+        titleSuffix: 'Last Year',
+        getRange: ctx => toRange(getZonedTime(ctx.today.year - 1, 0, 1, 0, 0, ctx.timeZone), getZonedTime(ctx.today.year, 0, 1, 0, 0, ctx.timeZone) - 1)
+    }
+};
+
+const resolve = (value, ctx) => typeof value === 'function' ? value(ctx) : value;
+
+export const getTimeFilterRange = (key, options) => TIME_FILTERS[key] ? TIME_FILTERS[key].getRange(getTimeContext(options)) : null;
+
+export const getTimeFilterLabel = (key, options) => TIME_FILTERS[key] ? resolve(TIME_FILTERS[key].label, getTimeContext(options)) : key;
+
+export const getTimeFilterTitle = (key, options) => TIME_FILTERS[key] ? resolve(TIME_FILTERS[key].titleSuffix, getTimeContext(options)) : key;
+
+// Presets to offer: the business hours ones only when business hours are enabled
+export const getTimeFilterKeys = (options = {}) => Object.keys(TIME_FILTERS)
+    .filter(key => !TIME_FILTERS[key].businessHours || (options.businessHours && options.businessHours.enabled));
+
+// `range` null means no limit
+export const isInTimeRange = (date, range) => !range || (date >= range.start && date <= range.end);
+
+// Evaluation options from the board's display settings (BOARD_NAMESPACES.DISPLAY)
+export const getTimeOptions = (display) => ({
+    timeZone: display.timeZone,
+    weekStart: display.weekStart,
+    businessHours: display.businessHours
+});
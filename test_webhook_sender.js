@@ -0,0 +1,107 @@
+// Fake Trello webhook sender, for testing api/trello-webhook.js and api/board-events.js locally.
+//
+// In-process (no server needed):
+//   node test_webhook_sender.js
+// Against a running `vercel dev` (or a deployment):
+//   TRELLO_APP_SECRET=<secret> node test_webhook_sender.js http://localhost:3000
+//
+// Sends the HEAD verification, a correctly signed card move, a badly signed payload (expects 401),
+// then reads the events back through the long-poll endpoint.
+
+import crypto from 'crypto';
+
+const BOARD_ID = process.env.BOARD_ID || 'fakeboard0000000000000001';
+const baseUrl = process.argv[2];
+
+if (!process.env.TRELLO_APP_SECRET) {
+    if (baseUrl) {
+        console.error('Set TRELLO_APP_SECRET to the same value the server uses.');
+        process.exit(1);
+    }
+    process.env.TRELLO_APP_SECRET = 'local-test-secret';
+}
+const SECRET = process.env.TRELLO_APP_SECRET;
+const CALLBACK_URL = process.env.TRELLO_WEBHOOK_CALLBACK_URL || `${baseUrl || 'http://localhost:3000'}/api/trello-webhook`;
+process.env.TRELLO_WEBHOOK_CALLBACK_URL = CALLBACK_URL;
+
+const sign = (body) => crypto.createHmac('sha1', SECRET).update(body + CALLBACK_URL).digest('base64');
+
+const fakeMovePayload = () => JSON.stringify({
+    model: { id: BOARD_ID },
+    action: {
+        id: crypto.randomBytes(12).toString('hex'),
+        type: 'updateCard',
+        date: new Date().toISOString(),
+        data: {
+            board: { id: BOARD_ID },
+            card: { id: 'fakecard00000000000000001', idList: 'fakelist00000000000000002' },
+            listBefore: { id: 'fakelist00000000000000001' },
+            listAfter: { id: 'fakelist00000000000000002' },
+            old: { idList: 'fakelist00000000000000001' }
+        }
+    }
+});
+
+// Minimal stand-ins for the Vercel req/res helpers
+const mockRequest = ({ method, headers = {}, body = '', query = {} }) => ({
+    method,
+    headers: { host: 'localhost:3000', ...headers },
+    query,
+    async *[Symbol.asyncIterator]() { if (body) yield Buffer.from(body); }
+});
+
+const mockResponse = () => {
+    const res = { statusCode: 200, body: null, headers: {} };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (data) => { res.body = data; return res; };
+    res.end = () => res;
+    res.setHeader = (k, v) => { res.headers[k] = v; };
+    return res;
+};
+
+const send = async ({ method, path, headers, body, query }) => {
+    if (baseUrl) {
+        const qs = query ? `?${new URLSearchParams(query).toString()}` : '';
+        const response = await fetch(`${baseUrl}${path}${qs}`, { method, headers, body: method === 'POST' ? body : undefined });
+        const text = await response.text();
+        let json = null;
+        try { json = JSON.parse(text); } catch (e) { /* HEAD or non JSON */ }
+        return { status: response.status, body: json };
+    }
+    const module = await import(`./api${path.replace('/api', '')}.js`);
+    const res = mockResponse();
+    await module.default(mockRequest({ method, headers, body, query }), res);
+    return { status: res.statusCode, body: res.body };
+};
+
+const check = (label, condition, details) => {
+    console.log(`${condition ? 'PASS' : 'FAIL'} ${label}`, details !== undefined ? JSON.stringify(details) : '');
+    if (!condition) process.exitCode = 1;
+};
+
+const run = async () => {
+    console.log(`Target: ${baseUrl || 'in-process handlers'} | callbackURL: ${CALLBACK_URL}`);
+
+    const cursor = await send({ method: 'GET', path: '/api/board-events', query: { boardId: BOARD_ID } });
+    check('cursor request', cursor.status === 200, cursor.body);
+    const since = cursor.body ? cursor.body.latestSeq : 0;
+
+    const head = await send({ method: 'HEAD', path: '/api/trello-webhook' });
+    check('HEAD verification answers 200', head.status === 200);
+
+    const payload = fakeMovePayload();
+    const signed = await send({ method: 'POST', path: '/api/trello-webhook', headers: { 'x-trello-webhook': sign(payload), 'content-type': 'application/json' }, body: payload });
+    check('signed payload accepted', signed.status === 200 && signed.body && signed.body.success, signed.body);
+
+    const forged = await send({ method: 'POST', path: '/api/trello-webhook', headers: { 'x-trello-webhook': sign(payload + 'x'), 'content-type': 'application/json' }, body: payload });
+    check('badly signed payload rejected', forged.status === 401, forged.body);
+
+    const events = await send({ method: 'GET', path: '/api/board-events', query: { boardId: BOARD_ID, since: String(since) } });
+    const received = events.body ? events.body.events : [];
+    check('long-poll returns exactly the signed event', events.status === 200 && received.length === 1 && received[0].type === 'updateCard', events.body);
+};
+
+run().catch(e => {
+    console.error(e);
+    process.exit(1);
+});